@@ -0,0 +1,612 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import { PassThrough, Readable, pipeline } from "stream";
+import zlib from "zlib";
+import { createContentHasher, DEFAULT_HASH_ALGORITHM } from "./hashing.mjs";
+
+/** Archive format of each file name ending read in archive mode */
+export const ARCHIVE_FORMATS = {
+  ".zip": "zip",
+  ".tar": "tar",
+  ".tar.gz": "tgz",
+  ".tgz": "tgz",
+};
+
+/** Separates the path of an archive from the name of a file inside it */
+export const MEMBER_SEPARATOR = "!/";
+
+// Compression methods of zip entries that can be read: stored and deflated
+const ZIP_METHODS = [0, 8];
+
+// Bytes compared at a time by streamsAreIdentical
+const COMPARE_CHUNK_SIZE = 64 * 1024;
+
+// Long names and extended headers in tar archives larger than this are refused
+const MAX_TAR_HEADER_SIZE = 1024 * 1024;
+
+/**
+ * @typedef {Object} ArchiveMember
+ * @property {string} name - Path of the file inside the archive, with forward slashes
+ * @property {number} size - Uncompressed size in bytes
+ * @property {Date} modified - Modification date recorded in the archive
+ * @property {string} quickHash - Hash of the first 64KB
+ * @property {string|null} tailHash - Hash of the last 64KB (1MB or more only)
+ * @property {string|null} sampleHash - Hash of blocks sampled from the middle (1MB or more only)
+ * @property {string} hash - Full hash
+ */
+
+/**
+ * Archive format of a file, by its name
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} "zip", "tar" or "tgz", or null for other files
+ */
+export function archiveFormat(filePath) {
+  const name = filePath.toLowerCase();
+  const ending = Object.keys(ARCHIVE_FORMATS).find((ext) => name.endsWith(ext));
+  return ending ? ARCHIVE_FORMATS[ending] : null;
+}
+
+/**
+ * Virtual path of a file inside an archive, such as `backup.zip!/docs/a.pdf`
+ * @param {string} archivePath - Path to the archive
+ * @param {string} name - Name of the file inside the archive
+ * @returns {string} Path recorded in the index
+ */
+export function memberPath(archivePath, name) {
+  return `${archivePath}${MEMBER_SEPARATOR}${name}`;
+}
+
+/**
+ * Clean up the name of an archive entry: forward slashes, no leading `./` or
+ * `/`, and nothing pointing above the archive
+ * @param {string} name - Name stored in the archive
+ * @returns {string|null} Normalised name, or null for directories and unusable names
+ */
+function memberName(name) {
+  if (name.endsWith("/")) {
+    return null;
+  }
+  const normalised = path.posix
+    .normalize(name.replace(/\\/g, "/"))
+    .replace(/^(\.\/|\/)+/, "");
+  return normalised && normalised !== "." && !normalised.startsWith("../")
+    ? normalised
+    : null;
+}
+
+/**
+ * Read exact byte counts from a stream, whatever the size of its chunks
+ * @param {Readable} stream - Stream to read
+ * @returns {{read: function(number): Promise<Buffer>, pass: function(number, function(Buffer)): Promise<void>}}
+ */
+function chunkReader(stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  let pending = Buffer.alloc(0);
+
+  const pull = async () => {
+    const { value, done } = await iterator.next();
+    if (done) return false;
+    pending = pending.length > 0 ? Buffer.concat([pending, value]) : value;
+    return true;
+  };
+
+  return {
+    // Up to `length` bytes, fewer only at the end of the stream
+    async read(length) {
+      while (pending.length < length && (await pull()));
+      const data = pending.subarray(0, length);
+      pending = pending.subarray(data.length);
+      return data;
+    },
+    // Hand the next `length` bytes to onData as they arrive
+    async pass(length, onData) {
+      while (length > 0) {
+        if (pending.length === 0 && !(await pull())) {
+          throw new Error("Unexpected end of archive");
+        }
+        const data = pending.subarray(0, Math.min(length, pending.length));
+        pending = pending.subarray(data.length);
+        length -= data.length;
+        await onData(data);
+      }
+    },
+  };
+}
+
+/**
+ * Text of a NUL-terminated field of a tar header
+ * @param {Buffer} field - Header bytes
+ * @returns {string} Field value
+ */
+function tarString(field) {
+  const end = field.indexOf(0);
+  return field.toString("utf8", 0, end === -1 ? field.length : end);
+}
+
+/**
+ * Number in a tar header: octal text, or base-256 when the high bit is set
+ * @param {Buffer} field - Header bytes
+ * @returns {number} Field value
+ */
+function tarNumber(field) {
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i];
+    }
+    return value;
+  }
+  return parseInt(tarString(field).trim(), 8) || 0;
+}
+
+/**
+ * Parse the records of a pax extended header, `<length> <key>=<value>\n`
+ * @param {Buffer} data - Header data
+ * @returns {Object<string, string>} Values by key
+ */
+function parsePax(data) {
+  const values = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString("utf8", offset, space), 10);
+    if (space === -1 || !(length > 0)) break;
+    const record = data.toString("utf8", space + 1, offset + length - 1);
+    const equals = record.indexOf("=");
+    values[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return values;
+}
+
+/**
+ * Open a tar archive for reading, decompressing a gzipped one on the fly
+ * @param {string} archivePath - Path to the archive
+ * @param {string} format - "tar" or "tgz"
+ * @returns {Readable} Uncompressed tar stream
+ */
+function openTar(archivePath, format) {
+  const stream = createReadStream(archivePath);
+  return format === "tgz"
+    ? pipeline(stream, zlib.createGunzip(), () => {})
+    : stream;
+}
+
+/**
+ * Walk the regular files of a tar stream in order. `visit` is called with
+ * each entry and a function that hands its content to a callback; content it
+ * does not read is skipped. Returning false from `visit` stops the walk.
+ * GNU long names and pax path, size and mtime records are honoured.
+ * @param {Readable} stream - Uncompressed tar stream
+ * @param {function(Object, function(function(Buffer)): Promise<void>): Promise<boolean|void>} visit
+ * @returns {Promise<void>}
+ */
+async function walkTar(stream, visit) {
+  const reader = chunkReader(stream);
+  let longName = null;
+  let pax = {};
+
+  try {
+    for (;;) {
+      const header = await reader.read(512);
+      if (header.length < 512 || header.every((byte) => byte === 0)) {
+        return;
+      }
+
+      const type = header[156] === 0 ? "0" : String.fromCharCode(header[156]);
+      const recordedSize = tarNumber(header.subarray(124, 136));
+
+      // Long names and extended headers describe the entry that follows
+      if (type === "L" || type === "x") {
+        if (recordedSize > MAX_TAR_HEADER_SIZE) {
+          throw new Error("Tar header is too large");
+        }
+        const data = (
+          await reader.read(Math.ceil(recordedSize / 512) * 512)
+        ).subarray(0, recordedSize);
+        if (type === "L") {
+          longName = tarString(data);
+        } else {
+          pax = parsePax(data);
+        }
+        continue;
+      }
+
+      const size = pax.size !== undefined ? Number(pax.size) : recordedSize;
+      const padding = Math.ceil(size / 512) * 512 - size;
+      let consumed = false;
+      const consume = async (onData) => {
+        consumed = true;
+        await reader.pass(size, onData);
+      };
+      let keepGoing = true;
+
+      if (type === "0" || type === "7") {
+        const prefix =
+          tarString(header.subarray(257, 262)) === "ustar"
+            ? tarString(header.subarray(345, 500))
+            : "";
+        const name =
+          pax.path ??
+          longName ??
+          (prefix ? `${prefix}/` : "") + tarString(header.subarray(0, 100));
+        const mtime =
+          pax.mtime !== undefined
+            ? Number(pax.mtime)
+            : tarNumber(header.subarray(136, 148));
+
+        keepGoing =
+          (await visit(
+            { name, size, modified: new Date(Math.floor(mtime * 1000)) },
+            consume
+          )) !== false;
+      }
+
+      if (!keepGoing) {
+        return;
+      }
+      if (!consumed) {
+        await reader.pass(size, () => {});
+      }
+      await reader.pass(padding, () => {});
+      longName = null;
+      pax = {};
+    }
+  } finally {
+    stream.destroy();
+  }
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(Math.max(0, length));
+  const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Date stored in MS-DOS format, in local time
+ * @param {number} date - DOS date
+ * @param {number} time - DOS time
+ * @returns {Date} Modification date
+ */
+function dosDate(date, time) {
+  return new Date(
+    (date >> 9) + 1980,
+    ((date >> 5) & 15) - 1,
+    date & 31,
+    time >> 11,
+    (time >> 5) & 63,
+    (time & 31) * 2
+  );
+}
+
+/**
+ * Read the central directory of a zip archive, including ZIP64 sizes and
+ * offsets and extended timestamps
+ * @param {FileHandle} handle - Open archive
+ * @param {number} size - Archive size in bytes
+ * @returns {Promise<Object[]>} Entries with name, size, compressedSize,
+ *   method, encrypted, localOffset and modified
+ */
+async function readZipDirectory(handle, size) {
+  // The end of central directory record is followed by at most 64KB of comment
+  const tail = await readAt(
+    handle,
+    Math.max(0, size - 65557),
+    Math.min(size, 65557)
+  );
+  let end = tail.length - 22;
+  while (end >= 0 && tail.readUInt32LE(end) !== 0x06054b50) {
+    end--;
+  }
+  if (end < 0) {
+    throw new Error("Not a zip archive");
+  }
+
+  let count = tail.readUInt16LE(end + 10);
+  let directorySize = tail.readUInt32LE(end + 12);
+  let directoryOffset = tail.readUInt32LE(end + 16);
+  if (end >= 20 && tail.readUInt32LE(end - 20) === 0x07064b50) {
+    const record = await readAt(
+      handle,
+      Number(tail.readBigUInt64LE(end - 12)),
+      56
+    );
+    if (record.readUInt32LE(0) === 0x06064b50) {
+      count = Number(record.readBigUInt64LE(32));
+      directorySize = Number(record.readBigUInt64LE(40));
+      directoryOffset = Number(record.readBigUInt64LE(48));
+    }
+  }
+
+  const directory = await readAt(handle, directoryOffset, directorySize);
+  const entries = [];
+  let offset = 0;
+  for (let i = 0; i < count; i++) {
+    if (directory.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("Corrupt zip central directory");
+    }
+    const flags = directory.readUInt16LE(offset + 8);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const entry = {
+      name: directory.toString(
+        flags & 0x800 ? "utf8" : "latin1",
+        offset + 46,
+        offset + 46 + nameLength
+      ),
+      size: directory.readUInt32LE(offset + 24),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      method: directory.readUInt16LE(offset + 10),
+      encrypted: Boolean(flags & 1),
+      localOffset: directory.readUInt32LE(offset + 42),
+      modified: dosDate(
+        directory.readUInt16LE(offset + 14),
+        directory.readUInt16LE(offset + 12)
+      ),
+    };
+
+    let field = offset + 46 + nameLength;
+    const extraEnd = field + extraLength;
+    while (field + 4 <= extraEnd) {
+      const id = directory.readUInt16LE(field);
+      const data = directory.subarray(
+        field + 4,
+        field + 4 + directory.readUInt16LE(field + 2)
+      );
+      if (id === 0x0001) {
+        // ZIP64 values, present only for the fields that overflowed
+        let position = 0;
+        for (const key of ["size", "compressedSize", "localOffset"]) {
+          if (entry[key] === 0xffffffff && position + 8 <= data.length) {
+            entry[key] = Number(data.readBigUInt64LE(position));
+            position += 8;
+          }
+        }
+      } else if (id === 0x5455 && data.length >= 5 && data[0] & 1) {
+        entry.modified = new Date(data.readUInt32LE(1) * 1000);
+      }
+      field += 4 + data.length;
+    }
+
+    entries.push(entry);
+    offset = extraEnd + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Stream the uncompressed content of a zip entry
+ * @param {FileHandle} handle - Open archive
+ * @param {string} archivePath - Path to the archive
+ * @param {Object} entry - Entry from readZipDirectory
+ * @returns {Promise<Readable>} Entry content
+ */
+async function openZipEntry(handle, archivePath, entry) {
+  const header = await readAt(handle, entry.localOffset, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== 0x04034b50) {
+    throw new Error(`Corrupt zip entry ${entry.name}`);
+  }
+  const start =
+    entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const raw =
+    entry.compressedSize > 0
+      ? createReadStream(archivePath, {
+          start,
+          end: start + entry.compressedSize - 1,
+        })
+      : Readable.from([]);
+
+  return entry.method === 0
+    ? raw
+    : pipeline(raw, zlib.createInflateRaw(), () => {});
+}
+
+/**
+ * Whether a zip entry is a file whose content can be read
+ * @param {Object} entry - Entry from readZipDirectory
+ * @returns {boolean} False for directories, encrypted entries and unsupported compression
+ */
+function isReadableZipEntry(entry) {
+  return (
+    memberName(entry.name) !== null &&
+    !entry.encrypted &&
+    ZIP_METHODS.includes(entry.method)
+  );
+}
+
+/**
+ * Hash a stream of known length
+ * @param {Readable} stream - Content to hash
+ * @param {number} size - Expected length in bytes
+ * @param {string} algorithm - One of HASH_ALGORITHMS
+ * @returns {Promise<Object>} quickHash, tailHash, sampleHash and hash
+ */
+async function hashStream(stream, size, algorithm) {
+  const hasher = createContentHasher(size, algorithm);
+  let length = 0;
+  for await (const data of stream) {
+    hasher.update(data);
+    length += data.length;
+  }
+  if (length !== size) {
+    throw new Error("Archive entry is shorter or longer than recorded");
+  }
+  return hasher.digest();
+}
+
+/**
+ * List the files in a zip, tar or gzipped tar archive and hash their content
+ * as it is streamed, without extracting anything to disk. Directories, links,
+ * encrypted zip entries and entries compressed with methods other than
+ * deflate are left out.
+ * @param {string} archivePath - Path to the archive
+ * @param {Object} [options]
+ * @param {string} [options.algorithm="sha256"] - One of HASH_ALGORITHMS
+ * @param {function(Object): boolean} [options.include] - Whether to list a file, given its name, size and modified date
+ * @param {function(Object): Object|null} [options.previous] - Hashes recorded earlier for a file, used instead of reading it
+ * @returns {Promise<ArchiveMember[]>} Files in archive order
+ */
+export async function readArchive(
+  archivePath,
+  {
+    algorithm = DEFAULT_HASH_ALGORITHM,
+    include = () => true,
+    previous = () => null,
+  } = {}
+) {
+  const format = archiveFormat(archivePath);
+  const members = [];
+
+  if (format === "zip") {
+    const handle = await fs.open(archivePath);
+    try {
+      const { size } = await handle.stat();
+      for (const entry of await readZipDirectory(handle, size)) {
+        if (!isReadableZipEntry(entry)) continue;
+
+        const member = {
+          name: memberName(entry.name),
+          size: entry.size,
+          modified: entry.modified,
+        };
+        if (!include(member)) continue;
+
+        const hashes =
+          previous(member) ||
+          (await hashStream(
+            await openZipEntry(handle, archivePath, entry),
+            entry.size,
+            algorithm
+          ));
+        members.push({ ...member, ...hashes });
+      }
+    } finally {
+      await handle.close();
+    }
+  } else if (format) {
+    await walkTar(openTar(archivePath, format), async (entry, consume) => {
+      const member = { ...entry, name: memberName(entry.name) };
+      if (!member.name || !include(member)) return;
+
+      let hashes = previous(member);
+      if (!hashes) {
+        const hasher = createContentHasher(member.size, algorithm);
+        await consume((data) => hasher.update(data));
+        hashes = hasher.digest();
+      }
+      members.push({ ...member, ...hashes });
+    });
+  } else {
+    throw new Error(`${archivePath} is not a zip or tar archive`);
+  }
+
+  return members;
+}
+
+/**
+ * Stream the content of one file inside an archive
+ * @param {string} archivePath - Path to the archive
+ * @param {string} name - Name of the file inside the archive
+ * @returns {Promise<Readable>} File content
+ */
+export async function openArchiveMember(archivePath, name) {
+  const format = archiveFormat(archivePath);
+  const missing = () => new Error(`${name} is not in ${archivePath}`);
+
+  if (format === "zip") {
+    const handle = await fs.open(archivePath);
+    try {
+      const { size } = await handle.stat();
+      const entry = (await readZipDirectory(handle, size)).find(
+        (e) => isReadableZipEntry(e) && memberName(e.name) === name
+      );
+      if (!entry) throw missing();
+      return await openZipEntry(handle, archivePath, entry);
+    } finally {
+      await handle.close();
+    }
+  }
+  if (!format) {
+    throw new Error(`${archivePath} is not a zip or tar archive`);
+  }
+
+  // Tar archives are read up to the file, which is then passed through as
+  // fast as the caller reads it
+  return new Promise((resolve, reject) => {
+    const output = new PassThrough();
+    let found = false;
+
+    walkTar(openTar(archivePath, format), async (entry, consume) => {
+      if (memberName(entry.name) !== name) return;
+      found = true;
+      resolve(output);
+
+      await consume(async (data) => {
+        if (output.destroyed) {
+          throw new Error("Stopped reading the archive");
+        }
+        if (!output.write(data)) {
+          await new Promise((done) => {
+            const resume = () => {
+              output.off("drain", resume);
+              output.off("close", resume);
+              done();
+            };
+            output.on("drain", resume);
+            output.on("close", resume);
+          });
+        }
+      });
+      output.end();
+      return false;
+    }).then(
+      () => found || reject(missing()),
+      (error) => (found ? output.destroy(error) : reject(error))
+    );
+  });
+}
+
+/**
+ * Stream the content of an indexed file, inside an archive or not
+ * @param {string} filePath - Path recorded in the index
+ * @param {string|null} [archive] - Archive holding the file, for archive members
+ * @returns {Promise<Readable>} File content
+ */
+export async function openFile(filePath, archive = null) {
+  return archive
+    ? openArchiveMember(archive, filePath.slice(memberPath(archive, "").length))
+    : createReadStream(filePath);
+}
+
+/**
+ * Compare two streams byte by byte. Both are closed afterwards.
+ * @param {Readable} a - First stream
+ * @param {Readable} b - Second stream
+ * @returns {Promise<boolean>} Whether both have the same content
+ */
+export async function streamsAreIdentical(a, b) {
+  const readerA = chunkReader(a);
+  const readerB = chunkReader(b);
+
+  try {
+    for (;;) {
+      const [chunkA, chunkB] = await Promise.all([
+        readerA.read(COMPARE_CHUNK_SIZE),
+        readerB.read(COMPARE_CHUNK_SIZE),
+      ]);
+      if (!chunkA.equals(chunkB)) {
+        return false;
+      }
+      if (chunkA.length === 0) {
+        return true;
+      }
+    }
+  } finally {
+    a.destroy();
+    b.destroy();
+  }
+}
@@ -2,9 +2,39 @@
 import { program } from "commander";
 import { findDuplicates } from "./scanner.mjs";
 import { startWebInterface } from "./web-interface.mjs";
-import { displayConsoleResults } from "./console-output.mjs";
+import {
+  displayConsoleResults,
+  displayHistory,
+  displayDecisions,
+  displayDirectoryGroups,
+  displaySimilarImages,
+  displaySimilarTexts,
+  displayContentGroups,
+  displayScans,
+  displayScanDiff,
+} from "./console-output.mjs";
 import { generateTestFiles } from "./generate-test-files.mjs";
 import { ScanDatabase } from "./database.mjs";
+import { chooseKeepers, RULE_NAMES } from "./policy.mjs";
+import { HASH_ALGORITHMS } from "./hashing.mjs";
+import { findDuplicateDirectories } from "./directories.mjs";
+import { defaultDiffScans, diffScans, getScan, listScans } from "./history.mjs";
+import {
+  exportGroups,
+  filterGroups,
+  EXPORT_FORMATS,
+  SIZE_CATEGORIES,
+  FILE_TYPES,
+} from "./export.mjs";
+import {
+  quarantineFile,
+  quarantineDirectory,
+  linkDuplicate,
+  symlinkDuplicate,
+  restoreFile,
+  purgeQuarantine,
+  undoOperation,
+} from "./file-actions.mjs";
 import fs from "fs/promises";
 import path from "path";
 import prettyMs from "pretty-ms";
@@ -14,49 +44,272 @@ program
   .description("Scan directory for duplicate files")
   .version("1.0.0");
 
+/**
+ * Parse a percentage option such as --min-overlap into a fraction
+ * @param {string} value - Percentage from 0 to 100
+ * @param {string} option - Name of the option, for the error message
+ * @returns {number} Fraction from 0 to 1
+ */
+function parsePercentage(value, option) {
+  const percent = Number(value);
+  if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+    throw new Error(`${option} must be a percentage from 0 to 100`);
+  }
+  return percent / 100;
+}
+
+/**
+ * Parse an --image-distance bit count
+ * @param {string} value - Number of bits from 0 to 64
+ * @returns {number} Largest Hamming distance between similar images
+ */
+function parseImageDistance(value) {
+  const bits = Number(value);
+  if (!Number.isInteger(bits) || bits < 0 || bits > 64) {
+    throw new Error("--image-distance must be a number of bits from 0 to 64");
+  }
+  return bits;
+}
+
 program
   .command("scan")
-  .description("Scan directory for duplicate files")
-  .argument("[dir]", "Directory to scan", ".")
+  .description("Scan directories for duplicate files")
+  .argument("[dirs...]", "Directories to scan (default: current directory)")
   .option("-r, --recursive", "Scan directories recursively", false)
   .option("-n, --no-web", "Disable web interface, show results in console")
   .option("-p, --port <number>", "Port for web interface", "8080")
+  .option(
+    "--host <address>",
+    "Address the web interface listens on (default: 127.0.0.1, this machine only)"
+  )
   .option("-i, --index <path>", "Path to store the index file")
-  .option("--incomplete", "Resume an incomplete scan")
-  .option("-e, --exclude <patterns...>", "Glob patterns to exclude")
-  .action(async (dir, options) => {
+  .option(
+    "--incomplete",
+    "Resume the last unfinished scan stored in the index (requires --index)"
+  )
+  .option(
+    "--rescan",
+    "Reuse hashes of unchanged files from earlier scans in the index (requires --index)"
+  )
+  .option(
+    "-q, --quarantine <dir>",
+    "Directory for deleted files (default: next to the index file)"
+  )
+  .option(
+    "-e, --exclude <patterns...>",
+    "Glob patterns to exclude, relative to each scanned directory"
+  )
+  .option(
+    "--include <patterns...>",
+    "Only scan files matching these glob patterns"
+  )
+  .option("--min-size <size>", "Skip files smaller than this, e.g. 100KB")
+  .option("--max-size <size>", "Skip files larger than this, e.g. 2GB")
+  .option("--skip-hidden", "Skip files and directories starting with a dot")
+  .option("--no-gitignore", "Scan files listed in .gitignore files")
+  .option(
+    "--follow-symlinks",
+    "Scan the targets of symbolic links, skipping links that loop back"
+  )
+  .option(
+    "--no-follow-symlinks",
+    "Record symbolic links without scanning their targets (default)"
+  )
+  .option(
+    "--archives",
+    "Also look for duplicates inside zip, tar and tar.gz archives (read-only)"
+  )
+  .option(
+    "-R, --reference <dirs...>",
+    "Read-only reference directories; only report files with a copy in one"
+  )
+  .option(
+    "-j, --jobs <number>",
+    "Number of files to hash in parallel (default: number of CPUs)"
+  )
+  .option(
+    "--io-jobs <number>",
+    "Number of files to read and quick-hash in parallel (default: 4 x jobs)"
+  )
+  .option(
+    "--hash <algorithm>",
+    `Hash algorithm: ${HASH_ALGORITHMS.join(", ")}`,
+    "sha256"
+  )
+  .option(
+    "--verify",
+    "Compare the files of every group byte by byte before reporting it"
+  )
+  .option(
+    "--content-only",
+    "Also group MP3, FLAC, JPEG and PNG files whose audio or image data match but whose tags differ"
+  )
+  .option("--dirs", "Also group identical and overlapping folders")
+  .option(
+    "--min-overlap <percent>",
+    "Smallest share of content overlapping folders must have in common",
+    "50"
+  )
+  .option(
+    "--images",
+    "Also group similar JPEG, PNG, GIF and WebP images by perceptual hash"
+  )
+  .option(
+    "--image-distance <bits>",
+    "Largest number of differing hash bits, out of 64, for similar images",
+    "10"
+  )
+  .option("--texts", "Also group near-identical text files and documents")
+  .option(
+    "--text-similarity <percent>",
+    "Smallest estimated share of content similar text files must have in common",
+    "80"
+  )
+  .action(async (dirs, options) => {
     try {
+      const minOverlap = parsePercentage(options.minOverlap, "--min-overlap");
+      const imageDistance = parseImageDistance(options.imageDistance);
+      const textSimilarity = parsePercentage(
+        options.textSimilarity,
+        "--text-similarity"
+      );
+
       let startTime = Date.now();
       let lastUpdate = Date.now();
 
-      const { result, dbPath, scanId } = await findDuplicates(dir, {
+      const {
+        result,
+        dbPath,
+        scanId,
+        deletedFiles,
+        contentGroups,
+        similarImages,
+        similarTexts,
+      } = await findDuplicates(dirs.length > 0 ? dirs : ["."], {
+        references: options.reference || [],
         recursive: options.recursive,
         exclude: options.exclude || [],
+        include: options.include || [],
+        minSize: options.minSize,
+        maxSize: options.maxSize,
+        skipHidden: options.skipHidden,
+        gitignore: options.gitignore,
         indexPath: options.index,
         incomplete: options.incomplete,
-        onProgress: ({ filesScanned, groupsFound, phase }) => {
+        rescan: options.rescan,
+        quarantineDir: options.quarantine,
+        followSymlinks: options.followSymlinks ?? false,
+        archives: options.archives,
+        jobs: options.jobs && parseInt(options.jobs, 10),
+        ioJobs: options.ioJobs && parseInt(options.ioJobs, 10),
+        hashAlgorithm: options.hash,
+        verify: options.verify,
+        contentOnly: options.contentOnly,
+        images: options.images,
+        imageDistance,
+        texts: options.texts,
+        textSimilarity,
+        onProgress: ({
+          filesScanned,
+          groupsFound,
+          filesHashed,
+          filesToHash,
+          groupsVerified,
+          groupsToVerify,
+          stage,
+          filesSampled,
+          filesToSample,
+          contentHashed,
+          contentToHash,
+          imagesHashed,
+          imagesToHash,
+          textsSigned,
+          textsToSign,
+          phase,
+        }) => {
           // Update progress at most once per second
           const now = Date.now();
           if (now - lastUpdate > 1000) {
             const elapsed = prettyMs(now - startTime);
-            console.log(
-              `\r${phase === "scanning" ? "🔍" : "🔄"} ` +
-                `Processed ${filesScanned} files, found ${groupsFound} groups ` +
-                `(${elapsed})`
-            );
+            if (phase === "scanning") {
+              console.log(`\r🔍 Processed ${filesScanned} files (${elapsed})`);
+            } else if (phase === "sampling") {
+              console.log(
+                `\r🧪 Sampled ${stage} blocks of ${filesSampled} of ` +
+                  `${filesToSample} large files (${elapsed})`
+              );
+            } else if (phase === "hashing") {
+              console.log(
+                `\r🔄 Hashed ${filesHashed} of ${filesToHash} files, ` +
+                  `found ${groupsFound} groups (${elapsed})`
+              );
+            } else if (phase === "content") {
+              console.log(
+                `\r🎵 Hashed the content of ${contentHashed} of ${contentToHash} ` +
+                  `media files (${elapsed})`
+              );
+            } else if (phase === "texts") {
+              console.log(
+                `\r📝 Signed ${textsSigned} of ${textsToSign} text files ` +
+                  `(${elapsed})`
+              );
+            } else if (phase === "images") {
+              console.log(
+                `\r🖼️  Hashed ${imagesHashed} of ${imagesToHash} images ` +
+                  `(${elapsed})`
+              );
+            } else {
+              console.log(
+                `\r🔬 Verified ${groupsVerified} of ${groupsToVerify} groups ` +
+                  `(${elapsed})`
+              );
+            }
             lastUpdate = now;
           }
         },
       });
 
+      if (deletedFiles.length > 0) {
+        console.log(
+          `\n🗑️  ${deletedFiles.length} file(s) removed since the last scan:`
+        );
+        deletedFiles.forEach((filePath) => console.log(`   ${filePath}`));
+      }
+
       // Default to web interface if -n/--no-web is not specified
       const useWeb = options.web ?? true;
 
       if (useWeb) {
         const port = parseInt(options.port, 10);
         console.log("\n🔍 Starting web interface...");
-        await startWebInterface(result, port, dbPath, scanId);
+        await startWebInterface(result, port, dbPath, scanId, {
+          host: options.host,
+          quarantineDir: options.quarantine,
+          directories: options.dirs,
+          minOverlap,
+          contentOnly: options.contentOnly,
+          images: options.images,
+          imageDistance,
+          texts: options.texts,
+          textSimilarity,
+        });
       } else {
+        if (options.dirs) {
+          const db = new ScanDatabase(dbPath);
+          displayDirectoryGroups(
+            findDuplicateDirectories(db.getFiles(scanId), { minOverlap })
+          );
+          db.close();
+        }
+        if (contentGroups) {
+          displayContentGroups(contentGroups);
+        }
+        if (similarImages) {
+          displaySimilarImages(similarImages);
+        }
+        if (similarTexts) {
+          displaySimilarTexts(similarTexts);
+        }
         displayConsoleResults(result);
       }
     } catch (error) {
@@ -67,33 +320,588 @@ program
 
 program
   .command("serve")
-  .description("Serve an existing index file")
+  .description(
+    "Serve an index file in the web interface, creating it if it does not exist"
+  )
   .argument("<index-file>", "Path to the index file")
   .option("-p, --port <number>", "Port for web interface", "8080")
+  .option(
+    "--host <address>",
+    "Address the web interface listens on (default: 127.0.0.1, this machine only)"
+  )
+  .option(
+    "--read-only",
+    "Only browse the duplicates: deleting, linking, renaming, restoring, undoing and scanning are turned off"
+  )
+  .option(
+    "-q, --quarantine <dir>",
+    "Directory for deleted files (default: next to the index file)"
+  )
+  .option(
+    "--content-only",
+    "Also group MP3, FLAC, JPEG and PNG files whose audio or image data match but whose tags differ"
+  )
+  .option("--dirs", "Also group identical and overlapping folders")
+  .option(
+    "--min-overlap <percent>",
+    "Smallest share of content overlapping folders must have in common",
+    "50"
+  )
+  .option(
+    "--images",
+    "Also group similar JPEG, PNG, GIF and WebP images by perceptual hash"
+  )
+  .option(
+    "--image-distance <bits>",
+    "Largest number of differing hash bits, out of 64, for similar images",
+    "10"
+  )
+  .option("--texts", "Also group near-identical text files and documents")
+  .option(
+    "--text-similarity <percent>",
+    "Smallest estimated share of content similar text files must have in common",
+    "80"
+  )
+  .option(
+    "--scan <id>",
+    "Scan to show, as listed by the scans command (default: latest)"
+  )
   .action(async (indexFile, options) => {
     try {
-      // Verify the index file exists
+      const minOverlap = parsePercentage(options.minOverlap, "--min-overlap");
+      const imageDistance = parseImageDistance(options.imageDistance);
+      const textSimilarity = parsePercentage(
+        options.textSimilarity,
+        "--text-similarity"
+      );
+
+      // A new index starts without scans; they are started from the browser
+      const exists = await fs.access(indexFile).then(
+        () => true,
+        () => false
+      );
+      console.log(
+        exists ? "\n📂 Loading index file..." : "\n📂 Creating index file..."
+      );
+
+      const db = new ScanDatabase(indexFile);
+      const scanInfo = options.scan
+        ? getScan(db, options.scan)
+        : db.getLatestScan();
+      const port = parseInt(options.port, 10);
+
+      if (scanInfo) {
+        console.log(`Scan: ${scanInfo.id}`);
+        console.log(`Base directory: ${scanInfo.base_directory}`);
+        console.log(
+          `Scan time: ${prettyMs(scanInfo.end_time - scanInfo.start_time)}`
+        );
+        console.log(`Files scanned: ${scanInfo.files_scanned}`);
+        console.log(`Groups found: ${scanInfo.groups_found}`);
+      }
+
+      const duplicates = scanInfo ? db.getDuplicateGroups(scanInfo.id) : [];
+      await startWebInterface(
+        duplicates,
+        port,
+        indexFile,
+        scanInfo?.id ?? null,
+        {
+          host: options.host,
+          readOnly: options.readOnly,
+          quarantineDir: options.quarantine,
+          directories: options.dirs,
+          minOverlap,
+          contentOnly: options.contentOnly,
+          images: options.images,
+          imageDistance,
+          texts: options.texts,
+          textSimilarity,
+        }
+      );
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("link")
+  .description("Replace duplicates with links to the file you keep")
+  .argument("<index-file>", "Path to the index file")
+  .argument("<keeper>", "File to keep")
+  .argument(
+    "[files...]",
+    "Duplicates to replace (default: every other file in the keeper's group)"
+  )
+  .option(
+    "-s, --symbolic",
+    "Create symbolic links instead of hard links (works across devices)"
+  )
+  .option("--absolute", "Use absolute targets for symbolic links")
+  .option(
+    "--scan <id>",
+    "Scan the files belong to, as listed by the scans command (default: latest)"
+  )
+  .action(async (indexFile, keeper, files, options) => {
+    try {
       await fs.access(indexFile);
 
       const db = new ScanDatabase(indexFile);
-      const scanInfo = db.getScanInfo(1); // Get the first scan
+      const scanInfo = options.scan
+        ? getScan(db, options.scan)
+        : db.getLatestScan();
 
       if (!scanInfo) {
         throw new Error("Invalid or corrupted index file");
       }
 
-      const duplicates = db.getDuplicateGroups(1);
-      const port = parseInt(options.port, 10);
+      const keeperPath = path.resolve(keeper);
+      const keeperFile = db.getFileByPath(scanInfo.id, keeperPath);
+      if (!keeperFile?.group_id) {
+        throw new Error(`${keeperPath} is not part of a duplicate group`);
+      }
 
-      console.log("\n📂 Loading index file...");
-      console.log(`Base directory: ${scanInfo.base_directory}`);
-      console.log(
-        `Scan time: ${prettyMs(scanInfo.end_time - scanInfo.start_time)}`
+      const targets =
+        files.length > 0
+          ? files.map((file) => path.resolve(file))
+          : db
+              .getGroupFiles(scanInfo.id, keeperFile.group_id)
+              .map((file) => file.path)
+              .filter((filePath) => filePath !== keeperPath);
+
+      let failures = 0;
+      for (const filePath of targets) {
+        try {
+          if (options.symbolic) {
+            const { target } = await symlinkDuplicate(
+              db,
+              scanInfo.id,
+              filePath,
+              keeperPath,
+              { relative: !options.absolute }
+            );
+            console.log(`↪️  ${filePath} -> ${target}`);
+          } else {
+            await linkDuplicate(db, scanInfo.id, filePath, keeperPath);
+            console.log(`🔗 ${filePath} -> ${keeperPath}`);
+          }
+        } catch (error) {
+          failures++;
+          console.error(`❌ ${error.message}`);
+        }
+      }
+      db.close();
+
+      if (failures > 0) {
+        process.exit(1);
+      }
+      console.log(`✨ Linked ${targets.length} file(s)`);
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("plan")
+  .description(
+    "Choose the file to keep in every duplicate group with ordered keep rules"
+  )
+  .argument("<index-file>", "Path to the index file")
+  .option(
+    "-r, --rule <rules...>",
+    `Keep rules in priority order, e.g. newest or prefer:**/photos/** (available: ${RULE_NAMES.join(
+      ", "
+    )})`,
+    ["first"]
+  )
+  .option(
+    "-a, --apply <action>",
+    "Act on the files that are not kept: quarantine, link or symlink"
+  )
+  .option(
+    "-q, --quarantine <dir>",
+    "Directory for quarantined files (default: next to the index file)"
+  )
+  .option(
+    "--scan <id>",
+    "Scan to plan, as listed by the scans command (default: latest)"
+  )
+  .action(async (indexFile, options) => {
+    try {
+      await fs.access(indexFile);
+
+      const actions = ["quarantine", "link", "symlink"];
+      if (options.apply && !actions.includes(options.apply)) {
+        throw new Error(`--apply must be one of ${actions.join(", ")}`);
+      }
+
+      const db = new ScanDatabase(indexFile);
+      const scanInfo = options.scan
+        ? getScan(db, options.scan)
+        : db.getLatestScan();
+
+      if (!scanInfo) {
+        throw new Error("Invalid or corrupted index file");
+      }
+
+      const groups = db
+        .getDuplicateGroups(scanInfo.id)
+        .map((g) => JSON.parse(g.files));
+      const decisions = chooseKeepers(groups, options.rule);
+      displayDecisions(decisions);
+
+      if (!options.apply) {
+        db.close();
+        return;
+      }
+
+      const quarantineDir =
+        options.quarantine || ScanDatabase.generateQuarantinePath(indexFile);
+      let failures = 0;
+      for (const decision of decisions.filter((d) => d.keeper)) {
+        for (const filePath of decision.remove) {
+          try {
+            if (options.apply === "quarantine") {
+              await quarantineFile(db, scanInfo.id, filePath, quarantineDir);
+            } else if (options.apply === "link") {
+              await linkDuplicate(db, scanInfo.id, filePath, decision.keeper);
+            } else {
+              await symlinkDuplicate(
+                db,
+                scanInfo.id,
+                filePath,
+                decision.keeper
+              );
+            }
+          } catch (error) {
+            failures++;
+            console.error(`❌ ${error.message}`);
+          }
+        }
+      }
+      db.close();
+
+      if (failures > 0) {
+        process.exit(1);
+      }
+      console.log(`\n✨ Applied ${options.apply} to the files not kept`);
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("quarantine-dir")
+  .description(
+    "Move every file of a folder that has an identical copy into quarantine"
+  )
+  .argument("<index-file>", "Path to the index file")
+  .argument("<dirs...>", "Redundant folders to quarantine")
+  .option(
+    "-q, --quarantine <dir>",
+    "Directory for quarantined files (default: next to the index file)"
+  )
+  .option(
+    "--scan <id>",
+    "Scan the folders belong to, as listed by the scans command (default: latest)"
+  )
+  .action(async (indexFile, dirs, options) => {
+    try {
+      await fs.access(indexFile);
+
+      const db = new ScanDatabase(indexFile);
+      const scanInfo = options.scan
+        ? getScan(db, options.scan)
+        : db.getLatestScan();
+
+      if (!scanInfo) {
+        throw new Error("Invalid or corrupted index file");
+      }
+
+      const quarantineDir =
+        options.quarantine || ScanDatabase.generateQuarantinePath(indexFile);
+      let failures = 0;
+      for (const dir of dirs) {
+        try {
+          const result = await quarantineDirectory(
+            db,
+            scanInfo.id,
+            dir,
+            quarantineDir
+          );
+          console.log(
+            `🗑️  ${result.dirPath}: ${result.files.length} file(s), ` +
+              `copy kept in ${result.copies[0]}`
+          );
+        } catch (error) {
+          failures++;
+          console.error(`❌ ${error.message}`);
+        }
+      }
+      db.close();
+
+      if (failures > 0) {
+        process.exit(1);
+      }
+      console.log(`✨ Quarantined ${dirs.length} folder(s)`);
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("export")
+  .description("Export duplicate groups from an index file")
+  .argument("<index-file>", "Path to the index file")
+  .option(
+    "-f, --format <format>",
+    `Output format: ${EXPORT_FORMATS.join(", ")}`,
+    "json"
+  )
+  .option("-o, --output <file>", "Write to a file instead of stdout")
+  .option("--per-file", "Write one JSON/NDJSON record per file, not per group")
+  .option("--path <text>", "Only groups with a file whose path contains text")
+  .option(
+    "--size <category>",
+    `Only groups of a size category: ${SIZE_CATEGORIES.join(", ")}`
+  )
+  .option(
+    "--type <type>",
+    `Only groups with a file of a type: ${FILE_TYPES.join(", ")}`
+  )
+  .option(
+    "--scan <id>",
+    "Scan to export, as listed by the scans command (default: latest)"
+  )
+  .action(async (indexFile, options) => {
+    try {
+      await fs.access(indexFile);
+
+      const db = new ScanDatabase(indexFile);
+      const scanInfo = options.scan
+        ? getScan(db, options.scan)
+        : db.getLatestScan();
+
+      if (!scanInfo) {
+        throw new Error("Invalid or corrupted index file");
+      }
+
+      const groups = db
+        .getDuplicateGroups(scanInfo.id)
+        .map((g) => JSON.parse(g.files));
+      db.close();
+
+      const output = exportGroups(
+        filterGroups(groups, {
+          path: options.path,
+          size: options.size,
+          type: options.type,
+        }),
+        options.format,
+        { perFile: options.perFile }
       );
-      console.log(`Files scanned: ${scanInfo.files_scanned}`);
-      console.log(`Groups found: ${scanInfo.groups_found}`);
 
-      await startWebInterface(duplicates, port, indexFile, 1);
+      if (options.output) {
+        await fs.writeFile(options.output, output);
+        console.error(`✨ Exported duplicates to ${options.output}`);
+      } else {
+        process.stdout.write(output);
+      }
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("restore")
+  .description(
+    "Restore files from quarantine, or list them when no file is given"
+  )
+  .argument("<index-file>", "Path to the index file")
+  .argument("[files...]", "Original paths of the files to restore")
+  .option("-a, --all", "Restore every quarantined file")
+  .action(async (indexFile, files, options) => {
+    try {
+      await fs.access(indexFile);
+
+      const db = new ScanDatabase(indexFile);
+      const quarantined = db.getQuarantined();
+
+      if (!options.all && files.length === 0) {
+        if (quarantined.length === 0) {
+          console.log("✨ Quarantine is empty");
+        }
+        quarantined.forEach((entry) => {
+          const removedAt = new Date(entry.removed_at).toLocaleString();
+          console.log(`${removedAt}  ${entry.original_path}`);
+        });
+        db.close();
+        return;
+      }
+
+      const entries = options.all
+        ? quarantined
+        : files.map((file) => {
+            const originalPath = path.resolve(file);
+            return (
+              quarantined.find(
+                (entry) => entry.original_path === originalPath
+              ) || { original_path: originalPath }
+            );
+          });
+
+      let failures = 0;
+      for (const entry of entries) {
+        try {
+          if (!entry.id) {
+            throw new Error(`${entry.original_path} is not in quarantine`);
+          }
+          await restoreFile(db, entry.id);
+          console.log(`♻️  ${entry.original_path}`);
+        } catch (error) {
+          failures++;
+          console.error(`❌ ${error.message}`);
+        }
+      }
+      db.close();
+
+      if (failures > 0) {
+        process.exit(1);
+      }
+      console.log(`✨ Restored ${entries.length} file(s)`);
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("purge")
+  .description("Permanently delete old files from quarantine")
+  .argument("<index-file>", "Path to the index file")
+  .option(
+    "-o, --older-than <days>",
+    "Only delete files quarantined more than this many days ago",
+    "30"
+  )
+  .action(async (indexFile, options) => {
+    try {
+      await fs.access(indexFile);
+
+      const days = parseFloat(options.olderThan);
+      if (Number.isNaN(days) || days < 0) {
+        throw new Error("--older-than must be a number of days");
+      }
+
+      const db = new ScanDatabase(indexFile);
+      const purged = await purgeQuarantine(db, days);
+      db.close();
+
+      purged.forEach((entry) => console.log(`🗑️  ${entry.filePath}`));
+      console.log(`✨ Purged ${purged.length} file(s) from quarantine`);
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("scans")
+  .description(
+    "List the scans recorded in an index, with their duplicates and trend"
+  )
+  .argument("<index-file>", "Path to the index file")
+  .action(async (indexFile) => {
+    try {
+      await fs.access(indexFile);
+
+      const db = new ScanDatabase(indexFile);
+      try {
+        displayScans(listScans(db));
+      } finally {
+        db.close();
+      }
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("diff")
+  .description(
+    "Show duplicate groups added and resolved between two scans of an index"
+  )
+  .argument("<index-file>", "Path to the index file")
+  .argument(
+    "[from]",
+    "Earlier scan (default: the scan before the later one, of the same directories)"
+  )
+  .argument("[to]", "Later scan (default: latest)")
+  .option("--json", "Print the differences as JSON")
+  .action(async (indexFile, from, to, options) => {
+    try {
+      await fs.access(indexFile);
+
+      const db = new ScanDatabase(indexFile);
+      try {
+        const { fromId, toId } = defaultDiffScans(db, from, to);
+        const diff = diffScans(db, fromId, toId);
+        if (options.json) {
+          process.stdout.write(JSON.stringify(diff, null, 2) + "\n");
+        } else {
+          displayScanDiff(diff);
+        }
+      } finally {
+        db.close();
+      }
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("history")
+  .description("Show the journal of file operations recorded in an index")
+  .argument("<index-file>", "Path to the index file")
+  .option("-l, --limit <number>", "Number of operations to show", "50")
+  .action(async (indexFile, options) => {
+    try {
+      await fs.access(indexFile);
+
+      const db = new ScanDatabase(indexFile);
+      displayHistory(db.getOperations(parseInt(options.limit, 10)));
+      db.close();
+    } catch (error) {
+      console.error("Error:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("undo")
+  .description("Undo a rename, quarantine or link operation from the history")
+  .argument("<index-file>", "Path to the index file")
+  .argument("<id>", "Id of the operation, as shown by the history command")
+  .action(async (indexFile, id) => {
+    try {
+      await fs.access(indexFile);
+
+      const db = new ScanDatabase(indexFile);
+      try {
+        const operation = await undoOperation(db, parseInt(id, 10));
+        console.log(
+          `↩️  Undid ${operation.action} of ${operation.source_path}`
+        );
+      } finally {
+        db.close();
+      }
     } catch (error) {
       console.error("Error:", error.message);
       process.exit(1);
@@ -103,17 +911,35 @@ program
 program
   .command("shutdown")
   .description("Shutdown the server")
+  .requiredOption(
+    "-t, --token <token>",
+    "Session token, from the address printed when the server started"
+  )
+  .option("-p, --port <number>", "Port of the web interface", "8080")
+  .option("--host <address>", "Address of the web interface", "localhost")
   .option("-d, --delete-index", "Delete the index file after shutdown")
   .action(async (options) => {
     try {
-      const response = await fetch("http://localhost:8080/api/shutdown", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ deleteIndex: options.deleteIndex }),
-      });
+      const host = options.host.includes(":")
+        ? `[${options.host}]`
+        : options.host;
+      const response = await fetch(
+        `http://${host}:${options.port}/api/shutdown`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${options.token}`,
+          },
+          body: JSON.stringify({ deleteIndex: options.deleteIndex }),
+        }
+      );
 
       if (!response.ok) {
-        throw new Error("Failed to shutdown server");
+        const body = await response.json().catch(() => ({}));
+        throw new Error(
+          `Failed to shutdown server${body.details ? `: ${body.details}` : ""}`
+        );
       }
 
       console.log("✨ Server shutdown successfully");
@@ -1,5 +1,6 @@
 import Table from "cli-table3";
 import path from "path";
+import prettyMs from "pretty-ms";
 
 function formatSize(bytes) {
   const units = ["B", "KB", "MB", "GB", "TB"];
@@ -27,10 +28,14 @@ export function displayConsoleResults(duplicates) {
     (sum, group) => sum + group[0].size * group.length,
     0
   );
-  const potentialSavings = duplicates.reduce(
-    (sum, group) => sum + group[0].size * (group.length - 1),
-    0
-  );
+  // Files in reference directories and inside archives are never removed
+  const potentialSavings = duplicates.reduce((sum, group) => {
+    const targets = group.filter(
+      (file) => !file.reference && !file.archive
+    ).length;
+    const removable = targets < group.length ? targets : group.length - 1;
+    return sum + group[0].size * removable;
+  }, 0);
 
   // Display summary
   console.log("\n📊 Summary:");
@@ -58,7 +63,10 @@ export function displayConsoleResults(duplicates) {
       .map((file) => {
         const basename = path.basename(file.path);
         const dirname = path.dirname(file.path);
-        return `${dirname}/\x1b[1m${basename}\x1b[0m`;
+        const marker =
+          (file.reference ? " 📚" : "") + (file.archive ? " 📦" : "");
+        const links = (file.links || []).map((link) => `\n  🔗 ${link}`);
+        return `${dirname}/\x1b[1m${basename}\x1b[0m${marker}${links.join("")}`;
       })
       .join("\n");
 
@@ -72,7 +80,294 @@ export function displayConsoleResults(duplicates) {
 
   // Display table
   console.log(table.toString());
+  if (duplicates.some((group) => group.some((file) => file.links?.length))) {
+    console.log(
+      "\n🔗 Paths already linked to the file above them are not counted as duplicates"
+    );
+  }
+  if (duplicates.some((group) => group.some((file) => file.reference))) {
+    console.log("\n📚 Files in a reference directory are kept read-only");
+  }
+  if (duplicates.some((group) => group.some((file) => file.archive))) {
+    console.log("\n📦 Files inside an archive are kept read-only");
+  }
   console.log(
     "\n💡 Tip: Use the web interface (-w flag) for interactive management of duplicate files"
   );
 }
+
+export function displayDirectoryGroups({ identical, partial }) {
+  if (identical.length === 0 && partial.length === 0) {
+    console.log("\n✨ No duplicate folders found");
+    return;
+  }
+
+  if (identical.length > 0) {
+    console.log("\n📂 Identical folders:");
+    console.log("==========================================");
+    identical.forEach((group, index) => {
+      console.log(
+        `\nFolder group ${index + 1} - ${group.fileCount} file(s), ` +
+          `${formatSize(group.size)} each`
+      );
+      group.directories.forEach((dir) => {
+        console.log(`  📁 ${dir.path}${dir.reference ? " 📚" : ""}`);
+      });
+    });
+  }
+
+  if (partial.length > 0) {
+    console.log("\n🧩 Partly overlapping folders:");
+    console.log("==========================================");
+    partial.forEach((pair) => {
+      console.log(
+        `\n${Math.round(pair.overlap * 100)}% in common ` +
+          `(${formatSize(pair.sharedBytes)} of ${formatSize(pair.totalBytes)})`
+      );
+      pair.directories.forEach((dir) => {
+        console.log(`  📁 ${dir.path}${dir.reference ? " 📚" : ""}`);
+      });
+    });
+  }
+
+  console.log(
+    "\n💡 Tip: Use quarantine-dir to move a redundant folder into quarantine in one go"
+  );
+}
+
+export function displayContentGroups(groups) {
+  if (groups.length === 0) {
+    console.log("\n✨ No media files with the same content found");
+    return;
+  }
+
+  console.log("\n🎵 Same content, different tags:");
+  console.log("==========================================");
+  groups.forEach((group, index) => {
+    const tags =
+      group.differingTags.length > 0
+        ? `differing in ${group.differingTags.join(", ")}`
+        : "differing in unrecognised metadata";
+    console.log(
+      `\nContent group ${index + 1} - ${group.files.length} file(s), ${tags}`
+    );
+    group.files.forEach((file) => {
+      console.log(
+        `  🎵 ${file.path} - ${formatSize(file.size)}` +
+          `${file.reference ? " 📚" : ""}`
+      );
+      group.differingTags.forEach((tag) => {
+        console.log(`       ${tag}: ${file.metadata[tag] ?? "(none)"}`);
+      });
+    });
+  });
+
+  console.log(
+    "\n💡 These files are not byte-identical; keep the copy whose tags you prefer"
+  );
+}
+
+export function displaySimilarImages(groups) {
+  if (groups.length === 0) {
+    console.log("\n✨ No similar images found");
+    return;
+  }
+
+  console.log("\n🖼️  Similar images:");
+  console.log("==========================================");
+  groups.forEach((group, index) => {
+    console.log(
+      `\nImage group ${index + 1} - ${group.files.length} image(s), ` +
+        `${Math.round(group.similarity * 100)}% similar or more`
+    );
+    group.files.forEach((file, fileIndex) => {
+      const similarity =
+        fileIndex === 0 ? "" : ` (${Math.round(file.similarity * 100)}%)`;
+      console.log(
+        `  🖼️  ${file.path} - ${formatSize(file.size)}${similarity}` +
+          `${file.reference ? " 📚" : ""}`
+      );
+    });
+  });
+
+  console.log(
+    "\n💡 Similar images are not byte-identical; compare them before deleting any"
+  );
+}
+
+export function displaySimilarTexts(groups) {
+  if (groups.length === 0) {
+    console.log("\n✨ No similar text files found");
+    return;
+  }
+
+  console.log("\n📝 Similar text files:");
+  console.log("==========================================");
+  groups.forEach((group, index) => {
+    console.log(
+      `\nText group ${index + 1} - ${group.files.length} file(s), ` +
+        `about ${Math.round(group.similarity * 100)}% similar or more`
+    );
+    group.files.forEach((file, fileIndex) => {
+      const similarity =
+        fileIndex === 0 ? "" : ` (${Math.round(file.similarity * 100)}%)`;
+      console.log(
+        `  📝 ${file.path} - ${formatSize(file.size)}${similarity}` +
+          `${file.reference ? " 📚" : ""}`
+      );
+    });
+  });
+
+  console.log(
+    "\n💡 Similar text files differ in places; use the web interface to compare them line by line"
+  );
+}
+
+export function displayHistory(operations) {
+  if (operations.length === 0) {
+    console.log("\n✨ No operations recorded");
+    return;
+  }
+
+  const table = new Table({
+    head: ["Id", "Time", "Action", "Outcome", "From", "To"],
+    style: {
+      head: ["cyan"],
+      border: ["gray"],
+    },
+    wordWrap: true,
+    wrapOnWordBoundary: false,
+  });
+
+  operations.forEach((operation) => {
+    let outcome = operation.outcome;
+    if (operation.undone_at) outcome += " (undone)";
+    if (operation.error) outcome += `\n${operation.error}`;
+
+    table.push([
+      operation.id,
+      new Date(operation.timestamp).toLocaleString(),
+      operation.action,
+      outcome,
+      operation.source_path || "",
+      operation.target_path || "",
+    ]);
+  });
+
+  console.log(table.toString());
+}
+
+export function displayDecisions(decisions) {
+  if (decisions.length === 0) {
+    console.log("\n✨ No duplicate files found");
+    return;
+  }
+
+  decisions.forEach((decision, index) => {
+    console.log(`\nGroup ${index + 1} (${(decision.hash || "").slice(0, 8)})`);
+    if (decision.keeper) {
+      console.log(`  ✅ keep   ${decision.keeper}`);
+    }
+    decision.remove.forEach((filePath) => {
+      console.log(`  ❌ remove ${filePath}`);
+    });
+    console.log(`  💡 ${decision.reason}`);
+  });
+}
+
+/**
+ * Format a change in bytes with its direction; fewer reclaimable bytes means
+ * the cleanup is working
+ * @param {number|null} bytes - Change in bytes
+ * @returns {string} Change, or an empty string when there is nothing to compare
+ */
+function formatChange(bytes) {
+  if (bytes === null) return "";
+  if (bytes === 0) return "= no change";
+  return bytes < 0
+    ? `▼ ${formatSize(-bytes)} less`
+    : `▲ ${formatSize(bytes)} more`;
+}
+
+export function displayScans(scans) {
+  if (scans.length === 0) {
+    console.log("\n✨ No scans recorded");
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      "Id",
+      "Started",
+      "Duration",
+      "Directory",
+      "Files",
+      "Groups",
+      "Reclaimable",
+      "Change",
+    ],
+    style: {
+      head: ["cyan"],
+      border: ["gray"],
+    },
+    wordWrap: true,
+    wrapOnWordBoundary: false,
+  });
+
+  scans.forEach((scan) => {
+    table.push([
+      scan.id,
+      new Date(scan.startTime).toLocaleString(),
+      scan.endTime ? prettyMs(scan.endTime - scan.startTime) : "incomplete",
+      scan.baseDirectory,
+      scan.filesScanned,
+      scan.groups,
+      formatSize(scan.reclaimableBytes),
+      formatChange(scan.change),
+    ]);
+  });
+
+  console.log(table.toString());
+  console.log(
+    "\n💡 Change is measured against the previous finished scan of the same directories"
+  );
+}
+
+export function displayScanDiff(diff) {
+  const { from, to } = diff;
+  console.log(`\n📊 Scan ${from.id} → scan ${to.id}:`);
+  console.log("==========================================");
+  console.log(
+    `📁 Duplicate groups: ${from.groups} → ${to.groups} ` +
+      `(${diff.added.length} added, ${diff.resolved.length} resolved, ` +
+      `${diff.changed.length} changed)`
+  );
+  console.log(
+    `💾 Reclaimable: ${formatSize(from.reclaimableBytes)} → ` +
+      `${formatSize(to.reclaimableBytes)} ` +
+      `(${formatChange(to.reclaimableBytes - from.reclaimableBytes)})`
+  );
+  console.log(`➕ New duplicates: ${formatSize(diff.addedBytes)}`);
+  console.log(`✅ Resolved duplicates: ${formatSize(diff.resolvedBytes)}`);
+  console.log("==========================================");
+
+  const show = (title, groups, marker) => {
+    if (groups.length === 0) return;
+    console.log(`\n${title}:`);
+    groups.forEach((group) => {
+      const count = group.previousFiles
+        ? `${group.previousFiles.length} → ${group.files.length}`
+        : group.files.length;
+      console.log(
+        `\n${marker} ${group.hash.slice(0, 8)} - ${count} file(s) ` +
+          `of ${formatSize(group.size)}, ${formatSize(
+            group.reclaimableBytes
+          )} reclaimable`
+      );
+      group.files.forEach((filePath) => console.log(`  ${filePath}`));
+    });
+  };
+  show("Added groups", diff.added, "➕");
+  show("Resolved groups", diff.resolved, "✅");
+  show("Changed groups", diff.changed, "🔄");
+}
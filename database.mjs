@@ -2,9 +2,163 @@ import Database from "better-sqlite3";
 import crypto from "crypto";
 import path from "path";
 
+// Columns duplicate groups can be sorted on
+const GROUP_SORTS = {
+  size: "size",
+  reclaimable: "reclaimable_bytes",
+  count: "file_count",
+  path: "first_path",
+};
+
+// Duplicate groups of a scan, found as in getDuplicateGroups, that match the
+// filters, with the columns they are sorted on. The scan id is the first
+// parameter of the query.
+function matchingGroups({
+  path = "",
+  minSize = null,
+  maxSize = null,
+  extensions = null,
+  otherThan = null,
+}) {
+  const sizeConditions = [];
+  const sizeParams = [];
+  if (minSize !== null) {
+    sizeConditions.push("AND f.size >= ?");
+    sizeParams.push(minSize);
+  }
+  if (maxSize !== null) {
+    sizeConditions.push("AND f.size < ?");
+    sizeParams.push(maxSize);
+  }
+
+  // A group matches when any of its files has the path text and the type
+  const fileConditions = ["instr(lower(f.path), ?) > 0"];
+  const fileParams = [path.toLowerCase()];
+  const anyExtension = (list) =>
+    `(${list.map(() => "f.path LIKE ?").join(" OR ")})`;
+  if (extensions) {
+    fileConditions.push(anyExtension(extensions));
+    fileParams.push(...extensions.map((ext) => `%.${ext}`));
+  }
+  if (otherThan) {
+    fileConditions.push(`NOT ${anyExtension(otherThan)}`);
+    fileParams.push(...otherThan.map((ext) => `%.${ext}`));
+  }
+
+  return {
+    sql: `
+            SELECT
+                f.group_id,
+                MIN(f.size) AS size,
+                COUNT(*) AS file_count,
+                MIN(f.path) AS first_path,
+                -- Files in reference roots and inside archives stay
+                MIN(f.size) * CASE
+                    WHEN SUM(NOT f.reference AND f.archive IS NULL) < COUNT(*)
+                    THEN SUM(NOT f.reference AND f.archive IS NULL)
+                    ELSE COUNT(*) - 1
+                END AS reclaimable_bytes
+            FROM files f
+            WHERE f.scan_id = ? AND f.group_id IS NOT NULL
+                ${sizeConditions.join(" ")}
+                AND NOT EXISTS (
+                    SELECT 1 FROM files o
+                    WHERE o.scan_id = f.scan_id AND o.group_id = f.group_id
+                        AND o.device = f.device AND o.inode = f.inode
+                        AND o.id < f.id
+                )
+            GROUP BY f.group_id
+            HAVING COUNT(*) > 1
+                AND (
+                    NOT EXISTS (
+                        SELECT 1 FROM scan_roots
+                        WHERE scan_id = f.scan_id AND reference = 1
+                    )
+                    OR SUM(f.reference) BETWEEN 1 AND COUNT(*) - 1
+                )
+                AND SUM(CASE WHEN ${fileConditions.join(
+                  " AND "
+                )} THEN 1 ELSE 0 END) > 0
+        `,
+    params: [...sizeParams, ...fileParams],
+  };
+}
+
+// Hashes files of one size must share to stay candidates after each stage
+// of the comparison. Large files are also compared by the hash of their last
+// block, then by that of blocks sampled from the middle.
+const CANDIDATE_HASHES = {
+  size: [],
+  quickHash: ["quick_hash"],
+  tail: ["quick_hash", "tail_hash"],
+  sample: ["quick_hash", "tail_hash", "sample_hash"],
+};
+
+// Files of a scan, one per inode, in groups of more than one file sharing the
+// hashes of a stage, with the key of their group. Files of at least
+// @sampleMinSize bytes that could not be sampled are left out.
+function candidateQuery(stage) {
+  const hashes = CANDIDATE_HASHES[stage];
+  if (!hashes) {
+    throw new Error(`Unknown comparison stage "${stage}"`);
+  }
+  const sampled = (column) => ["tail_hash", "sample_hash"].includes(column);
+  const key = [
+    "f.size",
+    ...hashes.map((column) =>
+      sampled(column)
+        ? `CASE WHEN f.size >= @sampleMinSize THEN f.${column} ELSE '' END`
+        : `f.${column}`
+    ),
+  ].join(" || ':' || ");
+  const unsampled = hashes
+    .filter(sampled)
+    .map((column) => `AND (f.size < @sampleMinSize OR f.${column} IS NOT NULL)`)
+    .join(" ");
+
+  return `
+            SELECT id, group_key FROM (
+                SELECT
+                    id,
+                    group_key,
+                    COUNT(*) OVER (PARTITION BY group_key) AS copies,
+                    SUM(reference) OVER (PARTITION BY group_key) AS in_references
+                FROM (
+                    SELECT f.id, f.reference, ${key} AS group_key
+                    FROM files f
+                    WHERE f.scan_id = @scanId AND f.link_target IS NULL
+                        ${unsampled}
+                        AND NOT EXISTS (
+                            SELECT 1 FROM files o
+                            WHERE o.scan_id = f.scan_id AND o.device = f.device
+                                AND o.inode = f.inode AND o.id < f.id
+                        )
+                )
+            )
+            WHERE copies > 1
+                AND (
+                    NOT EXISTS (
+                        SELECT 1 FROM scan_roots
+                        WHERE scan_id = @scanId AND reference = 1
+                    )
+                    OR in_references BETWEEN 1 AND copies - 1
+                )
+        `;
+}
+
+// Paths of the other links to the inode of file f, as a JSON array
+const LINKS = `
+                json((
+                    SELECT json_group_array(l.path) FROM files l
+                    WHERE l.scan_id = f.scan_id AND l.device = f.device
+                        AND l.inode = f.inode AND l.id != f.id
+                )) AS links
+`;
+
 export class ScanDatabase {
   constructor(dbPath) {
     this.db = new Database(dbPath);
+    this.statements = new Map();
     this.initializeDatabase();
   }
 
@@ -33,26 +187,180 @@ export class ScanDatabase {
                 FOREIGN KEY(scan_id) REFERENCES scan_info(id)
             );
 
+            CREATE TABLE IF NOT EXISTS scan_roots (
+                id INTEGER PRIMARY KEY,
+                scan_id INTEGER,
+                path TEXT NOT NULL,
+                reference INTEGER NOT NULL DEFAULT 0,
+                FOREIGN KEY(scan_id) REFERENCES scan_info(id)
+            );
+
+            CREATE TABLE IF NOT EXISTS quarantine (
+                id INTEGER PRIMARY KEY,
+                scan_id INTEGER,
+                original_path TEXT NOT NULL,
+                quarantine_path TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                created INTEGER NOT NULL,
+                modified INTEGER NOT NULL,
+                quick_hash TEXT NOT NULL,
+                full_hash TEXT,
+                removed_at INTEGER NOT NULL,
+                FOREIGN KEY(scan_id) REFERENCES scan_info(id)
+            );
+
+            CREATE TABLE IF NOT EXISTS operations (
+                id INTEGER PRIMARY KEY,
+                scan_id INTEGER,
+                action TEXT NOT NULL,
+                source_path TEXT,
+                target_path TEXT,
+                source_hash TEXT,
+                target_hash TEXT,
+                details TEXT,
+                timestamp INTEGER NOT NULL,
+                outcome TEXT NOT NULL,
+                error TEXT,
+                undone_at INTEGER,
+                FOREIGN KEY(scan_id) REFERENCES scan_info(id)
+            );
+
             CREATE INDEX IF NOT EXISTS idx_files_group_id ON files(group_id);
             CREATE INDEX IF NOT EXISTS idx_files_scan_id ON files(scan_id);
+            CREATE INDEX IF NOT EXISTS idx_files_path ON files(path);
         `);
+
+    // Columns added after the first release
+    this.addColumnIfMissing("files", "device", "INTEGER");
+    this.addColumnIfMissing("files", "inode", "INTEGER");
+    this.addColumnIfMissing("files", "link_target", "TEXT");
+    this.addColumnIfMissing("files", "tail_hash", "TEXT");
+    this.addColumnIfMissing("files", "sample_hash", "TEXT");
+    this.addColumnIfMissing("files", "root", "TEXT");
+    this.addColumnIfMissing("files", "reference", "INTEGER NOT NULL DEFAULT 0");
+    this.addColumnIfMissing("files", "image_hash", "TEXT");
+    this.addColumnIfMissing("files", "text_signature", "TEXT");
+    this.addColumnIfMissing("files", "content_hash", "TEXT");
+    this.addColumnIfMissing("files", "archive", "TEXT");
+    this.addColumnIfMissing("quarantine", "group_id", "TEXT");
+    this.addColumnIfMissing("quarantine", "root", "TEXT");
+    this.addColumnIfMissing(
+      "quarantine",
+      "reference",
+      "INTEGER NOT NULL DEFAULT 0"
+    );
+    this.addColumnIfMissing("quarantine", "device", "INTEGER");
+    this.addColumnIfMissing("quarantine", "inode", "INTEGER");
+    this.addColumnIfMissing(
+      "scan_info",
+      "hash_algorithm",
+      "TEXT NOT NULL DEFAULT 'sha256'"
+    );
+    this.addColumnIfMissing(
+      "scan_info",
+      "verified",
+      "INTEGER NOT NULL DEFAULT 0"
+    );
+    this.db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_files_inode ON files(scan_id, device, inode)"
+    );
+    this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_files_scan_path ON files(scan_id, path);
+            CREATE INDEX IF NOT EXISTS idx_files_scan_size ON files(scan_id, size, quick_hash);
+        `);
+  }
+
+  // Statements run once per file are prepared once
+  prepare(sql) {
+    let statement = this.statements.get(sql);
+    if (!statement) {
+      statement = this.db.prepare(sql);
+      this.statements.set(sql, statement);
+    }
+    return statement;
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  addColumnIfMissing(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some((c) => c.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
   }
 
-  startScan(baseDirectory) {
+  startScan(baseDirectory, hashAlgorithm = "sha256") {
     const result = this.db
       .prepare(
-        "INSERT INTO scan_info (base_directory, start_time) VALUES (?, ?)"
+        "INSERT INTO scan_info (base_directory, start_time, hash_algorithm) VALUES (?, ?, ?)"
       )
-      .run(baseDirectory, Date.now());
+      .run(baseDirectory, Date.now(), hashAlgorithm);
     return result.lastInsertRowid;
   }
 
-  updateScanProgress(scanId, filesScanned, groupsFound) {
+  addScanRoots(scanId, roots) {
+    const insert = this.db.prepare(
+      "INSERT INTO scan_roots (scan_id, path, reference) VALUES (?, ?, ?)"
+    );
+    this.db.transaction(() => {
+      roots.forEach((root) =>
+        insert.run(scanId, root.path, root.reference ? 1 : 0)
+      );
+    })();
+  }
+
+  getScanRoots(scanId) {
+    return this.db
+      .prepare("SELECT * FROM scan_roots WHERE scan_id = ? ORDER BY id")
+      .all(scanId);
+  }
+
+  getHashAlgorithm(scanId) {
+    return (
+      this.db
+        .prepare("SELECT hash_algorithm FROM scan_info WHERE id = ?")
+        .get(scanId)?.hash_algorithm || "sha256"
+    );
+  }
+
+  markScanVerified(scanId) {
     this.db
+      .prepare("UPDATE scan_info SET verified = 1 WHERE id = ?")
+      .run(scanId);
+  }
+
+  getIncompleteScan(baseDirectory) {
+    return this.db
       .prepare(
-        "UPDATE scan_info SET files_scanned = ?, groups_found = ? WHERE id = ?"
+        `
+            SELECT * FROM scan_info
+            WHERE base_directory = ? AND end_time IS NULL
+            ORDER BY id DESC
+            LIMIT 1
+        `
       )
-      .run(filesScanned, groupsFound, scanId);
+      .get(baseDirectory);
+  }
+
+  getPreviousScan(baseDirectory, scanId) {
+    return this.db
+      .prepare(
+        `
+            SELECT * FROM scan_info
+            WHERE base_directory = ? AND end_time IS NOT NULL AND id != ?
+            ORDER BY id DESC
+            LIMIT 1
+        `
+      )
+      .get(baseDirectory, scanId);
+  }
+
+  updateScanProgress(scanId, filesScanned, groupsFound) {
+    this.prepare(
+      "UPDATE scan_info SET files_scanned = ?, groups_found = ? WHERE id = ?"
+    ).run(filesScanned, groupsFound, scanId);
   }
 
   completeScan(scanId) {
@@ -62,31 +370,199 @@ export class ScanDatabase {
   }
 
   addFile(scanId, fileInfo, groupId = null) {
-    this.db
+    this.prepare(
+      `
+            INSERT INTO files (
+                scan_id, path, size, created, modified, 
+                quick_hash, tail_hash, sample_hash, full_hash, group_id,
+                root, reference, device, inode,
+                image_hash, text_signature, content_hash, archive
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `
+    ).run(
+      scanId,
+      fileInfo.path,
+      fileInfo.size,
+      fileInfo.created.getTime(),
+      fileInfo.modified.getTime(),
+      fileInfo.quickHash,
+      fileInfo.tailHash ?? null,
+      fileInfo.sampleHash ?? null,
+      fileInfo.hash,
+      groupId,
+      fileInfo.root ?? null,
+      fileInfo.reference ? 1 : 0,
+      fileInfo.device ?? null,
+      fileInfo.inode ?? null,
+      fileInfo.imageHash ?? null,
+      fileInfo.textSignature ?? null,
+      fileInfo.contentHash ?? null,
+      fileInfo.archive ?? null
+    );
+  }
+
+  getFiles(scanId) {
+    return this.db
+      .prepare("SELECT * FROM files WHERE scan_id = ? ORDER BY id")
+      .all(scanId);
+  }
+
+  getFileByPath(scanId, filePath) {
+    return this.prepare(
+      "SELECT * FROM files WHERE scan_id = ? AND path = ?"
+    ).get(scanId, filePath);
+  }
+
+  findPreviousHashes(scanId, filePath, size, modified) {
+    // Prefer rows whose full hash was calculated, and only reuse hashes made
+    // with the same algorithm as this scan
+    return this.prepare(
+      `
+            SELECT
+                quick_hash, tail_hash, sample_hash, full_hash,
+                image_hash, text_signature, content_hash
+            FROM files
+            WHERE path = ? AND size = ? AND modified = ? AND scan_id != ?
+                AND link_target IS NULL
+                AND scan_id IN (
+                    SELECT id FROM scan_info WHERE hash_algorithm = (
+                        SELECT hash_algorithm FROM scan_info WHERE id = ?
+                    )
+                )
+            ORDER BY full_hash IS NULL, id DESC
+            LIMIT 1
+        `
+    ).get(filePath, size, modified, scanId, scanId);
+  }
+
+  countFiles(scanId) {
+    return this.db
+      .prepare(
+        "SELECT COUNT(*) AS count FROM files WHERE scan_id = ? AND link_target IS NULL"
+      )
+      .get(scanId).count;
+  }
+
+  getMissingFiles(previousScanId, scanId) {
+    return this.db
       .prepare(
         `
+            SELECT * FROM files
+            WHERE scan_id = ? AND path NOT IN (
+                SELECT path FROM files WHERE scan_id = ?
+            )
+            ORDER BY path
+        `
+      )
+      .all(previousScanId, scanId);
+  }
+
+  addLink(scanId, linkInfo) {
+    // Symbolic links are recorded without hashes so they never join a group
+    this.prepare(
+      `
             INSERT INTO files (
-                scan_id, path, size, created, modified, 
-                quick_hash, full_hash, group_id
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                scan_id, path, size, created, modified,
+                quick_hash, link_target
+            ) VALUES (?, ?, ?, ?, ?, '', ?)
+        `
+    ).run(
+      scanId,
+      linkInfo.path,
+      linkInfo.size,
+      linkInfo.created.getTime(),
+      linkInfo.modified.getTime(),
+      linkInfo.linkTarget
+    );
+  }
+
+  markFileAsLink(scanId, filePath, linkTarget) {
+    return this.db
+      .prepare(
+        `
+            UPDATE files SET link_target = ?, group_id = NULL
+            WHERE scan_id = ? AND path = ?
+        `
+      )
+      .run(linkTarget, scanId, filePath);
+  }
+
+  unmarkFileAsLink(scanId, filePath, groupId) {
+    return this.db
+      .prepare(
+        `
+            UPDATE files SET link_target = NULL, group_id = ?
+            WHERE scan_id = ? AND path = ?
+        `
+      )
+      .run(groupId, scanId, filePath);
+  }
+
+  updateSampleHashes(fileId, tailHash, sampleHash) {
+    this.prepare(
+      "UPDATE files SET tail_hash = ?, sample_hash = ? WHERE id = ?"
+    ).run(tailHash, sampleHash, fileId);
+  }
+
+  updateFileHash(fileId, fullHash, groupId) {
+    this.prepare(
+      "UPDATE files SET full_hash = ?, group_id = ? WHERE id = ?"
+    ).run(fullHash, groupId, fileId);
+  }
+
+  updateImageHash(fileId, imageHash) {
+    this.prepare("UPDATE files SET image_hash = ? WHERE id = ?").run(
+      imageHash,
+      fileId
+    );
+  }
+
+  updateTextSignature(fileId, textSignature) {
+    this.prepare("UPDATE files SET text_signature = ? WHERE id = ?").run(
+      textSignature,
+      fileId
+    );
+  }
+
+  updateContentHash(fileId, contentHash) {
+    this.prepare("UPDATE files SET content_hash = ? WHERE id = ?").run(
+      contentHash,
+      fileId
+    );
+  }
+
+  updateFileStats(scanId, filePath, stats) {
+    return this.db
+      .prepare(
+        `
+            UPDATE files SET size = ?, modified = ?, device = ?, inode = ?
+            WHERE scan_id = ? AND path = ?
         `
       )
       .run(
+        stats.size,
+        stats.mtime.getTime(),
+        stats.dev,
+        stats.ino,
         scanId,
-        fileInfo.path,
-        fileInfo.size,
-        fileInfo.created.getTime(),
-        fileInfo.modified.getTime(),
-        fileInfo.quickHash,
-        fileInfo.hash,
-        groupId
+        filePath
       );
   }
 
-  updateFileHash(fileId, fullHash, groupId) {
-    this.db
-      .prepare("UPDATE files SET full_hash = ?, group_id = ? WHERE id = ?")
-      .run(fullHash, groupId, fileId);
+  getGroupFiles(scanId, groupId) {
+    return this.db
+      .prepare("SELECT * FROM files WHERE scan_id = ? AND group_id = ?")
+      .all(scanId, groupId);
+  }
+
+  getLatestScan() {
+    return this.db
+      .prepare("SELECT * FROM scan_info ORDER BY id DESC LIMIT 1")
+      .get();
+  }
+
+  getScans() {
+    return this.db.prepare("SELECT * FROM scan_info ORDER BY id").all();
   }
 
   getScanInfo(scanId) {
@@ -106,27 +582,432 @@ export class ScanDatabase {
                         'created', f.created,
                         'modified', f.modified,
                         'quickHash', f.quick_hash,
-                        'hash', f.full_hash
+                        'hash', f.full_hash,
+                        'device', f.device,
+                        'inode', f.inode,
+                        'links', json((
+                            SELECT json_group_array(l.path) FROM files l
+                            WHERE l.scan_id = f.scan_id AND l.device = f.device
+                                AND l.inode = f.inode AND l.id != f.id
+                        )),
+                        'root', f.root,
+                        'reference', json(CASE WHEN f.reference THEN 'true' ELSE 'false' END),
+                        'archive', f.archive
                     )
                 ) as files
             FROM files f
             WHERE f.scan_id = ? AND f.group_id IS NOT NULL
+                -- Hard links to one inode are a single entry that lists the
+                -- other paths as links
+                AND NOT EXISTS (
+                    SELECT 1 FROM files o
+                    WHERE o.scan_id = f.scan_id AND o.group_id = f.group_id
+                        AND o.device = f.device AND o.inode = f.inode
+                        AND o.id < f.id
+                )
             GROUP BY f.group_id
             HAVING COUNT(*) > 1
+                -- With reference roots, only groups that have a copy in a
+                -- reference root and in a target root are duplicates
+                AND (
+                    NOT EXISTS (
+                        SELECT 1 FROM scan_roots
+                        WHERE scan_id = f.scan_id AND reference = 1
+                    )
+                    OR SUM(f.reference) BETWEEN 1 AND COUNT(*) - 1
+                )
             ORDER BY f.size DESC
         `
       )
       .all(scanId);
   }
 
-  deleteFile(filePath) {
-    return this.db.prepare("DELETE FROM files WHERE path = ?").run(filePath);
+  // One page of the duplicate groups of a scan, filtered and sorted in SQL.
+  // Filters are those of toQueryFilters in export.mjs; rows have the same
+  // columns as getDuplicateGroups.
+  getDuplicateGroupPage(
+    scanId,
+    {
+      sort = "size",
+      descending = sort !== "path",
+      offset = 0,
+      limit = 100,
+      ...filters
+    } = {}
+  ) {
+    const column = GROUP_SORTS[sort];
+    if (!column) {
+      throw new Error(
+        `Unknown sort "${sort}". Use one of ${Object.keys(GROUP_SORTS).join(
+          ", "
+        )}`
+      );
+    }
+
+    const { sql, params } = matchingGroups(filters);
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM (${sql})`)
+      .get(scanId, ...params);
+    const groups = this.db
+      .prepare(
+        `
+            WITH matching AS (${sql})
+            SELECT
+                m.group_id,
+                (
+                    SELECT json_group_array(
+                        json_object(
+                            'path', f.path,
+                            'size', f.size,
+                            'created', f.created,
+                            'modified', f.modified,
+                            'quickHash', f.quick_hash,
+                            'hash', f.full_hash,
+                            'device', f.device,
+                            'inode', f.inode,
+                            'links', json((
+                                SELECT json_group_array(l.path) FROM files l
+                                WHERE l.scan_id = f.scan_id AND l.device = f.device
+                                    AND l.inode = f.inode AND l.id != f.id
+                            )),
+                            'root', f.root,
+                            'reference', json(CASE WHEN f.reference THEN 'true' ELSE 'false' END),
+                            'archive', f.archive
+                        )
+                    )
+                    FROM files f
+                    WHERE f.scan_id = ? AND f.group_id = m.group_id
+                        AND NOT EXISTS (
+                            SELECT 1 FROM files o
+                            WHERE o.scan_id = f.scan_id AND o.group_id = f.group_id
+                                AND o.device = f.device AND o.inode = f.inode
+                                AND o.id < f.id
+                        )
+                ) AS files
+            FROM matching m
+            ORDER BY m.${column} ${descending ? "DESC" : "ASC"}, m.group_id
+            LIMIT ? OFFSET ?
+        `
+      )
+      .all(scanId, ...params, scanId, limit, offset);
+
+    return { total, groups };
   }
 
-  updateFilePath(oldPath, newPath) {
+  // Totals over every duplicate group of a scan, for the stats header
+  getDuplicateStats(scanId) {
+    const { sql, params } = matchingGroups({});
     return this.db
-      .prepare("UPDATE files SET path = ? WHERE path = ?")
-      .run(newPath, oldPath);
+      .prepare(
+        `
+            SELECT
+                COUNT(*) AS groups,
+                COALESCE(SUM(file_count), 0) AS files,
+                COALESCE(SUM(size * file_count), 0) AS totalSize,
+                COALESCE(SUM(reclaimable_bytes), 0) AS reclaimableBytes
+            FROM (${sql})
+        `
+      )
+      .get(scanId, ...params);
+  }
+
+  // Keep the files that may have a copy at a stage of the comparison (see
+  // CANDIDATE_HASHES) in a temporary table, sorted so that files sharing
+  // their hashes are next to each other, and return how many there are
+  selectCandidates(scanId, stage, sampleMinSize) {
+    this.db.exec(`
+            CREATE TEMP TABLE IF NOT EXISTS candidates (
+                position INTEGER PRIMARY KEY,
+                file_id INTEGER NOT NULL,
+                group_key TEXT NOT NULL
+            );
+            DELETE FROM candidates;
+        `);
+    return this.db
+      .prepare(
+        `
+            INSERT INTO candidates (file_id, group_key)
+            SELECT id, group_key FROM (${candidateQuery(stage)})
+            ORDER BY group_key, id
+        `
+      )
+      .run({ scanId, sampleMinSize }).changes;
+  }
+
+  // Number of candidates of at least minSize bytes that still miss a hash
+  countCandidates(hashColumn, minSize = 0) {
+    if (!["tail_hash", "sample_hash", "full_hash"].includes(hashColumn)) {
+      throw new Error(`Unknown hash column "${hashColumn}"`);
+    }
+    return this.db
+      .prepare(
+        `
+            SELECT COUNT(*) AS count
+            FROM candidates c JOIN files f ON f.id = c.file_id
+            WHERE f.size >= ? AND f.${hashColumn} IS NULL
+        `
+      )
+      .get(minSize).count;
+  }
+
+  getCandidates(afterPosition, limit) {
+    return this.prepare(
+      `
+            SELECT c.position, c.group_key, f.*, ${LINKS}
+            FROM candidates c JOIN files f ON f.id = c.file_id
+            WHERE c.position > ?
+            ORDER BY c.position
+            LIMIT ?
+        `
+    ).all(afterPosition, limit);
+  }
+
+  // Files of the duplicate groups of a scan, one per inode, with the files
+  // of a group next to each other in path order and the largest files first
+  getDuplicateFiles(scanId) {
+    const { sql, params } = matchingGroups({});
+    return this.db
+      .prepare(
+        `
+            SELECT f.*, ${LINKS}
+            FROM files f
+            WHERE f.scan_id = ? AND f.group_id IN (SELECT group_id FROM (${sql}))
+                AND NOT EXISTS (
+                    SELECT 1 FROM files o
+                    WHERE o.scan_id = f.scan_id AND o.group_id = f.group_id
+                        AND o.device = f.device AND o.inode = f.inode
+                        AND o.id < f.id
+                )
+            ORDER BY f.size DESC, f.group_id, f.path
+        `
+      )
+      .all(scanId, scanId, ...params);
+  }
+
+  // Files of a scan outside archives, one per inode, read one at a time
+  iterateLooseFiles(scanId) {
+    return this.db
+      .prepare(
+        `
+            SELECT * FROM files f
+            WHERE f.scan_id = ? AND f.link_target IS NULL AND f.archive IS NULL
+                AND NOT EXISTS (
+                    SELECT 1 FROM files o
+                    WHERE o.scan_id = f.scan_id AND o.device = f.device
+                        AND o.inode = f.inode AND o.id < f.id
+                )
+            ORDER BY f.id
+        `
+      )
+      .iterate(scanId);
+  }
+
+  getImageFiles(scanId) {
+    return this.db
+      .prepare(
+        `
+            SELECT
+                f.path, f.size, f.created, f.modified,
+                f.full_hash AS hash, f.image_hash AS imageHash,
+                f.root, f.reference
+            FROM files f
+            WHERE f.scan_id = ? AND f.image_hash IS NOT NULL
+                AND f.link_target IS NULL
+                AND NOT EXISTS (
+                    SELECT 1 FROM files o
+                    WHERE o.scan_id = f.scan_id AND o.image_hash IS NOT NULL
+                        AND o.device = f.device AND o.inode = f.inode
+                        AND o.id < f.id
+                )
+            ORDER BY f.id
+        `
+      )
+      .all(scanId)
+      .map((row) => ({ ...row, reference: Boolean(row.reference) }));
+  }
+
+  getTextFiles(scanId) {
+    return this.db
+      .prepare(
+        `
+            SELECT
+                f.path, f.size, f.created, f.modified,
+                f.full_hash AS hash, f.text_signature AS textSignature,
+                f.root, f.reference
+            FROM files f
+            WHERE f.scan_id = ? AND f.text_signature IS NOT NULL
+                AND f.link_target IS NULL
+                AND NOT EXISTS (
+                    SELECT 1 FROM files o
+                    WHERE o.scan_id = f.scan_id AND o.text_signature IS NOT NULL
+                        AND o.device = f.device AND o.inode = f.inode
+                        AND o.id < f.id
+                )
+            ORDER BY f.id
+        `
+      )
+      .all(scanId)
+      .map((row) => ({ ...row, reference: Boolean(row.reference) }));
+  }
+
+  getContentGroups(scanId) {
+    return this.db
+      .prepare(
+        `
+            SELECT
+                f.content_hash,
+                json_group_array(
+                    json_object(
+                        'path', f.path,
+                        'size', f.size,
+                        'created', f.created,
+                        'modified', f.modified,
+                        'hash', f.full_hash,
+                        'contentHash', f.content_hash,
+                        'root', f.root,
+                        'reference', json(CASE WHEN f.reference THEN 'true' ELSE 'false' END)
+                    )
+                ) as files
+            FROM files f
+            WHERE f.scan_id = ? AND f.content_hash IS NOT NULL
+                AND f.link_target IS NULL
+                AND NOT EXISTS (
+                    SELECT 1 FROM files o
+                    WHERE o.scan_id = f.scan_id AND o.content_hash = f.content_hash
+                        AND o.device = f.device AND o.inode = f.inode
+                        AND o.id < f.id
+                )
+            GROUP BY f.content_hash
+            -- Files that are byte-identical already form an exact group
+            HAVING COUNT(DISTINCT COALESCE(f.full_hash, f.path)) > 1
+                AND (
+                    NOT EXISTS (
+                        SELECT 1 FROM scan_roots
+                        WHERE scan_id = f.scan_id AND reference = 1
+                    )
+                    OR SUM(f.reference) BETWEEN 1 AND COUNT(*) - 1
+                )
+            ORDER BY MAX(f.size) DESC
+        `
+      )
+      .all(scanId);
+  }
+
+  deleteFile(scanId, filePath) {
+    // Files inside an archive go with it. Earlier scans keep their rows, so
+    // scan history still shows what they found.
+    return this.db
+      .prepare(
+        "DELETE FROM files WHERE scan_id = ? AND (path = ? OR archive = ?)"
+      )
+      .run(scanId, filePath, filePath);
+  }
+
+  updateFilePath(scanId, oldPath, newPath) {
+    return this.db.transaction(() => {
+      this.db
+        .prepare(
+          `
+            UPDATE files SET path = ? || substr(path, ?), archive = ?
+            WHERE scan_id = ? AND archive = ?
+        `
+        )
+        .run(newPath, oldPath.length + 1, newPath, scanId, oldPath);
+      return this.db
+        .prepare("UPDATE files SET path = ? WHERE scan_id = ? AND path = ?")
+        .run(newPath, scanId, oldPath);
+    })();
+  }
+
+  addQuarantined(scanId, file, quarantinePath) {
+    const result = this.db
+      .prepare(
+        `
+            INSERT INTO quarantine (
+                scan_id, original_path, quarantine_path, size, created,
+                modified, quick_hash, full_hash, group_id, root, reference,
+                device, inode, removed_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `
+      )
+      .run(
+        scanId,
+        file.path,
+        quarantinePath,
+        file.size,
+        file.created,
+        file.modified,
+        file.quick_hash,
+        file.full_hash,
+        file.group_id ?? null,
+        file.root ?? null,
+        file.reference ? 1 : 0,
+        file.device ?? null,
+        file.inode ?? null,
+        Date.now()
+      );
+    return result.lastInsertRowid;
+  }
+
+  getQuarantined() {
+    return this.db
+      .prepare("SELECT * FROM quarantine ORDER BY removed_at DESC")
+      .all();
+  }
+
+  getQuarantinedById(id) {
+    return this.db.prepare("SELECT * FROM quarantine WHERE id = ?").get(id);
+  }
+
+  getQuarantinedBefore(timestamp) {
+    return this.db
+      .prepare("SELECT * FROM quarantine WHERE removed_at < ? ORDER BY id")
+      .all(timestamp);
+  }
+
+  removeQuarantined(id) {
+    return this.db.prepare("DELETE FROM quarantine WHERE id = ?").run(id);
+  }
+
+  logOperation(operation) {
+    const result = this.db
+      .prepare(
+        `
+            INSERT INTO operations (
+                scan_id, action, source_path, target_path, source_hash,
+                target_hash, details, timestamp, outcome, error
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `
+      )
+      .run(
+        operation.scanId ?? null,
+        operation.action,
+        operation.sourcePath ?? null,
+        operation.targetPath ?? null,
+        operation.sourceHash ?? null,
+        operation.targetHash ?? null,
+        operation.details ? JSON.stringify(operation.details) : null,
+        Date.now(),
+        operation.outcome,
+        operation.error ?? null
+      );
+    return result.lastInsertRowid;
+  }
+
+  getOperations(limit = 100) {
+    return this.db
+      .prepare("SELECT * FROM operations ORDER BY id DESC LIMIT ?")
+      .all(limit);
+  }
+
+  getOperation(id) {
+    return this.db.prepare("SELECT * FROM operations WHERE id = ?").get(id);
+  }
+
+  markOperationUndone(id) {
+    return this.db
+      .prepare("UPDATE operations SET undone_at = ? WHERE id = ?")
+      .run(Date.now(), id);
   }
 
   close() {
@@ -137,4 +1018,8 @@ export class ScanDatabase {
     const randomHex = crypto.randomBytes(4).toString("hex");
     return path.join(baseDir, `.super-dee-duper.${randomHex}`);
   }
+
+  static generateQuarantinePath(indexPath) {
+    return `${path.resolve(indexPath)}.quarantine`;
+  }
 }
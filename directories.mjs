@@ -0,0 +1,288 @@
+import crypto from "crypto";
+import path from "path";
+
+/** Smallest share of content two directories must have in common to be listed */
+export const DEFAULT_MIN_OVERLAP = 0.5;
+
+// Files sharing a hash with more copies than this are not used to pair up
+// partially overlapping directories, which keeps the pairing quadratic in a
+// small number
+const MAX_PAIRED_COPIES = 32;
+
+/**
+ * Build the directory tree holding the recorded files, from each file's
+ * scanned root down. Files inside archives are left out; the archive itself
+ * is an ordinary file of its directory.
+ * @param {Object[]} files - Rows of the files table
+ * @returns {Map<string, Object>} Directory nodes by path
+ */
+function buildTree(files) {
+  const nodes = new Map();
+
+  const nodeFor = (dirPath, root) => {
+    let node = nodes.get(dirPath);
+    if (!node) {
+      const isRoot = dirPath === root || dirPath === path.dirname(dirPath);
+      node = {
+        path: dirPath,
+        parent: isRoot ? null : path.dirname(dirPath),
+        entries: new Map(),
+        reference: true,
+        size: 0,
+        fileCount: 0,
+        hash: null,
+      };
+      nodes.set(dirPath, node);
+      if (!isRoot) {
+        nodeFor(node.parent, root).entries.set(path.basename(dirPath), {
+          type: "d",
+          node,
+        });
+      }
+    }
+    return node;
+  };
+
+  for (const file of files.filter((f) => !f.archive)) {
+    const dir = path.dirname(file.path);
+    const node = nodeFor(dir, file.root || dir);
+    node.entries.set(path.basename(file.path), {
+      type: file.link_target ? "l" : "f",
+      file,
+    });
+
+    // Sizes, counts and the reference flag cover the whole subtree
+    for (let n = node; n; n = n.parent && nodes.get(n.parent)) {
+      if (!file.link_target) {
+        n.size += file.size;
+        n.fileCount++;
+      }
+      n.reference = n.reference && Boolean(file.reference);
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Hash every directory from the sorted names and hashes of its entries,
+ * deepest directories first. A directory holding a file without a full hash
+ * has no copy anywhere, so it and its parents get no hash.
+ * @param {Map<string, Object>} nodes - Directory nodes from buildTree
+ */
+function hashTree(nodes) {
+  const depth = (node) => node.path.split(path.sep).length;
+  const deepestFirst = Array.from(nodes.values()).sort(
+    (a, b) => depth(b) - depth(a)
+  );
+
+  for (const node of deepestFirst) {
+    const hash = crypto.createHash("sha256");
+    let complete = true;
+
+    for (const name of Array.from(node.entries.keys()).sort()) {
+      const entry = node.entries.get(name);
+      // Symbolic links take part by name only
+      const entryHash =
+        entry.type === "d"
+          ? entry.node.hash
+          : entry.type === "l"
+          ? ""
+          : entry.file.full_hash;
+      if (entryHash === null || entryHash === undefined) {
+        complete = false;
+        break;
+      }
+      hash.update(`${entry.type} ${name} ${entryHash}\n`);
+    }
+
+    node.hash = complete ? hash.digest("hex") : null;
+  }
+}
+
+/**
+ * Content of a directory and everything below it, as sizes by content key.
+ * Files without a full hash are unique, so they are keyed by path.
+ * @param {Object} node - Directory node
+ * @param {Map<Object, Map<string, number>>} cache - Contents already collected
+ * @returns {Map<string, number>} Size of each distinct content
+ */
+function contentsOf(node, cache) {
+  if (!cache.has(node)) {
+    const contents = new Map();
+    for (const entry of node.entries.values()) {
+      if (entry.type === "d") {
+        contentsOf(entry.node, cache).forEach((size, key) =>
+          contents.set(key, size)
+        );
+      } else if (entry.type === "f") {
+        contents.set(
+          entry.file.full_hash || `path:${entry.file.path}`,
+          entry.file.size
+        );
+      }
+    }
+    cache.set(node, contents);
+  }
+  return cache.get(node);
+}
+
+/**
+ * Share of two directories' distinct content, weighted by size, that both hold
+ * @param {Map<string, number>} a - Contents of the first directory
+ * @param {Map<string, number>} b - Contents of the second directory
+ * @returns {{sharedBytes: number, totalBytes: number}} Bytes in both and in either
+ */
+function measureOverlap(a, b) {
+  let sharedBytes = 0;
+  let totalBytes = 0;
+  a.forEach((size, key) => {
+    totalBytes += size;
+    if (b.has(key)) sharedBytes += size;
+  });
+  b.forEach((size, key) => {
+    if (!a.has(key)) totalBytes += size;
+  });
+  return { sharedBytes, totalBytes };
+}
+
+const isInside = (dir, other) => other.startsWith(dir + path.sep);
+
+/**
+ * Find identical and partially overlapping directory trees among the files of
+ * a scan. Each directory gets a Merkle-style hash of its sorted entry names
+ * and their file or directory hashes. Directories sharing a hash form a group,
+ * unless their parents are already identical. Pairs of directories holding
+ * copies of the same files are listed with the share of content they have in
+ * common, again leaving out pairs whose parents are listed.
+ * @param {Object[]} files - Rows of the files table for one scan
+ * @param {Object} [options]
+ * @param {number} [options.minOverlap=0.5] - Smallest overlap, from 0 to 1, for partial pairs
+ * @returns {{identical: Object[], partial: Object[]}} Directory groups, largest first,
+ *   and overlapping pairs, most shared bytes first
+ */
+export function findDuplicateDirectories(
+  files,
+  { minOverlap = DEFAULT_MIN_OVERLAP } = {}
+) {
+  const nodes = buildTree(files);
+  hashTree(nodes);
+
+  const byHash = new Map();
+  for (const node of nodes.values()) {
+    if (node.hash && node.fileCount > 0) {
+      if (!byHash.has(node.hash)) byHash.set(node.hash, []);
+      byHash.get(node.hash).push(node);
+    }
+  }
+  const isDuplicated = (node) =>
+    node && (byHash.get(node.hash)?.length ?? 0) > 1;
+
+  const identical = Array.from(byHash.entries())
+    .filter(([, group]) => group.length > 1)
+    .filter(([, group]) =>
+      group.some((node) => !isDuplicated(nodes.get(node.parent)))
+    )
+    .map(([hash, group]) => ({
+      hash,
+      size: group[0].size,
+      fileCount: group[0].fileCount,
+      directories: group
+        .map((node) => ({ path: node.path, reference: node.reference }))
+        .sort((a, b) => a.path.localeCompare(b.path)),
+    }))
+    .sort(
+      (a, b) => b.size * b.directories.length - a.size * a.directories.length
+    );
+
+  // Pair up the directories of files that are copies of each other, and
+  // their parents in step, while they stay apart
+  const pairs = new Map();
+  const copies = new Map();
+  for (const file of files) {
+    if (file.full_hash && !file.link_target && !file.archive) {
+      if (!copies.has(file.full_hash)) copies.set(file.full_hash, []);
+      copies.get(file.full_hash).push(file);
+    }
+  }
+  for (const group of copies.values()) {
+    if (group.length < 2 || group.length > MAX_PAIRED_COPIES) continue;
+
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        let a = nodes.get(path.dirname(group[i].path));
+        let b = nodes.get(path.dirname(group[j].path));
+        while (
+          a &&
+          b &&
+          a !== b &&
+          !isInside(a.path, b.path) &&
+          !isInside(b.path, a.path)
+        ) {
+          const [first, second] = a.path < b.path ? [a, b] : [b, a];
+          pairs.set(`${first.path}\0${second.path}`, [first, second]);
+          a = a.parent && nodes.get(a.parent);
+          b = b.parent && nodes.get(b.parent);
+        }
+      }
+    }
+  }
+
+  const cache = new Map();
+  const listed = new Set();
+  const overlapping = [];
+  for (const [key, [a, b]] of pairs) {
+    if (a.hash && a.hash === b.hash) continue;
+
+    const { sharedBytes, totalBytes } = measureOverlap(
+      contentsOf(a, cache),
+      contentsOf(b, cache)
+    );
+    const overlap = totalBytes > 0 ? sharedBytes / totalBytes : 0;
+    if (overlap >= minOverlap) {
+      listed.add(key);
+      overlapping.push({ key, a, b, overlap, sharedBytes, totalBytes });
+    }
+  }
+
+  const partial = overlapping
+    .filter(({ a, b }) => {
+      const parents = [a.parent, b.parent].sort();
+      const parentA = nodes.get(a.parent);
+      return (
+        !listed.has(parents.join("\0")) &&
+        !(parentA?.hash && parentA.hash === nodes.get(b.parent)?.hash)
+      );
+    })
+    .map(({ a, b, overlap, sharedBytes, totalBytes }) => ({
+      directories: [a, b].map((node) => ({
+        path: node.path,
+        reference: node.reference,
+      })),
+      overlap,
+      sharedBytes,
+      totalBytes,
+    }))
+    .sort((x, y) => y.sharedBytes - x.sharedBytes);
+
+  return { identical, partial };
+}
+
+/**
+ * Find the directories identical to one directory
+ * @param {Object[]} files - Rows of the files table for one scan
+ * @param {string} dirPath - Directory to look for copies of
+ * @returns {string[]} Paths of the identical directories
+ */
+export function findDirectoryCopies(files, dirPath) {
+  const nodes = buildTree(files);
+  hashTree(nodes);
+
+  const node = nodes.get(path.resolve(dirPath));
+  if (!node?.hash) {
+    return [];
+  }
+  return Array.from(nodes.values())
+    .filter((other) => other !== node && other.hash === node.hash)
+    .map((other) => other.path);
+}
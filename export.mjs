@@ -0,0 +1,214 @@
+import { reclaimableBytes } from "./history.mjs";
+
+export const EXPORT_FORMATS = ["json", "ndjson", "csv"];
+
+export const SIZE_CATEGORIES = [
+  "small",
+  "medium",
+  "large",
+  "xlarge",
+  "xxlarge",
+];
+
+export const FILE_TYPES = ["image", "audio", "video", "document", "other"];
+
+export const GROUP_SORTS = ["size", "reclaimable", "count", "path"];
+
+const MB = 1024 * 1024;
+
+// Smallest size of each size category, in bytes
+const SIZE_LIMITS = {
+  small: 0,
+  medium: MB,
+  large: 10 * MB,
+  xlarge: 100 * MB,
+  xxlarge: 1024 * MB,
+};
+
+// Extensions of each file type; files with any other extension are "other"
+const FILE_EXTENSIONS = {
+  image: ["jpg", "jpeg", "png", "gif", "bmp", "webp"],
+  document: ["pdf", "doc", "docx", "txt", "md", "rtf"],
+  video: ["mp4", "avi", "mov", "wmv", "flv", "mkv"],
+  audio: ["mp3", "wav", "ogg", "m4a", "flac"],
+};
+
+const CSV_COLUMNS = [
+  "group_id",
+  "hash",
+  "size",
+  "path",
+  "modified",
+  "reclaimable_bytes",
+];
+
+/**
+ * Size bucket of a file, matching the size filter of the web interface
+ * @param {number} size - File size in bytes
+ * @returns {string} One of SIZE_CATEGORIES
+ */
+export function getSizeCategory(size) {
+  return SIZE_CATEGORIES.filter(
+    (category) => size >= SIZE_LIMITS[category]
+  ).pop();
+}
+
+/**
+ * File type from the extension, matching the type filter of the web interface
+ * @param {string} filePath - File path
+ * @returns {string} One of FILE_TYPES
+ */
+export function getFileType(filePath) {
+  const ext = filePath.toLowerCase().split(".").pop();
+  return (
+    Object.keys(FILE_EXTENSIONS).find((type) =>
+      FILE_EXTENSIONS[type].includes(ext)
+    ) || "other"
+  );
+}
+
+function checkFilters({ size, type }) {
+  if (size && size !== "all" && !SIZE_CATEGORIES.includes(size)) {
+    throw new Error(
+      `Unknown size filter "${size}". Use one of ${SIZE_CATEGORIES.join(", ")}`
+    );
+  }
+  if (type && !FILE_TYPES.includes(type)) {
+    throw new Error(
+      `Unknown type filter "${type}". Use one of ${FILE_TYPES.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Turn the filters of the web interface into the bounds and extensions
+ * ScanDatabase.getDuplicateGroupPage filters on in SQL
+ * @param {Object} [filters] - Same filters as filterGroups
+ * @param {string} [filters.path] - Case-insensitive text the path must contain
+ * @param {string} [filters.size] - Size category, see SIZE_CATEGORIES
+ * @param {string} [filters.type] - File type, see FILE_TYPES
+ * @returns {{path: string, minSize: number|null, maxSize: number|null, extensions: string[]|null, otherThan: string[]|null}}
+ *   Lowercase path text, size bounds (the upper one exclusive) and the
+ *   extensions a file must have, or must not have for "other"
+ * @throws {Error} If the size or type filter is unknown
+ */
+export function toQueryFilters({ path = "", size, type } = {}) {
+  checkFilters({ size, type });
+
+  const bounded = size && size !== "all";
+  const next = SIZE_CATEGORIES[SIZE_CATEGORIES.indexOf(size) + 1];
+  return {
+    path: path.toLowerCase(),
+    minSize: bounded ? SIZE_LIMITS[size] : null,
+    maxSize: bounded && next ? SIZE_LIMITS[next] : null,
+    extensions: type && type !== "other" ? FILE_EXTENSIONS[type] : null,
+    otherThan: type === "other" ? Object.values(FILE_EXTENSIONS).flat() : null,
+  };
+}
+
+/**
+ * Keep the groups the web interface would show for the same filters. A group
+ * matches when its size is in the category and any of its files contains the
+ * path text and has the type. Groups are numbered by their position in the
+ * unfiltered list, so ids stay the same whatever the filters.
+ * @param {Object[][]} groups - Duplicate groups, largest first
+ * @param {Object} [filters]
+ * @param {string} [filters.path] - Case-insensitive text the path must contain
+ * @param {string} [filters.size] - Size category, see SIZE_CATEGORIES
+ * @param {string} [filters.type] - File type, see FILE_TYPES
+ * @returns {Array<{id: number, files: Object[]}>} Matching groups
+ */
+export function filterGroups(groups, { path = "", size, type } = {}) {
+  checkFilters({ size, type });
+
+  const pathFilter = path.toLowerCase();
+
+  return groups
+    .map((files, index) => ({ id: index + 1, files }))
+    .filter(({ files }) => {
+      if (size && size !== "all" && getSizeCategory(files[0].size) !== size) {
+        return false;
+      }
+
+      return files.some(
+        (file) =>
+          file.path.toLowerCase().includes(pathFilter) &&
+          (!type || getFileType(file.path) === type)
+      );
+    });
+}
+
+function toGroupRecord({ id, files }) {
+  return {
+    id,
+    hash: files[0].hash,
+    size: files[0].size,
+    reclaimableBytes: reclaimableBytes(files),
+    files: files.map((file) => ({
+      path: file.path,
+      modified: new Date(file.modified).toISOString(),
+    })),
+  };
+}
+
+function toFileRecords(group) {
+  const { id, hash, size, reclaimableBytes, files } = toGroupRecord(group);
+  return files.map((file) => ({
+    groupId: id,
+    hash,
+    size,
+    path: file.path,
+    modified: file.modified,
+    reclaimableBytes,
+  }));
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise duplicate groups. CSV always has one row per file; JSON and NDJSON
+ * have one record per group unless perFile is set. File records repeat the
+ * reclaimable bytes of their group.
+ * @param {Array<{id: number, files: Object[]}>} groups - Numbered groups from filterGroups
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} [options]
+ * @param {boolean} [options.perFile=false] - One JSON/NDJSON record per file
+ * @returns {string} The exported document
+ */
+export function exportGroups(groups, format, { perFile = false } = {}) {
+  const records = perFile
+    ? groups.flatMap(toFileRecords)
+    : groups.map(toGroupRecord);
+
+  switch (format) {
+    case "json":
+      return JSON.stringify(records, null, 2) + "\n";
+    case "ndjson":
+      return records.map((record) => JSON.stringify(record) + "\n").join("");
+    case "csv":
+      return [
+        CSV_COLUMNS,
+        ...groups
+          .flatMap(toFileRecords)
+          .map((file) => [
+            file.groupId,
+            file.hash,
+            file.size,
+            file.path,
+            file.modified,
+            file.reclaimableBytes,
+          ]),
+      ]
+        .map((row) => row.map(csvField).join(",") + "\n")
+        .join("");
+    default:
+      throw new Error(
+        `Unknown export format "${format}". Use one of ${EXPORT_FORMATS.join(
+          ", "
+        )}`
+      );
+  }
+}
@@ -0,0 +1,857 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { calculateHash, calculateStreamHash } from "./hashing.mjs";
+import { ScanDatabase } from "./database.mjs";
+import { findDirectoryCopies } from "./directories.mjs";
+import { openFile } from "./archives.mjs";
+
+/**
+ * @typedef {Object} LinkResult
+ * @property {string} filePath - Path that now links to the keeper
+ * @property {string} keeperPath - Path of the file that was kept
+ * @property {number} inode - Inode shared by both paths
+ */
+
+/**
+ * @typedef {Object} SymlinkResult
+ * @property {string} filePath - Path that is now a symbolic link
+ * @property {string} keeperPath - Path of the file that was kept
+ * @property {string} target - Target stored in the link
+ */
+
+/**
+ * @typedef {Object} QuarantineResult
+ * @property {number} id - Id of the entry in the quarantine table
+ * @property {string} filePath - Original location of the file
+ * @property {string} quarantinePath - Where the file is kept until it is restored or purged
+ */
+
+/**
+ * @typedef {Object} DirectoryQuarantineResult
+ * @property {string} dirPath - Directory that was emptied
+ * @property {string[]} copies - Identical directories that still hold the content
+ * @property {QuarantineResult[]} files - One entry per quarantined file
+ * @property {boolean} removed - Whether the emptied directory itself was removed
+ */
+
+/**
+ * @typedef {Object} Operation
+ * @property {number|null} scanId - Scan the affected file belongs to
+ * @property {string} action - Kind of operation, such as "rename" or "link"
+ * @property {string} [sourcePath] - Path before the operation
+ * @property {string} [targetPath] - Path after the operation, or the path it refers to
+ * @property {string} [sourceHash] - Content hash of the source
+ * @property {string} [targetHash] - Content hash of the target
+ * @property {Object} [details] - Extra data needed to undo the operation
+ */
+
+/** Operations that undoOperation knows how to reverse */
+const REVERSIBLE_ACTIONS = ["rename", "quarantine", "link", "symlink"];
+
+/**
+ * A destructive action refused because it could lose data. The code tells
+ * clients why: "NOT_INDEXED" for a file the index does not know,
+ * "CHANGED" for a file that no longer matches the index and "LAST_COPY"
+ * when no other copy of the content is left.
+ */
+export class UnsafeActionError extends Error {
+  /**
+   * @param {string} code - Reason for the refusal
+   * @param {string} filePath - File the action was refused for
+   * @param {string} message - Description of the problem
+   */
+  constructor(code, filePath, message) {
+    super(message);
+    this.name = "UnsafeActionError";
+    this.code = code;
+    this.path = filePath;
+  }
+}
+
+// Tail of the chain of destructive actions, see oneAtATime
+let destructiveActions = Promise.resolve();
+
+/**
+ * Run destructive actions one at a time, so two of them can never each count
+ * on the file the other removes as the copy that survives
+ * @param {function(): Promise<*>} run - Performs the action
+ * @returns {Promise<*>} Whatever run returns
+ */
+function oneAtATime(run) {
+  const result = destructiveActions.then(run);
+  destructiveActions = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Run a file operation and record it in the operations journal, whether it
+ * succeeds or fails
+ * @param {ScanDatabase|null} db - Database instance, nothing is recorded without one
+ * @param {Operation} operation - Journal entry, which run may fill in further
+ * @param {function(Operation): Promise<*>} run - Performs the operation
+ * @returns {Promise<*>} Whatever run returns
+ */
+async function journal(db, operation, run) {
+  if (!db) return run(operation);
+
+  try {
+    const result = await run(operation);
+    db.logOperation({ ...operation, outcome: "success" });
+    return result;
+  } catch (error) {
+    db.logOperation({ ...operation, outcome: "failed", error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Whether a journal entry can still be undone
+ * @param {Object} operation - Row of the operations table
+ * @returns {boolean} True for successful, reversible operations not yet undone
+ */
+export function isReversible(operation) {
+  return (
+    REVERSIBLE_ACTIONS.includes(operation.action) &&
+    operation.outcome === "success" &&
+    !operation.undone_at
+  );
+}
+
+/**
+ * Refuse to change a file found in a reference directory or inside an archive
+ * @param {Object|undefined} file - Row of the files table
+ */
+function assertChangeable(file) {
+  if (file?.reference) {
+    throw new Error(
+      `${file.path} is in a reference directory and cannot be changed`
+    );
+  }
+  if (file?.archive) {
+    throw new Error(
+      `${file.path} is inside ${file.archive} and cannot be changed`
+    );
+  }
+}
+
+/**
+ * Confirm a file still has the size, modification time and content recorded
+ * in the index. Files inside an archive are hashed straight from it.
+ * @param {Object} row - Row of the files table
+ * @param {string} algorithm - Hash algorithm of the scan
+ * @returns {Promise<void>}
+ */
+async function assertUnchanged(row, algorithm) {
+  const changed = () =>
+    new UnsafeActionError(
+      "CHANGED",
+      row.path,
+      `${row.path} has changed since it was scanned`
+    );
+
+  if (!row.archive) {
+    const stats = await fs.stat(row.path).catch(() => null);
+    if (!stats) {
+      throw new UnsafeActionError(
+        "CHANGED",
+        row.path,
+        `${row.path} no longer exists`
+      );
+    }
+    if (stats.size !== row.size || stats.mtime.getTime() !== row.modified) {
+      throw changed();
+    }
+  }
+
+  const hash = await calculateStreamHash(
+    await openFile(row.path, row.archive),
+    algorithm
+  ).catch(() => null);
+  if (!row.full_hash || hash !== row.full_hash) {
+    throw changed();
+  }
+}
+
+/**
+ * Refuse to remove or replace a file unless it still matches the index and
+ * another member of its duplicate group still exists with the same content
+ * @param {ScanDatabase|null} db - Database instance
+ * @param {number} scanId - Scan the file belongs to
+ * @param {string} filePath - File to remove or replace
+ * @param {Set<string>} [removing] - Other files removed along with it, which do not count as copies
+ * @returns {Promise<Object>} The row of the file in the files table
+ */
+async function assertNotLastCopy(db, scanId, filePath, removing = new Set()) {
+  const file = db?.getFileByPath(scanId, filePath);
+  if (!file) {
+    throw new UnsafeActionError(
+      "NOT_INDEXED",
+      filePath,
+      `${filePath} is not in the index`
+    );
+  }
+  assertChangeable(file);
+
+  const algorithm = db.getHashAlgorithm(scanId);
+  await assertUnchanged(file, algorithm);
+
+  const others = file.group_id
+    ? db
+        .getGroupFiles(scanId, file.group_id)
+        .filter(
+          (row) =>
+            row.path !== file.path &&
+            !row.link_target &&
+            !removing.has(row.path)
+        )
+    : [];
+  for (const row of others) {
+    try {
+      await assertUnchanged(row, algorithm);
+      return file;
+    } catch (error) {
+      if (!(error instanceof UnsafeActionError)) throw error;
+    }
+  }
+
+  throw new UnsafeActionError(
+    "LAST_COPY",
+    filePath,
+    `${filePath} is the last copy of its content: no other file in its group still exists unchanged`
+  );
+}
+
+/**
+ * Look up a file and its keeper in the index and confirm both still have
+ * the content recorded for their duplicate group
+ * @param {ScanDatabase} db - Database instance
+ * @param {number} scanId - Scan the files belong to
+ * @param {string} filePath - Duplicate to be replaced
+ * @param {string} keeperPath - File to keep
+ * @returns {Promise<{file: Object, keeper: Object}>} The two rows of the files table
+ */
+async function verifyGroupMembers(db, scanId, filePath, keeperPath) {
+  if (path.resolve(filePath) === path.resolve(keeperPath)) {
+    throw new Error("A file cannot be replaced by a link to itself");
+  }
+
+  const file = db.getFileByPath(scanId, filePath);
+  const keeper = db.getFileByPath(scanId, keeperPath);
+  if (!file) throw new Error(`${filePath} is not in the index`);
+  if (!keeper) throw new Error(`${keeperPath} is not in the index`);
+  assertChangeable(file);
+  if (keeper.archive) {
+    throw new Error(
+      `${keeperPath} is inside ${keeper.archive} and cannot be linked to`
+    );
+  }
+  if (!file.group_id || file.group_id !== keeper.group_id) {
+    throw new Error(
+      `${filePath} and ${keeperPath} are not in the same duplicate group`
+    );
+  }
+
+  const algorithm = db.getHashAlgorithm(scanId);
+  for (const row of [file, keeper]) {
+    await assertUnchanged(row, algorithm);
+  }
+
+  return { file, keeper };
+}
+
+/**
+ * Build a temporary path next to a file, used to swap it out atomically
+ * @param {string} filePath - File that will be replaced
+ * @returns {string} Unused path in the same directory
+ */
+function temporaryPathFor(filePath) {
+  const suffix = crypto.randomBytes(4).toString("hex");
+  return path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.sdd-${suffix}`
+  );
+}
+
+/**
+ * Swap a file for a new entry created under a temporary name, so the file is
+ * only replaced once its replacement exists
+ * @param {string} filePath - File to replace
+ * @param {function(string): Promise<void>} create - Creates the replacement at the given path
+ * @returns {Promise<void>}
+ */
+async function replaceFile(filePath, create) {
+  const tempPath = temporaryPathFor(filePath);
+  await create(tempPath);
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Replace a duplicate with a hard link to another member of its group
+ * @param {ScanDatabase} db - Database instance
+ * @param {number} scanId - Scan the files belong to
+ * @param {string} filePath - Duplicate to replace
+ * @param {string} keeperPath - File the new link points to
+ * @returns {Promise<LinkResult>} Details of the created link
+ */
+export async function linkDuplicate(db, scanId, filePath, keeperPath) {
+  return oneAtATime(() =>
+    journal(
+      db,
+      { scanId, action: "link", sourcePath: filePath, targetPath: keeperPath },
+      async (operation) => {
+        const { file, keeper } = await verifyGroupMembers(
+          db,
+          scanId,
+          filePath,
+          keeperPath
+        );
+        operation.sourceHash = file.full_hash;
+        operation.targetHash = keeper.full_hash;
+
+        const [fileStats, keeperStats] = await Promise.all([
+          fs.stat(filePath),
+          fs.stat(keeperPath),
+        ]);
+        const crossDeviceError = new Error(
+          `Cannot hard link ${filePath} to ${keeperPath}: they are on different devices`
+        );
+        if (fileStats.dev !== keeperStats.dev) {
+          throw crossDeviceError;
+        }
+
+        if (fileStats.ino !== keeperStats.ino) {
+          await replaceFile(filePath, async (tempPath) => {
+            try {
+              await fs.link(keeperPath, tempPath);
+            } catch (error) {
+              if (error.code === "EXDEV") throw crossDeviceError;
+              throw error;
+            }
+          });
+        }
+
+        db.updateFileStats(scanId, keeperPath, keeperStats);
+        db.updateFileStats(scanId, filePath, keeperStats);
+        operation.details = { inode: keeperStats.ino };
+
+        return { filePath, keeperPath, inode: keeperStats.ino };
+      }
+    )
+  );
+}
+
+/**
+ * Replace a duplicate with a symbolic link to another member of its group.
+ * Unlike hard links this works across devices.
+ * @param {ScanDatabase} db - Database instance
+ * @param {number} scanId - Scan the files belong to
+ * @param {string} filePath - Duplicate to replace
+ * @param {string} keeperPath - File the new link points to
+ * @param {Object} options - Link options
+ * @param {boolean} options.relative - Store a target relative to the link instead of an absolute one
+ * @returns {Promise<SymlinkResult>} Details of the created link
+ */
+export async function symlinkDuplicate(
+  db,
+  scanId,
+  filePath,
+  keeperPath,
+  options = {}
+) {
+  const { relative = true } = options;
+
+  return oneAtATime(() =>
+    journal(
+      db,
+      {
+        scanId,
+        action: "symlink",
+        sourcePath: filePath,
+        targetPath: keeperPath,
+      },
+      async (operation) => {
+        const { file, keeper } = await verifyGroupMembers(
+          db,
+          scanId,
+          filePath,
+          keeperPath
+        );
+        operation.sourceHash = file.full_hash;
+        operation.targetHash = keeper.full_hash;
+
+        const absoluteTarget = path.resolve(keeperPath);
+        const target = relative
+          ? path.relative(path.dirname(path.resolve(filePath)), absoluteTarget)
+          : absoluteTarget;
+
+        await replaceFile(filePath, (tempPath) => fs.symlink(target, tempPath));
+
+        db.markFileAsLink(scanId, filePath, absoluteTarget);
+        operation.details = { target };
+
+        return { filePath, keeperPath, target };
+      }
+    )
+  );
+}
+
+/**
+ * Check whether anything exists at a path, without following links
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} True when the path exists
+ */
+async function pathExists(filePath) {
+  try {
+    await fs.lstat(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+}
+
+/**
+ * Move a file, copying it when source and destination are on different devices
+ * @param {string} from - Current path
+ * @param {string} to - New path
+ * @returns {Promise<void>}
+ */
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    const stats = await fs.lstat(from);
+    if (stats.isSymbolicLink()) {
+      // Links are moved as they are, not replaced by what they point to
+      await fs.symlink(await fs.readlink(from), to);
+    } else {
+      await fs.copyFile(from, to, fs.constants.COPYFILE_EXCL);
+      await fs.utimes(to, stats.atime, stats.mtime);
+    }
+    await fs.unlink(from);
+  }
+}
+
+/**
+ * Move a checked file into the quarantine directory and record it, without
+ * waiting for other destructive actions
+ * @param {ScanDatabase} db - Database instance
+ * @param {number} scanId - Scan the file belongs to
+ * @param {string} filePath - File to remove
+ * @param {string} quarantineDir - Directory holding quarantined files
+ * @param {function(): Promise<Object>} check - Refuses unsafe removals, returns the row of the file
+ * @returns {Promise<QuarantineResult>} Details of the quarantined file
+ */
+function moveToQuarantine(db, scanId, filePath, quarantineDir, check) {
+  return journal(
+    db,
+    { scanId, action: "quarantine", sourcePath: filePath },
+    async (operation) => {
+      const file = await check();
+      operation.sourceHash = file.full_hash;
+
+      await fs.mkdir(quarantineDir, { recursive: true });
+      const suffix = crypto.randomBytes(4).toString("hex");
+      const quarantinePath = path.join(
+        path.resolve(quarantineDir),
+        `${Date.now()}-${suffix}-${path.basename(filePath)}`
+      );
+
+      await moveFile(filePath, quarantinePath);
+
+      const id = db.addQuarantined(scanId, file, quarantinePath);
+      db.deleteFile(scanId, filePath);
+      operation.targetPath = quarantinePath;
+      operation.details = { quarantineId: id };
+
+      return { id, filePath, quarantinePath };
+    }
+  );
+}
+
+/**
+ * Move a file into the quarantine directory and record it so it can be
+ * restored. The last copy of some content is never quarantined.
+ * @param {ScanDatabase} db - Database instance
+ * @param {number} scanId - Scan the file belongs to
+ * @param {string} filePath - File to remove
+ * @param {string} quarantineDir - Directory holding quarantined files
+ * @returns {Promise<QuarantineResult>} Details of the quarantined file
+ */
+export async function quarantineFile(db, scanId, filePath, quarantineDir) {
+  return oneAtATime(() =>
+    moveToQuarantine(db, scanId, filePath, quarantineDir, () =>
+      assertNotLastCopy(db, scanId, filePath)
+    )
+  );
+}
+
+/**
+ * Remove a directory and the directories below it that are empty
+ * @param {string} dirPath - Directory to clean up
+ * @returns {Promise<boolean>} Whether the directory itself was removed
+ */
+async function removeEmptyDirectories(dirPath) {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  let empty = true;
+
+  for (const entry of entries) {
+    if (
+      !entry.isDirectory() ||
+      !(await removeEmptyDirectories(path.join(dirPath, entry.name)))
+    ) {
+      empty = false;
+    }
+  }
+
+  if (empty) {
+    await fs.rmdir(dirPath);
+  }
+  return empty;
+}
+
+/**
+ * Quarantine every indexed file in a directory that has an identical copy
+ * elsewhere in the scan, then remove the directories left empty. Every file
+ * is checked before any is moved, so a refusal leaves the directory as it
+ * was. Symbolic links are moved as they are. Each file is journaled and can
+ * be restored on its own.
+ * @param {ScanDatabase} db - Database instance
+ * @param {number} scanId - Scan the directory belongs to
+ * @param {string} dirPath - Redundant directory
+ * @param {string} quarantineDir - Directory holding quarantined files
+ * @returns {Promise<DirectoryQuarantineResult>} Details of the quarantined files
+ */
+export async function quarantineDirectory(db, scanId, dirPath, quarantineDir) {
+  const resolved = path.resolve(dirPath);
+
+  return oneAtATime(async () => {
+    const rows = db.getFiles(scanId);
+
+    const copies = [];
+    for (const copy of findDirectoryCopies(rows, resolved)) {
+      if (await pathExists(copy)) copies.push(copy);
+    }
+    if (copies.length === 0) {
+      throw new Error(`${dirPath} has no identical copy in the index`);
+    }
+
+    // Files inside an archive in the directory move with the archive
+    const inside = rows.filter(
+      (row) => row.path.startsWith(resolved + path.sep) && !row.archive
+    );
+    inside.forEach(assertChangeable);
+
+    // Links hold no content, so only the files need a copy outside
+    const removing = new Set(inside.map((row) => row.path));
+    for (const row of inside) {
+      if (!row.link_target) {
+        await assertNotLastCopy(db, scanId, row.path, removing);
+      }
+    }
+
+    const files = [];
+    for (const row of inside) {
+      files.push(
+        await moveToQuarantine(
+          db,
+          scanId,
+          row.path,
+          quarantineDir,
+          async () => row
+        )
+      );
+    }
+
+    return {
+      dirPath: resolved,
+      copies,
+      files,
+      removed: await removeEmptyDirectories(resolved),
+    };
+  });
+}
+
+/**
+ * Move a quarantine entry back to its original location, without journaling
+ * @param {ScanDatabase} db - Database instance
+ * @param {Object} entry - Row of the quarantine table
+ * @returns {Promise<void>}
+ */
+async function moveOutOfQuarantine(db, entry) {
+  if (await pathExists(entry.original_path)) {
+    throw new Error(`${entry.original_path} already exists`);
+  }
+
+  await fs.mkdir(path.dirname(entry.original_path), { recursive: true });
+  await moveFile(entry.quarantine_path, entry.original_path);
+
+  const file = {
+    path: entry.original_path,
+    size: entry.size,
+    created: new Date(entry.created),
+    modified: new Date(entry.modified),
+    quickHash: entry.quick_hash,
+    hash: entry.full_hash,
+  };
+  const stats = await fs.lstat(entry.original_path);
+  if (stats.isSymbolicLink()) {
+    // Links are recorded as links again, outside any group
+    const target = await fs.readlink(entry.original_path);
+    db.addLink(entry.scan_id, {
+      ...file,
+      linkTarget: path.resolve(path.dirname(entry.original_path), target),
+    });
+  } else {
+    // Put the file back into its duplicate group, which verification may
+    // have split off under a key other than the hash
+    db.addFile(
+      entry.scan_id,
+      {
+        ...file,
+        root: entry.root,
+        reference: entry.reference,
+        device: entry.device,
+        inode: entry.inode,
+      },
+      entry.group_id ?? entry.full_hash
+    );
+  }
+  db.removeQuarantined(entry.id);
+}
+
+/**
+ * Move a quarantined file back to its original location
+ * @param {ScanDatabase} db - Database instance
+ * @param {number} id - Id of the entry in the quarantine table
+ * @returns {Promise<QuarantineResult>} Details of the restored file
+ */
+export async function restoreFile(db, id) {
+  const entry = db.getQuarantinedById(id);
+  if (!entry) throw new Error(`No quarantined file with id ${id}`);
+
+  return journal(
+    db,
+    {
+      scanId: entry.scan_id,
+      action: "restore",
+      sourcePath: entry.quarantine_path,
+      targetPath: entry.original_path,
+      sourceHash: entry.full_hash,
+      targetHash: entry.full_hash,
+      details: { quarantineId: id },
+    },
+    async () => {
+      await moveOutOfQuarantine(db, entry);
+
+      return {
+        id,
+        filePath: entry.original_path,
+        quarantinePath: entry.quarantine_path,
+      };
+    }
+  );
+}
+
+/**
+ * Permanently delete quarantined files older than the given number of days
+ * @param {ScanDatabase} db - Database instance
+ * @param {number} days - Minimum age in days of the files to delete
+ * @returns {Promise<QuarantineResult[]>} The purged files
+ */
+export async function purgeQuarantine(db, days) {
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const entries = db.getQuarantinedBefore(cutoff);
+
+  for (const entry of entries) {
+    await journal(
+      db,
+      {
+        scanId: entry.scan_id,
+        action: "purge",
+        sourcePath: entry.quarantine_path,
+        targetPath: entry.original_path,
+        sourceHash: entry.full_hash,
+      },
+      async () => {
+        await fs.rm(entry.quarantine_path, { force: true });
+        db.removeQuarantined(entry.id);
+      }
+    );
+  }
+
+  return entries.map((entry) => ({
+    id: entry.id,
+    filePath: entry.original_path,
+    quarantinePath: entry.quarantine_path,
+  }));
+}
+
+/**
+ * Permanently delete a file, bypassing the quarantine. The last copy of some
+ * content is never deleted.
+ * @param {ScanDatabase|null} db - Database instance, nothing is deleted without one
+ * @param {number} scanId - Scan the file belongs to
+ * @param {string} filePath - File to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteFile(db, scanId, filePath) {
+  return oneAtATime(() =>
+    journal(
+      db,
+      { scanId, action: "delete", sourcePath: filePath },
+      async (operation) => {
+        const file = await assertNotLastCopy(db, scanId, filePath);
+        operation.sourceHash = file.full_hash;
+
+        await fs.unlink(filePath);
+        db.deleteFile(scanId, filePath);
+      }
+    )
+  );
+}
+
+/**
+ * Rename a file within its directory
+ * @param {ScanDatabase|null} db - Database instance
+ * @param {number} scanId - Scan the file belongs to
+ * @param {string} oldPath - Current path of the file
+ * @param {string} newName - New file name, without directory
+ * @returns {Promise<string>} The new path
+ */
+export async function renameFile(db, scanId, oldPath, newName) {
+  const newPath = path.join(path.dirname(oldPath), newName || "");
+
+  return journal(
+    db,
+    { scanId, action: "rename", sourcePath: oldPath, targetPath: newPath },
+    async (operation) => {
+      // Input validation
+      if (!newName || newName.includes(path.sep)) {
+        throw new Error("Invalid new filename");
+      }
+
+      // Verify source file exists
+      await fs.access(oldPath);
+
+      if (await pathExists(newPath)) {
+        throw new Error("A file with that name already exists");
+      }
+
+      const file = db?.getFileByPath(scanId, oldPath);
+      assertChangeable(file);
+
+      await fs.rename(oldPath, newPath);
+
+      if (db) {
+        operation.sourceHash = file?.full_hash;
+        operation.targetHash = file?.full_hash;
+
+        // Update the file path in the database
+        db.updateFilePath(scanId, oldPath, newPath);
+      }
+
+      return newPath;
+    }
+  );
+}
+
+/**
+ * Turn a link created by linkDuplicate or symlinkDuplicate back into an
+ * independent copy of the file it points to
+ * @param {ScanDatabase} db - Database instance
+ * @param {number} scanId - Scan the file belongs to
+ * @param {string} filePath - Path that was replaced by a link
+ * @param {string} keeperPath - File the link points to
+ * @param {string} hash - Content hash recorded when the link was made
+ * @returns {Promise<void>}
+ */
+async function separateFromKeeper(db, scanId, filePath, keeperPath, hash) {
+  if ((await calculateHash(keeperPath, db.getHashAlgorithm(scanId))) !== hash) {
+    throw new Error(`${keeperPath} has changed since it was linked`);
+  }
+
+  await replaceFile(filePath, async (tempPath) => {
+    await fs.copyFile(keeperPath, tempPath, fs.constants.COPYFILE_EXCL);
+  });
+
+  db.updateFileStats(scanId, filePath, await fs.stat(filePath));
+  db.unmarkFileAsLink(scanId, filePath, hash);
+}
+
+/**
+ * Reverse an operation recorded in the journal
+ * @param {ScanDatabase} db - Database instance
+ * @param {number} id - Id of the operation to undo
+ * @returns {Promise<Object>} The operation that was undone
+ */
+export async function undoOperation(db, id) {
+  const operation = db.getOperation(id);
+  if (!operation) throw new Error(`No operation with id ${id}`);
+  if (!isReversible(operation)) {
+    throw new Error(
+      operation.undone_at
+        ? `Operation ${id} has already been undone`
+        : `Operation ${id} (${operation.action}, ${operation.outcome}) cannot be undone`
+    );
+  }
+
+  const {
+    scan_id: scanId,
+    source_path: source,
+    target_path: target,
+  } = operation;
+  const details = JSON.parse(operation.details || "{}");
+
+  await journal(
+    db,
+    {
+      scanId,
+      action: "undo",
+      sourcePath: target,
+      targetPath: source,
+      sourceHash: operation.target_hash,
+      targetHash: operation.source_hash,
+      details: { operationId: id },
+    },
+    async () => {
+      switch (operation.action) {
+        case "rename":
+          if (await pathExists(source)) {
+            throw new Error(`${source} already exists`);
+          }
+          await fs.rename(target, source);
+          db.updateFilePath(scanId, target, source);
+          break;
+        case "quarantine": {
+          const entry = db.getQuarantinedById(details.quarantineId);
+          if (!entry) {
+            throw new Error(`${source} is no longer in quarantine`);
+          }
+          await moveOutOfQuarantine(db, entry);
+          break;
+        }
+        case "link":
+        case "symlink":
+          await separateFromKeeper(
+            db,
+            scanId,
+            source,
+            target,
+            operation.source_hash
+          );
+          break;
+      }
+      db.markOperationUndone(id);
+    }
+  );
+
+  return operation;
+}
@@ -0,0 +1,138 @@
+import fs from "fs/promises";
+import path from "path";
+import { minimatch } from "minimatch";
+
+/** Project-level ignore file, read from the root of every scanned directory */
+export const IGNORE_FILE = ".sddignore";
+
+/** Ignore file honoured in every scanned directory, unless disabled */
+export const GITIGNORE_FILE = ".gitignore";
+
+const SIZE_UNITS = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+
+/**
+ * Parse a file size such as "500", "64KB", "1.5M" or "2GiB". Units are
+ * powers of 1024, like the sizes shown in results.
+ * @param {string|number} value - Size in bytes, optionally with a unit
+ * @returns {number} Size in bytes
+ */
+export function parseSize(value) {
+  if (typeof value === "number" && Number.isFinite(value) && value >= 0) {
+    return Math.floor(value);
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?$/i.exec(
+    String(value).trim()
+  );
+  if (!match) {
+    throw new Error(
+      `Invalid size "${value}". Use bytes or a unit such as 500KB, 10MB or 1.5GB`
+    );
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Path of a file relative to a directory, with forward slashes for globs
+ * @param {string} base - Directory the path is relative to
+ * @param {string} fullPath - Absolute path
+ * @returns {string} Relative path
+ */
+export function relativeTo(base, fullPath) {
+  return path.relative(base, fullPath).split(path.sep).join("/");
+}
+
+/**
+ * Match a relative path against an --include or --exclude glob. Globs
+ * without a slash match the file or directory name at any depth.
+ * @param {string} relativePath - Path relative to the scan root
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} Whether the path matches
+ */
+export function matchesGlob(relativePath, pattern) {
+  return minimatch(relativePath, pattern, { dot: true, matchBase: true });
+}
+
+/**
+ * Parse the contents of a .gitignore-style file. Blank lines and lines
+ * starting with # are skipped, ! negates a pattern, a trailing slash matches
+ * directories only and a slash anywhere else anchors the pattern to the
+ * directory of the ignore file.
+ * @param {string} content - Contents of the ignore file
+ * @param {string} baseDir - Directory the ignore file is in
+ * @returns {Object[]} Rules in file order
+ */
+export function parseIgnoreFile(content, baseDir) {
+  return content.split(/\r?\n/).flatMap((line) => {
+    let pattern = line.replace(/(?<!\\)\s+$/, "");
+    if (!pattern || pattern.startsWith("#")) {
+      return [];
+    }
+
+    const negate = pattern.startsWith("!");
+    if (negate) {
+      pattern = pattern.slice(1);
+    } else if (pattern.startsWith("\\#") || pattern.startsWith("\\!")) {
+      pattern = pattern.slice(1);
+    }
+
+    const directoryOnly = pattern.endsWith("/");
+    pattern = pattern.replace(/\/+$/, "");
+    const anchored = pattern.includes("/");
+    pattern = pattern.replace(/^\//, "");
+    if (!pattern) {
+      return [];
+    }
+
+    return [
+      {
+        baseDir,
+        pattern: anchored ? pattern : `**/${pattern}`,
+        negate,
+        directoryOnly,
+      },
+    ];
+  });
+}
+
+/**
+ * Read the rules of an ignore file. A missing file has no rules.
+ * @param {string} filePath - Path to the ignore file
+ * @returns {Promise<Object[]>} Rules in file order
+ */
+export async function readIgnoreFile(filePath) {
+  try {
+    const content = await fs.readFile(filePath, "utf8");
+    return parseIgnoreFile(content, path.dirname(filePath));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Check a path against ignore rules. The last matching rule decides, so
+ * rules from deeper ignore files, which come later, override their parents.
+ * @param {Object[]} rules - Rules from parseIgnoreFile, outermost first
+ * @param {string} fullPath - Absolute path of the entry
+ * @param {boolean} isDirectory - Whether the entry is a directory
+ * @returns {boolean} Whether the entry is ignored
+ */
+export function isIgnored(rules, fullPath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+    if (
+      minimatch(relativeTo(rule.baseDir, fullPath), rule.pattern, { dot: true })
+    ) {
+      ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+}
@@ -0,0 +1,14 @@
+import { parentPort } from "worker_threads";
+import { calculateHash } from "./hashing.mjs";
+
+// Hashes one file per message for HashPool
+parentPort.on("message", async ({ id, filePath, algorithm }) => {
+  try {
+    parentPort.postMessage({
+      id,
+      hash: await calculateHash(filePath, algorithm),
+    });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
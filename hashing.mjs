@@ -0,0 +1,385 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import { Worker } from "worker_threads";
+
+/**
+ * Supported hash algorithms. sha256 is the default; md5, sha1 and the BLAKE2
+ * variants are faster where collision resistance against an attacker does
+ * not matter.
+ */
+export const HASH_ALGORITHMS = [
+  "sha256",
+  "sha512",
+  "sha3-256",
+  "blake2b512",
+  "blake2s256",
+  "sha1",
+  "md5",
+];
+
+export const DEFAULT_HASH_ALGORITHM = "sha256";
+
+const COMPARE_CHUNK_SIZE = 1024 * 1024;
+
+/** Size of the blocks read by the quick, tail and sample hashes */
+export const SAMPLE_BLOCK_SIZE = 64 * 1024;
+
+/** Files smaller than this go straight from the quick hash to a full hash */
+export const SAMPLE_MIN_SIZE = 1024 * 1024;
+
+/** Middle blocks read by calculateSampleHash, as fractions of the file size */
+const SAMPLE_POSITIONS = [0.25, 0.5, 0.75];
+
+/**
+ * Calculate the hash of entire file
+ * @param {string} filePath - Path to the file
+ * @param {string} [algorithm="sha256"] - One of HASH_ALGORITHMS
+ * @returns {Promise<string>} Hex string of file hash
+ */
+export async function calculateHash(
+  filePath,
+  algorithm = DEFAULT_HASH_ALGORITHM
+) {
+  return calculateStreamHash(createReadStream(filePath), algorithm);
+}
+
+/**
+ * Calculate the hash of everything a stream yields, such as a file inside an
+ * archive
+ * @param {Readable} stream - Content to hash
+ * @param {string} [algorithm="sha256"] - One of HASH_ALGORITHMS
+ * @returns {Promise<string>} Hex string of the content hash
+ */
+export async function calculateStreamHash(
+  stream,
+  algorithm = DEFAULT_HASH_ALGORITHM
+) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+
+    stream.on("data", (data) => hash.update(data));
+    stream.on("end", () => resolve(hash.digest("hex")));
+    stream.on("error", (error) => reject(error));
+  });
+}
+
+/**
+ * Calculate quick hash of first 64KB of file
+ * @param {string} filePath - Path to the file
+ * @param {string} [algorithm="sha256"] - One of HASH_ALGORITHMS
+ * @returns {Promise<string>} Hex string of partial file hash
+ */
+export async function calculateQuickHash(
+  filePath,
+  algorithm = DEFAULT_HASH_ALGORITHM
+) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    const stream = createReadStream(filePath, { start: 0, end: 65535 });
+
+    stream.on("data", (data) => hash.update(data));
+    stream.on("end", () => resolve(hash.digest("hex")));
+    stream.on("error", (error) => reject(error));
+  });
+}
+
+/**
+ * Hash blocks read from the given offsets of a file
+ * @param {string} filePath - Path to the file
+ * @param {number[]} offsets - Start of each block
+ * @param {string} algorithm - One of HASH_ALGORITHMS
+ * @returns {Promise<string>} Hex string of the hash of all blocks
+ */
+async function hashBlocks(filePath, offsets, algorithm) {
+  const hash = crypto.createHash(algorithm);
+  const buffer = Buffer.alloc(SAMPLE_BLOCK_SIZE);
+  const handle = await fs.open(filePath);
+
+  try {
+    for (const offset of offsets) {
+      const { bytesRead } = await handle.read(
+        buffer,
+        0,
+        SAMPLE_BLOCK_SIZE,
+        offset
+      );
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return hash.digest("hex");
+}
+
+/**
+ * Calculate a hash of the last 64KB of a file
+ * @param {string} filePath - Path to the file
+ * @param {number} size - File size in bytes
+ * @param {string} [algorithm="sha256"] - One of HASH_ALGORITHMS
+ * @returns {Promise<string>} Hex string of the tail block hash
+ */
+export async function calculateTailHash(
+  filePath,
+  size,
+  algorithm = DEFAULT_HASH_ALGORITHM
+) {
+  return hashBlocks(
+    filePath,
+    [Math.max(0, size - SAMPLE_BLOCK_SIZE)],
+    algorithm
+  );
+}
+
+/**
+ * Calculate a hash of 64KB blocks sampled from the middle of a file, at a
+ * quarter, half and three quarters of its size
+ * @param {string} filePath - Path to the file
+ * @param {number} size - File size in bytes
+ * @param {string} [algorithm="sha256"] - One of HASH_ALGORITHMS
+ * @returns {Promise<string>} Hex string of the sampled blocks hash
+ */
+export async function calculateSampleHash(
+  filePath,
+  size,
+  algorithm = DEFAULT_HASH_ALGORITHM
+) {
+  return hashBlocks(
+    filePath,
+    SAMPLE_POSITIONS.map((position) => Math.floor(size * position)),
+    algorithm
+  );
+}
+
+/**
+ * Calculate the quick, tail, sample and full hashes of content read once from
+ * start to end, such as a file inside an archive. The hashes match those of
+ * calculateQuickHash, calculateTailHash, calculateSampleHash and calculateHash
+ * for a file with the same content; tail and sample hashes are only made for
+ * contents of SAMPLE_MIN_SIZE or more, as the scanner only compares those.
+ * @param {number} size - Length of the content in bytes
+ * @param {string} [algorithm="sha256"] - One of HASH_ALGORITHMS
+ * @returns {{update: function(Buffer), digest: function(): Object}} Hasher fed
+ *   with consecutive chunks; digest returns quickHash, tailHash, sampleHash and hash
+ */
+export function createContentHasher(size, algorithm = DEFAULT_HASH_ALGORITHM) {
+  const full = crypto.createHash(algorithm);
+  // Each block hash covers its ranges in order; ranges never overlap
+  const blocks = (offsets) => ({
+    hash: crypto.createHash(algorithm),
+    ranges: offsets.map((offset) => [
+      offset,
+      Math.min(offset + SAMPLE_BLOCK_SIZE, size),
+    ]),
+  });
+  const quick = blocks([0]);
+  const sampled =
+    size >= SAMPLE_MIN_SIZE
+      ? {
+          tail: blocks([Math.max(0, size - SAMPLE_BLOCK_SIZE)]),
+          sample: blocks(
+            SAMPLE_POSITIONS.map((position) => Math.floor(size * position))
+          ),
+        }
+      : null;
+  let position = 0;
+
+  return {
+    update(chunk) {
+      full.update(chunk);
+      const end = position + chunk.length;
+      for (const { hash, ranges } of [
+        quick,
+        ...(sampled ? [sampled.tail, sampled.sample] : []),
+      ]) {
+        for (const [start, stop] of ranges) {
+          if (start < end && stop > position) {
+            hash.update(
+              chunk.subarray(
+                Math.max(start, position) - position,
+                Math.min(stop, end) - position
+              )
+            );
+          }
+        }
+      }
+      position = end;
+    },
+    digest() {
+      return {
+        quickHash: quick.hash.digest("hex"),
+        tailHash: sampled ? sampled.tail.hash.digest("hex") : null,
+        sampleHash: sampled ? sampled.sample.hash.digest("hex") : null,
+        hash: full.digest("hex"),
+      };
+    },
+  };
+}
+
+/**
+ * Compare two files byte by byte
+ * @param {string} pathA - Path to the first file
+ * @param {string} pathB - Path to the second file
+ * @returns {Promise<boolean>} Whether both files have the same content
+ */
+export async function filesAreIdentical(pathA, pathB) {
+  const a = await fs.open(pathA);
+  try {
+    const b = await fs.open(pathB);
+    try {
+      return await compareHandles(a, b);
+    } finally {
+      await b.close();
+    }
+  } finally {
+    await a.close();
+  }
+}
+
+async function compareHandles(a, b) {
+  const bufferA = Buffer.alloc(COMPARE_CHUNK_SIZE);
+  const bufferB = Buffer.alloc(COMPARE_CHUNK_SIZE);
+
+  // Advance by the bytes actually read, so a short read skips nothing
+  let position = 0;
+  for (;;) {
+    const [readA, readB] = await Promise.all([
+      a.read(bufferA, 0, COMPARE_CHUNK_SIZE, position),
+      b.read(bufferB, 0, COMPARE_CHUNK_SIZE, position),
+    ]);
+
+    if (readA.bytesRead !== readB.bytesRead) {
+      return false;
+    }
+    if (readA.bytesRead === 0) {
+      return true;
+    }
+    if (
+      !bufferA
+        .subarray(0, readA.bytesRead)
+        .equals(bufferB.subarray(0, readB.bytesRead))
+    ) {
+      return false;
+    }
+    position += readA.bytesRead;
+  }
+}
+
+/**
+ * Fixed-size pool of worker threads that calculate full file hashes, so
+ * hashing several large files uses more than one CPU core. Each worker hashes
+ * one file at a time; further requests wait in a queue.
+ */
+export class HashPool {
+  /**
+   * @param {number} size - Number of worker threads
+   */
+  constructor(size) {
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.tasks = new Map();
+    this.nextTaskId = 0;
+    this.closed = false;
+
+    for (let i = 0; i < size; i++) {
+      this.addWorker();
+    }
+  }
+
+  addWorker() {
+    const worker = new Worker(new URL("./hash-worker.mjs", import.meta.url));
+
+    worker.on("message", ({ id, hash, error }) => {
+      const task = this.tasks.get(id);
+      this.tasks.delete(id);
+      worker.currentTask = null;
+      // Tasks of a closed pool have already been rejected
+      if (!task) return;
+
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(hash);
+      }
+      this.release(worker);
+    });
+
+    // A crashed worker fails its file and is replaced
+    worker.on("error", (error) => {
+      const id = worker.currentTask;
+      if (id !== null && this.tasks.has(id)) {
+        this.tasks.get(id).reject(error);
+        this.tasks.delete(id);
+      }
+      this.workers = this.workers.filter((w) => w !== worker);
+      if (!this.closed) {
+        this.addWorker();
+      }
+    });
+
+    worker.currentTask = null;
+    this.workers.push(worker);
+    this.release(worker);
+  }
+
+  release(worker) {
+    const next = this.queue.shift();
+    if (next) {
+      this.dispatch(worker, next);
+    } else {
+      this.idle.push(worker);
+    }
+  }
+
+  dispatch(worker, { id, filePath, algorithm }) {
+    worker.currentTask = id;
+    worker.postMessage({ id, filePath, algorithm });
+  }
+
+  /**
+   * Calculate the hash of a file on the next free worker
+   * @param {string} filePath - Path to the file
+   * @param {string} [algorithm="sha256"] - One of HASH_ALGORITHMS
+   * @returns {Promise<string>} Hex string of file hash
+   */
+  hash(filePath, algorithm = DEFAULT_HASH_ALGORITHM) {
+    if (this.closed) {
+      return Promise.reject(new Error("Hash pool is closed"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextTaskId++;
+      this.tasks.set(id, { resolve, reject });
+
+      const worker = this.idle.pop();
+      if (worker) {
+        this.dispatch(worker, { id, filePath, algorithm });
+      } else {
+        this.queue.push({ id, filePath, algorithm });
+      }
+    });
+  }
+
+  /**
+   * Stop all workers. Files still queued or being hashed are rejected.
+   */
+  async close() {
+    this.closed = true;
+    const ids = [
+      ...this.queue.map(({ id }) => id),
+      ...this.workers.map((worker) => worker.currentTask),
+    ];
+    for (const id of ids) {
+      if (id !== null && this.tasks.has(id)) {
+        this.tasks.get(id).reject(new Error("Hash pool is closed"));
+        this.tasks.delete(id);
+      }
+    }
+    this.queue = [];
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+    this.workers = [];
+    this.idle = [];
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * @typedef {Object} ScanSummary
+ * @property {number} id - Id of the scan row in the index
+ * @property {string} baseDirectory - Directories the scan was started on
+ * @property {number} startTime - Start of the scan, in milliseconds since the epoch
+ * @property {number|null} endTime - End of the scan, or null if it did not finish
+ * @property {number} filesScanned - Files recorded by the scan
+ * @property {string} hashAlgorithm - Hash algorithm of the scan
+ * @property {boolean} verified - Whether groups were compared byte by byte
+ * @property {number} groups - Duplicate groups
+ * @property {number} duplicateFiles - Files in duplicate groups
+ * @property {number} reclaimableBytes - Bytes freed by removing every copy but one
+ * @property {number|null} change - Change in reclaimable bytes since the
+ *   previous finished scan of the same directories, or null for the first one
+ */
+
+/**
+ * @typedef {Object} GroupChange
+ * @property {string} hash - Full hash shared by the files
+ * @property {number} size - Size of each file
+ * @property {string[]} files - Paths of the files, in the later scan when it has the group
+ * @property {string[]} [previousFiles] - Paths of the files in the earlier scan (changed groups only)
+ * @property {number} reclaimableBytes - Reclaimable bytes in the later scan
+ *   (in the earlier one for resolved groups)
+ * @property {number} [previousReclaimableBytes] - Reclaimable bytes in the earlier scan (changed groups only)
+ */
+
+/**
+ * @typedef {Object} ScanDiff
+ * @property {ScanSummary} from - Earlier scan
+ * @property {ScanSummary} to - Later scan
+ * @property {GroupChange[]} added - Groups only the later scan has
+ * @property {GroupChange[]} resolved - Groups only the earlier scan has
+ * @property {GroupChange[]} changed - Groups both have, with other files
+ * @property {number} addedBytes - Reclaimable bytes the later scan has more of,
+ *   from added groups and groups that gained copies
+ * @property {number} resolvedBytes - Reclaimable bytes the later scan has less
+ *   of, from resolved groups and groups that lost copies
+ */
+
+/**
+ * Bytes freed by removing every copy in a group but one. Files in reference
+ * directories and inside archives are never removed.
+ * @param {Object[]} group - Files of a duplicate group, each with size,
+ *   reference and archive
+ * @returns {number} Reclaimable bytes
+ */
+export function reclaimableBytes(group) {
+  const targets = group.filter(
+    (file) => !file.reference && !file.archive
+  ).length;
+  const removable = targets < group.length ? targets : group.length - 1;
+  return group[0].size * removable;
+}
+
+/**
+ * Read the duplicate groups of a scan by their group key: the full hash, with
+ * a suffix for groups that byte-by-byte verification split apart
+ * @param {ScanDatabase} db - Open index
+ * @param {number} scanId - Scan to read
+ * @returns {Map<string, Object[]>} Files of each group
+ */
+function readGroups(db, scanId) {
+  return new Map(
+    db
+      .getDuplicateGroups(scanId)
+      .map((g) => [g.group_id, JSON.parse(g.files)])
+  );
+}
+
+/**
+ * Summarise a scan row with the duplicate totals counted in the index
+ * @param {ScanDatabase} db - Open index
+ * @param {Object} scan - Row of the scan_info table
+ * @returns {ScanSummary} Summary without the change since the previous scan
+ */
+function summarize(db, scan) {
+  const stats = db.getDuplicateStats(scan.id);
+  return {
+    id: scan.id,
+    baseDirectory: scan.base_directory,
+    startTime: scan.start_time,
+    endTime: scan.end_time,
+    filesScanned: scan.files_scanned,
+    hashAlgorithm: scan.hash_algorithm,
+    verified: Boolean(scan.verified),
+    groups: stats.groups,
+    duplicateFiles: stats.files,
+    reclaimableBytes: stats.reclaimableBytes,
+    change: null,
+  };
+}
+
+/**
+ * Find a scan in an index
+ * @param {ScanDatabase} db - Open index
+ * @param {number|string} scanId - Id of the scan
+ * @returns {Object} Row of the scan_info table
+ * @throws {Error} If the index has no such scan
+ */
+export function getScan(db, scanId) {
+  const scan = db.getScanInfo(Number(scanId));
+  if (!scan) {
+    throw new Error(`Scan ${scanId} not found in the index`);
+  }
+  return scan;
+}
+
+/**
+ * List every scan of an index, oldest first, with its duplicate counts and
+ * how its reclaimable bytes changed since the previous finished scan of the
+ * same directories
+ * @param {ScanDatabase} db - Open index
+ * @returns {ScanSummary[]} One summary per scan
+ */
+export function listScans(db) {
+  const latest = new Map();
+
+  return db.getScans().map((scan) => {
+    const summary = summarize(db, scan);
+    const previous = latest.get(scan.base_directory);
+    if (previous) {
+      summary.change = summary.reclaimableBytes - previous.reclaimableBytes;
+    }
+    if (scan.end_time) {
+      latest.set(scan.base_directory, summary);
+    }
+    return summary;
+  });
+}
+
+/**
+ * Compare the duplicate groups of two scans of an index. Groups are matched
+ * by their group key, the full hash of their files, so both scans need the
+ * same hash algorithm.
+ * @param {ScanDatabase} db - Open index
+ * @param {number|string} fromId - Earlier scan
+ * @param {number|string} toId - Later scan
+ * @returns {ScanDiff} Groups added, resolved and changed between the scans
+ * @throws {Error} If a scan is missing or the scans use different hash algorithms
+ */
+export function diffScans(db, fromId, toId) {
+  const fromScan = getScan(db, fromId);
+  const toScan = getScan(db, toId);
+  if (fromScan.hash_algorithm !== toScan.hash_algorithm) {
+    throw new Error(
+      `Scan ${fromScan.id} uses ${fromScan.hash_algorithm} and scan ` +
+        `${toScan.id} uses ${toScan.hash_algorithm}; their groups cannot be compared`
+    );
+  }
+
+  const before = readGroups(db, fromScan.id);
+  const after = readGroups(db, toScan.id);
+  const describe = (group) => ({
+    hash: group[0].hash,
+    size: group[0].size,
+    files: group.map((file) => file.path),
+    reclaimableBytes: reclaimableBytes(group),
+  });
+
+  const added = [];
+  const changed = [];
+  for (const [key, group] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      added.push(describe(group));
+      continue;
+    }
+
+    const paths = group.map((file) => file.path).sort();
+    const previousPaths = previous.map((file) => file.path).sort();
+    if (paths.join("\0") !== previousPaths.join("\0")) {
+      changed.push({
+        ...describe(group),
+        previousFiles: previous.map((file) => file.path),
+        previousReclaimableBytes: reclaimableBytes(previous),
+      });
+    }
+  }
+  const resolved = [...before]
+    .filter(([key]) => !after.has(key))
+    .map(([, group]) => describe(group));
+
+  const growth = changed.map(
+    (group) => group.reclaimableBytes - group.previousReclaimableBytes
+  );
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  return {
+    from: summarize(db, fromScan),
+    to: summarize(db, toScan),
+    added,
+    resolved,
+    changed,
+    addedBytes:
+      sum(added.map((group) => group.reclaimableBytes)) +
+      sum(growth.filter((bytes) => bytes > 0)),
+    resolvedBytes:
+      sum(resolved.map((group) => group.reclaimableBytes)) -
+      sum(growth.filter((bytes) => bytes < 0)),
+  };
+}
+
+/**
+ * Pick the scans to compare when only some are given: the later scan
+ * defaults to the latest one, and the earlier one to the previous finished
+ * scan of the same directories
+ * @param {ScanDatabase} db - Open index
+ * @param {number|string} [fromId] - Earlier scan
+ * @param {number|string} [toId] - Later scan
+ * @returns {{fromId: number, toId: number}} Scans to compare
+ * @throws {Error} If there is no earlier scan to compare with
+ */
+export function defaultDiffScans(db, fromId, toId) {
+  const to = toId !== undefined ? getScan(db, toId) : db.getLatestScan();
+  if (!to) {
+    throw new Error("The index has no scans");
+  }
+  if (fromId !== undefined) {
+    return { fromId: getScan(db, fromId).id, toId: to.id };
+  }
+
+  const previous = db
+    .getScans()
+    .filter(
+      (scan) =>
+        scan.id < to.id &&
+        scan.end_time &&
+        scan.base_directory === to.base_directory
+    )
+    .pop();
+  if (!previous) {
+    throw new Error(`Scan ${to.id} has no earlier scan to compare with`);
+  }
+  return { fromId: previous.id, toId: to.id };
+}
@@ -0,0 +1,235 @@
+import path from "path";
+
+/** Extensions of the images hashed in image similarity mode */
+export const IMAGE_EXTENSIONS = ["jpg", "jpeg", "png", "gif", "webp"];
+
+/** Default largest number of differing hash bits for two similar images */
+export const DEFAULT_IMAGE_DISTANCE = 10;
+
+/** Number of bits in an image hash */
+export const IMAGE_HASH_BITS = 64;
+
+let sharp;
+
+/**
+ * Load the optional image decoder on first use
+ * @returns {Promise<Function>} The sharp module
+ * @throws {Error} When sharp is not installed
+ */
+export async function loadImageDecoder() {
+  if (!sharp) {
+    try {
+      sharp = (await import("sharp")).default;
+    } catch (error) {
+      throw new Error(
+        "Image similarity needs the optional sharp package. Install it with: npm install sharp"
+      );
+    }
+  }
+  return sharp;
+}
+
+/**
+ * Whether a file is an image that can be hashed, by its extension
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} True for JPEG, PNG, GIF and WebP files
+ */
+export function isImage(filePath) {
+  return IMAGE_EXTENSIONS.includes(
+    path.extname(filePath).slice(1).toLowerCase()
+  );
+}
+
+/**
+ * Calculate a perceptual difference hash (dHash) of an image. The image is
+ * turned upright, shrunk to 9x8 grey pixels and every pixel is compared with
+ * its right neighbour, so re-encoding, resizing and dropping metadata barely
+ * change the hash.
+ * @param {string} filePath - Path to a JPEG, PNG, GIF or WebP image
+ * @returns {Promise<string>} 64-bit hash as 16 hex digits
+ */
+export async function calculateImageHash(filePath) {
+  const decoder = await loadImageDecoder();
+  const pixels = await decoder(filePath)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let hex = "";
+  for (let row = 0; row < 8; row += 4) {
+    let word = 0;
+    for (let bit = 0; bit < 32; bit++) {
+      const y = row + Math.floor(bit / 8);
+      const x = bit % 8;
+      const brighter = pixels[y * 9 + x] < pixels[y * 9 + x + 1];
+      word = (word << 1) | (brighter ? 1 : 0);
+    }
+    hex += (word >>> 0).toString(16).padStart(8, "0");
+  }
+  return hex;
+}
+
+/** Image hashes are indexed by four bands of 16 bits each */
+const BAND_BITS = 16;
+const BANDS = IMAGE_HASH_BITS / BAND_BITS;
+
+function bitCount(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Number of bits that differ between two image hashes
+ * @param {string} a - Hash from calculateImageHash
+ * @param {string} b - Hash from calculateImageHash
+ * @returns {number} Hamming distance from 0 to 64
+ */
+export function hammingDistance(a, b) {
+  const high = parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16);
+  const low = parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16);
+  return bitCount(high) + bitCount(low);
+}
+
+/**
+ * Masks of BAND_BITS bits with at most `radius` bits set: XORed with a band,
+ * they give every band value within that distance of it
+ * @param {number} radius - Largest number of bits set
+ * @returns {number[]} Masks
+ */
+function bandMasks(radius) {
+  const masks = [];
+  for (let mask = 0; mask < 1 << BAND_BITS; mask++) {
+    if (bitCount(mask) <= radius) masks.push(mask);
+  }
+  return masks;
+}
+
+/**
+ * Group images whose hashes are at most `maxDistance` bits apart, chaining
+ * through shared neighbours. Byte-identical copies, which already form exact
+ * groups, take part once. Hashes are cut into four bands; two hashes at most
+ * `maxDistance` bits apart differ in at most a quarter of that in one band,
+ * so only images with a band that close are compared. Each group starts with
+ * its largest image; every image carries its distance and similarity to that
+ * one.
+ * @param {Object[]} images - Images with path, size, imageHash and full hash
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance=10] - Largest Hamming distance between neighbours
+ * @param {boolean} [options.references=false] - Only keep groups with a reference and a target image
+ * @returns {Array<{similarity: number, files: Object[]}>} Groups, largest total size first
+ */
+export function groupSimilarImages(
+  images,
+  { maxDistance = DEFAULT_IMAGE_DISTANCE, references = false } = {}
+) {
+  const seenHashes = new Set();
+  const distinct = images.filter((image) => {
+    if (!image.imageHash) return false;
+    if (!image.hash) return true;
+    if (seenHashes.has(image.hash)) return false;
+    seenHashes.add(image.hash);
+    return true;
+  });
+
+  // Union-find over every pair close enough to each other
+  const parent = distinct.map((_, index) => index);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  // Each hash as its high and low 32 bits, parsed once
+  const words = new Uint32Array(distinct.length * 2);
+  distinct.forEach((image, index) => {
+    words[index * 2] = parseInt(image.imageHash.slice(0, 8), 16);
+    words[index * 2 + 1] = parseInt(image.imageHash.slice(8), 16);
+  });
+  const join = (i, j) => {
+    const distance =
+      bitCount(words[i * 2] ^ words[j * 2]) +
+      bitCount(words[i * 2 + 1] ^ words[j * 2 + 1]);
+    if (distance <= maxDistance) {
+      parent[find(i)] = find(j);
+    }
+  };
+
+  const masks = bandMasks(Math.floor(maxDistance / BANDS));
+  if (masks.length * BANDS >= distinct.length) {
+    // Looking up every close band would cost more than comparing every pair
+    for (let i = 0; i < distinct.length; i++) {
+      for (let j = i + 1; j < distinct.length; j++) join(i, j);
+    }
+  } else {
+    const buckets = Array.from({ length: BANDS }, () =>
+      new Array(1 << BAND_BITS).fill(null)
+    );
+    // The last image each image was compared with
+    const comparedWith = new Int32Array(distinct.length).fill(-1);
+
+    for (let index = 0; index < distinct.length; index++) {
+      const bands = [
+        words[index * 2] >>> 16,
+        words[index * 2] & 0xffff,
+        words[index * 2 + 1] >>> 16,
+        words[index * 2 + 1] & 0xffff,
+      ];
+      // Earlier images are already in the buckets, so every pair meets once
+      bands.forEach((value, band) => {
+        for (const mask of masks) {
+          const bucket = buckets[band][value ^ mask];
+          if (!bucket) continue;
+          for (const other of bucket) {
+            if (comparedWith[other] === index) continue;
+            comparedWith[other] = index;
+            join(other, index);
+          }
+        }
+      });
+      bands.forEach((value, band) => {
+        if (buckets[band][value]) buckets[band][value].push(index);
+        else buckets[band][value] = [index];
+      });
+    }
+  }
+
+  const groups = new Map();
+  distinct.forEach((image, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(image);
+  });
+
+  return Array.from(groups.values())
+    .filter((group) => group.length > 1)
+    .filter(
+      (group) =>
+        !references ||
+        (group.some((image) => image.reference) &&
+          group.some((image) => !image.reference))
+    )
+    .map((group) => {
+      const [anchor, ...others] = group.sort((a, b) => b.size - a.size);
+      const files = [anchor, ...others].map((image) => {
+        const distance = hammingDistance(anchor.imageHash, image.imageHash);
+        return {
+          ...image,
+          distance,
+          similarity: 1 - distance / IMAGE_HASH_BITS,
+        };
+      });
+      return {
+        similarity: Math.min(...files.map((file) => file.similarity)),
+        files,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.files.reduce((sum, file) => sum + file.size, 0) -
+        a.files.reduce((sum, file) => sum + file.size, 0)
+    );
+}
@@ -12,17 +12,553 @@ declare module "super-dee-duper" {
     created: Date;
     modified: Date;
     quickHash: string;
+    /** Hash of the last 64KB, for large files whose quick hashes match */
+    tailHash?: string | null;
+    /** Hash of blocks sampled from the middle, for large files whose tail hashes match */
+    sampleHash?: string | null;
     hash: string | null;
+    /** Scanned root directory the file was found under */
+    root?: string;
+    /** Whether the root is a reference directory, never offered for deletion */
+    reference?: boolean;
+    /** Device the file is stored on */
+    device?: number | null;
+    /** Inode of the file on its device */
+    inode?: number | null;
+    /** Other paths to the same inode, already linked and not counted as duplicates */
+    links?: string[];
+    /** Hash of the audio or image data of a media file, without its tags (content-only mode only) */
+    contentHash?: string | null;
+    /** Perceptual hash of an image, as 16 hex digits (image similarity mode only) */
+    imageHash?: string | null;
+    /** MinHash signature of a text file, as hex digits (text similarity mode only) */
+    textSignature?: string | null;
+    /** Archive holding the file, for files found inside a zip or tar archive; `path` is then `<archive>!/<name>` */
+    archive?: string | null;
+  }
+
+  export interface ScanRoot {
+    path: string;
+    reference: boolean;
+  }
+
+  export type HashAlgorithm =
+    | "sha256"
+    | "sha512"
+    | "sha3-256"
+    | "blake2b512"
+    | "blake2s256"
+    | "sha1"
+    | "md5";
+
+  export interface CandidateCounts {
+    /** Files sharing their size with another file */
+    size: number;
+    /** Files still matching after the quick (head) hash */
+    quickHash: number;
+    /** Files still matching after the tail block hash */
+    tail?: number;
+    /** Files still matching after the sampled middle blocks */
+    sample?: number;
+  }
+
+  export interface ScanProgress {
+    filesScanned: number;
+    groupsFound: number;
+    /** Sampling stage (sampling phase only) */
+    stage?: "tail" | "sample";
+    /** Files sampled so far in this stage (sampling phase only) */
+    filesSampled?: number;
+    /** Files to sample in this stage (sampling phase only) */
+    filesToSample?: number;
+    /** Files still possibly duplicate after each stage (sampling and hashing phases) */
+    candidates?: CandidateCounts;
+    /** Files fully hashed so far (hashing phase only) */
+    filesHashed?: number;
+    /** Files that need a full hash (hashing phase only) */
+    filesToHash?: number;
+    /** Groups compared byte by byte so far (verifying phase only) */
+    groupsVerified?: number;
+    /** Groups that need a byte-by-byte comparison (verifying phase only) */
+    groupsToVerify?: number;
+    /** Media files whose content was hashed so far (content phase only) */
+    contentHashed?: number;
+    /** Media files that need a content hash (content phase only) */
+    contentToHash?: number;
+    /** Images hashed perceptually so far (images phase only) */
+    imagesHashed?: number;
+    /** Images that need a perceptual hash (images phase only) */
+    imagesToHash?: number;
+    /** Text files signed so far (texts phase only) */
+    textsSigned?: number;
+    /** Text files that need a signature (texts phase only) */
+    textsToSign?: number;
+    /** File just read, when the progress is about one file */
+    currentPath?: string;
+    phase:
+      | "scanning"
+      | "sampling"
+      | "hashing"
+      | "verifying"
+      | "content"
+      | "images"
+      | "texts";
+  }
+
+  export interface ScanOptions {
+    /** Read-only reference directories; only files with a copy in one are reported */
+    references?: string[];
+    /** Whether to scan subdirectories */
+    recursive?: boolean;
+    /** Glob patterns to exclude, relative to each scanned directory */
+    exclude?: string[];
+    /** Only scan files matching one of these glob patterns */
+    include?: string[];
+    /** Smallest file size to scan, in bytes or with a unit such as "100KB" */
+    minSize?: number | string;
+    /** Largest file size to scan, in bytes or with a unit such as "2GB" */
+    maxSize?: number | string;
+    /** Skip files and directories whose name starts with a dot */
+    skipHidden?: boolean;
+    /** Honour .gitignore files in scanned directories (default: true) */
+    gitignore?: boolean;
+    /** Path to store the index file */
+    indexPath?: string;
+    /** Resume the last unfinished scan in the index at `indexPath` */
+    incomplete?: boolean;
+    /** Reuse hashes of unchanged files from earlier scans in the index */
+    rescan?: boolean;
+    /** Directory for quarantined files, left out of the scan */
+    quarantineDir?: string;
+    /** Scan the targets of symbolic links instead of recording the links (default: false) */
+    followSymlinks?: boolean;
+    /** Number of files hashed in parallel on worker threads (default: number of CPUs) */
+    jobs?: number;
+    /** Number of files read, stat'ed and quick-hashed in parallel (default: 4 x jobs) */
+    ioJobs?: number;
+    /** Hash algorithm for quick and full hashes (default: "sha256") */
+    hashAlgorithm?: HashAlgorithm;
+    /** Compare the files of every group byte by byte before reporting it */
+    verify?: boolean;
+    /** Also group MP3, FLAC, JPEG and PNG files whose data match apart from their tags */
+    contentOnly?: boolean;
+    /** Hash JPEG, PNG, GIF and WebP images perceptually and group similar ones (needs sharp) */
+    images?: boolean;
+    /** Largest number of differing hash bits, out of 64, for similar images (default: 10) */
+    imageDistance?: number;
+    /** Sign text files with MinHash and group near-identical ones */
+    texts?: boolean;
+    /** Smallest estimated similarity, from 0 to 1, for similar text files (default: 0.8) */
+    textSimilarity?: number;
+    /** Also look inside zip, tar and tar.gz archives; files found there are read-only */
+    archives?: boolean;
+    /** Progress callback */
+    onProgress?: (progress: ScanProgress) => void;
+    /** Called with the files of a group each time hashing finds another copy, before `verify` */
+    onGroup?: (files: FileInfo[]) => void;
+    /** Cancels the scan, which rejects with "Scan cancelled" and stays in the index unfinished */
+    signal?: AbortSignal;
+  }
+
+  export interface ScanResult {
+    /** Groups of duplicate files, largest first */
+    result: FileInfo[][];
+    /** Path of the index file */
+    dbPath: string;
+    /** Id of the scan row in the index */
+    scanId: number;
+    /** Paths recorded by the previous scan that no longer exist (rescan only) */
+    deletedFiles: string[];
+    /** Scanned target and reference directories */
+    roots: ScanRoot[];
+    /** Media files with the same content but different tags, or null unless `contentOnly` is set */
+    contentGroups: ContentGroup[] | null;
+    /** Groups of similar images, or null unless `images` is set */
+    similarImages: SimilarImageGroup[] | null;
+    /** Groups of similar text files, or null unless `texts` is set */
+    similarTexts: SimilarTextGroup[] | null;
   }
 
   /**
-   * Find duplicate files in a directory
-   * @param dir - Directory path to scan
-   * @param recursive - Whether to scan subdirectories
-   * @returns Array of file groups, where each group contains duplicate files
+   * Find duplicate files in one or more directories
+   * @param dir - Directory path, or paths, to scan
+   * @param options - Scan options
+   * @returns Duplicate groups together with the index path and scan id
    */
   export function findDuplicates(
-    dir: string,
-    recursive: boolean
-  ): Promise<FileInfo[][]>;
+    dir: string | string[],
+    options?: ScanOptions
+  ): Promise<ScanResult>;
+
+  export type KeepRuleName =
+    | "prefer"
+    | "avoid"
+    | "never"
+    | "newest"
+    | "oldest"
+    | "shortest-path"
+    | "longest-path"
+    | "shortest-name"
+    | "longest-name"
+    | "shallowest"
+    | "deepest"
+    | "first"
+    | "last";
+
+  export interface KeepRule {
+    type: KeepRuleName;
+    /** Glob pattern for prefer, avoid and never rules */
+    pattern?: string;
+  }
+
+  export interface KeepDecision {
+    /** Path of the file to keep, or null when every file is excluded */
+    keeper: string | null;
+    /** Paths of the other files in the group, except reference files */
+    remove: string[];
+    /** Why the keeper was chosen, one entry per deciding rule */
+    reasons: string[];
+    /** The reasons joined into one sentence */
+    reason: string;
+  }
+
+  export const RULE_NAMES: KeepRuleName[];
+
+  /**
+   * Parse a rule written as "name" or "name:pattern"
+   * @param spec - Rule specification, e.g. "newest" or "prefer:photos/**"
+   */
+  export function parseRule(spec: string | KeepRule): KeepRule;
+
+  /**
+   * Pick the file to keep in one duplicate group
+   * @param group - Files in the group
+   * @param rules - Ordered rule list
+   */
+  export function chooseKeeper(
+    group: Pick<FileInfo, "path" | "modified" | "reference">[],
+    rules: (string | KeepRule)[]
+  ): KeepDecision;
+
+  /**
+   * Pick one keeper for every duplicate group
+   * @param groups - Duplicate groups
+   * @param rules - Ordered rule list
+   */
+  export function chooseKeepers(
+    groups: FileInfo[][],
+    rules: (string | KeepRule)[]
+  ): (KeepDecision & { hash: string })[];
+
+  export type ExportFormat = "json" | "ndjson" | "csv";
+
+  export type SizeCategory =
+    | "small"
+    | "medium"
+    | "large"
+    | "xlarge"
+    | "xxlarge";
+
+  export type FileType = "image" | "audio" | "video" | "document" | "other";
+
+  export interface ExportFilters {
+    /** Case-insensitive text a file path in the group must contain */
+    path?: string;
+    /** Size category of the group, or "all" */
+    size?: SizeCategory | "all";
+    /** Type of a file in the group */
+    type?: FileType;
+  }
+
+  export interface NumberedGroup {
+    /** Position of the group in the unfiltered list, starting at 1 */
+    id: number;
+    files: FileInfo[];
+  }
+
+  export const EXPORT_FORMATS: ExportFormat[];
+  export const SIZE_CATEGORIES: SizeCategory[];
+  export const FILE_TYPES: FileType[];
+
+  /**
+   * Number duplicate groups and keep those matching the web interface filters
+   * @param groups - Duplicate groups, largest first
+   * @param filters - Path, size and type filters
+   */
+  export function filterGroups(
+    groups: FileInfo[][],
+    filters?: ExportFilters
+  ): NumberedGroup[];
+
+  /**
+   * Serialise numbered groups as JSON, NDJSON or CSV
+   * @param groups - Groups returned by filterGroups
+   * @param format - Output format
+   * @param options - Write one JSON/NDJSON record per file instead of per group
+   */
+  export function exportGroups(
+    groups: NumberedGroup[],
+    format: ExportFormat,
+    options?: { perFile?: boolean }
+  ): string;
+
+  /** Row of the files table in an index file */
+  export interface IndexedFile {
+    path: string;
+    size: number;
+    full_hash: string | null;
+    root?: string | null;
+    reference?: number | boolean;
+    link_target?: string | null;
+    archive?: string | null;
+  }
+
+  export interface DirectoryEntry {
+    path: string;
+    /** Whether every file in the directory is in a reference directory */
+    reference: boolean;
+  }
+
+  export interface DirectoryGroup {
+    /** Hash of the sorted entry names and their hashes */
+    hash: string;
+    /** Bytes in each directory */
+    size: number;
+    /** Files in each directory, including subdirectories */
+    fileCount: number;
+    directories: DirectoryEntry[];
+  }
+
+  export interface DirectoryOverlap {
+    directories: [DirectoryEntry, DirectoryEntry];
+    /** Share of the distinct content, by size, that both directories hold (0 to 1) */
+    overlap: number;
+    sharedBytes: number;
+    totalBytes: number;
+  }
+
+  export const DEFAULT_MIN_OVERLAP: number;
+
+  /**
+   * Find identical and partly overlapping directory trees among the files of a scan
+   * @param files - Rows of the files table for one scan
+   * @param options - Smallest overlap, from 0 to 1, for partly overlapping pairs
+   */
+  export function findDuplicateDirectories(
+    files: IndexedFile[],
+    options?: { minOverlap?: number }
+  ): { identical: DirectoryGroup[]; partial: DirectoryOverlap[] };
+
+  export interface SimilarImage {
+    path: string;
+    size: number;
+    /** Full hash, when the image was a duplicate candidate */
+    hash?: string | null;
+    imageHash: string;
+    reference?: boolean;
+    /** Differing hash bits from the first image of the group */
+    distance: number;
+    /** Share of matching hash bits with the first image of the group (0 to 1) */
+    similarity: number;
+  }
+
+  export interface SimilarImageGroup {
+    /** Lowest similarity of an image to the first, largest image */
+    similarity: number;
+    files: SimilarImage[];
+  }
+
+  export const DEFAULT_IMAGE_DISTANCE: number;
+
+  /**
+   * Calculate the 64-bit perceptual difference hash of an image (needs sharp)
+   * @param filePath - Path to a JPEG, PNG, GIF or WebP image
+   * @returns Hash as 16 hex digits
+   */
+  export function calculateImageHash(filePath: string): Promise<string>;
+
+  /**
+   * Number of bits that differ between two image hashes
+   */
+  export function hammingDistance(a: string, b: string): number;
+
+  /**
+   * Group images whose perceptual hashes are at most `maxDistance` bits apart
+   * @param images - Images with a path, size, imageHash and optional full hash
+   * @param options - Largest distance, and whether groups need a reference image
+   */
+  export function groupSimilarImages(
+    images: Pick<
+      SimilarImage,
+      "path" | "size" | "hash" | "imageHash" | "reference"
+    >[],
+    options?: { maxDistance?: number; references?: boolean }
+  ): SimilarImageGroup[];
+
+  export interface SimilarText {
+    path: string;
+    size: number;
+    /** Full hash, when the file was a duplicate candidate */
+    hash?: string | null;
+    reference?: boolean;
+    /** Estimated share of content in common with the first text of the group (0 to 1) */
+    similarity: number;
+  }
+
+  export interface SimilarTextGroup {
+    /** Lowest similarity of a text to the first, largest text */
+    similarity: number;
+    files: SimilarText[];
+  }
+
+  export interface DiffLine {
+    type: "same" | "removed" | "added";
+    text: string;
+  }
+
+  export const DEFAULT_TEXT_SIMILARITY: number;
+
+  /**
+   * MinHash signature of a text, from its three-word shingles
+   * @returns Signature as hex digits, or null for a text without words
+   */
+  export function textSignature(text: string): string | null;
+
+  /**
+   * Read a text file and calculate its MinHash signature
+   * @returns Signature, or null for binary, empty or oversized files
+   */
+  export function calculateTextSignature(
+    filePath: string
+  ): Promise<string | null>;
+
+  /**
+   * Estimated share of shingles two signed texts have in common (0 to 1)
+   */
+  export function signatureSimilarity(a: string, b: string): number;
+
+  /**
+   * Group texts whose estimated similarity is at least `threshold`
+   * @param texts - Texts with a path, size, textSignature and optional full hash
+   * @param options - Smallest similarity, and whether groups need a reference text
+   */
+  export function groupSimilarTexts(
+    texts: (Pick<SimilarText, "path" | "size" | "hash" | "reference"> & {
+      textSignature: string | null;
+    })[],
+    options?: { threshold?: number; references?: boolean }
+  ): SimilarTextGroup[];
+
+  /**
+   * Compare two texts line by line
+   */
+  export function diffLines(a: string, b: string): DiffLine[];
+
+  export type ContentFormat = "mp3" | "flac" | "jpeg" | "png";
+
+  export interface ContentInfo {
+    format: ContentFormat;
+    /** Byte ranges, [start, end), holding the audio or image data */
+    ranges: [number, number][];
+    /** Tags found outside those ranges, by name */
+    metadata: Record<string, string>;
+  }
+
+  export interface ContentGroup {
+    /** Hash of the audio or image data the files share */
+    contentHash: string;
+    files: (FileInfo & { metadata: Record<string, string> })[];
+    /** Names of the tags whose values are not the same in every file */
+    differingTags: string[];
+  }
+
+  /**
+   * Find the audio or image data of an MP3, FLAC, JPEG or PNG file and read its tags
+   * @returns Content ranges and tags, or null for other or malformed files
+   */
+  export function readContentInfo(
+    filePath: string
+  ): Promise<ContentInfo | null>;
+
+  /**
+   * Hash the audio or image data of a media file, leaving out its tags
+   * @returns Content hash, or null for other or malformed files
+   */
+  export function calculateContentHash(
+    filePath: string,
+    algorithm?: HashAlgorithm
+  ): Promise<string | null>;
+
+  /**
+   * Read the tags of files sharing a content hash and list those that differ
+   */
+  export function describeContentGroup<T extends { path: string }>(
+    files: T[]
+  ): Promise<{
+    files: (T & { metadata: Record<string, string> })[];
+    differingTags: string[];
+  }>;
+
+  export type ArchiveFormat = "zip" | "tar" | "tgz";
+
+  export interface ArchiveMember {
+    /** Path of the file inside the archive, with forward slashes */
+    name: string;
+    /** Uncompressed size in bytes */
+    size: number;
+    /** Modification date recorded in the archive */
+    modified: Date;
+    quickHash: string;
+    /** Hash of the last 64KB, for files of 1MB or more */
+    tailHash: string | null;
+    /** Hash of blocks sampled from the middle, for files of 1MB or more */
+    sampleHash: string | null;
+    hash: string;
+  }
+
+  /** Separates the path of an archive from the name of a file inside it */
+  export const MEMBER_SEPARATOR: string;
+
+  /**
+   * Archive format of a file, from its name
+   * @returns "zip", "tar" or "tgz", or null for other files
+   */
+  export function archiveFormat(filePath: string): ArchiveFormat | null;
+
+  /**
+   * Path recorded in the index for a file inside an archive
+   */
+  export function memberPath(archivePath: string, name: string): string;
+
+  /**
+   * List and hash the files of a zip or tar archive without extracting them
+   * @param options - Hash algorithm, which files to list, and hashes recorded earlier
+   */
+  export function readArchive(
+    archivePath: string,
+    options?: {
+      algorithm?: HashAlgorithm;
+      include?: (member: {
+        name: string;
+        size: number;
+        modified: Date;
+      }) => boolean;
+      previous?: (member: {
+        name: string;
+        size: number;
+        modified: Date;
+      }) => Pick<
+        ArchiveMember,
+        "quickHash" | "tailHash" | "sampleHash" | "hash"
+      > | null;
+    }
+  ): Promise<ArchiveMember[]>;
+
+  /**
+   * Stream the content of a file inside a zip or tar archive
+   */
+  export function openArchiveMember(
+    archivePath: string,
+    name: string
+  ): Promise<NodeJS.ReadableStream>;
 }
@@ -1,3 +1,44 @@
-// run `node index.js` in the terminal
-
-console.log(`Hello Node.js v${process.versions.node}!`);
+export { findDuplicates } from "./scanner.mjs";
+export {
+  chooseKeeper,
+  chooseKeepers,
+  parseRule,
+  RULE_NAMES,
+} from "./policy.mjs";
+export {
+  exportGroups,
+  filterGroups,
+  EXPORT_FORMATS,
+  SIZE_CATEGORIES,
+  FILE_TYPES,
+} from "./export.mjs";
+export {
+  findDuplicateDirectories,
+  DEFAULT_MIN_OVERLAP,
+} from "./directories.mjs";
+export {
+  calculateContentHash,
+  describeContentGroup,
+  readContentInfo,
+} from "./media.mjs";
+export {
+  calculateImageHash,
+  groupSimilarImages,
+  hammingDistance,
+  DEFAULT_IMAGE_DISTANCE,
+} from "./images.mjs";
+export {
+  calculateTextSignature,
+  diffLines,
+  groupSimilarTexts,
+  signatureSimilarity,
+  textSignature,
+  DEFAULT_TEXT_SIMILARITY,
+} from "./texts.mjs";
+export {
+  archiveFormat,
+  memberPath,
+  openArchiveMember,
+  readArchive,
+  MEMBER_SEPARATOR,
+} from "./archives.mjs";
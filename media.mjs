@@ -0,0 +1,592 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import zlib from "zlib";
+import { DEFAULT_HASH_ALGORITHM } from "./hashing.mjs";
+
+/** Container format of each extension hashed in content-only mode */
+export const CONTENT_FORMATS = {
+  mp3: "mp3",
+  flac: "flac",
+  jpg: "jpeg",
+  jpeg: "jpeg",
+  png: "png",
+};
+
+// Metadata blocks larger than this are measured but not parsed
+const MAX_METADATA_SIZE = 1024 * 1024;
+
+const ID3_FRAMES = {
+  TIT2: "Title",
+  TPE1: "Artist",
+  TPE2: "Album artist",
+  TALB: "Album",
+  TYER: "Year",
+  TDRC: "Recording time",
+  TRCK: "Track",
+  TPOS: "Disc",
+  TCON: "Genre",
+  TCOM: "Composer",
+  TENC: "Encoded by",
+  TSSE: "Encoder settings",
+  COMM: "Comment",
+  USLT: "Lyrics",
+  APIC: "Picture",
+};
+
+const EXIF_TAGS = {
+  0x010e: "Description",
+  0x010f: "Camera make",
+  0x0110: "Camera model",
+  0x0112: "Orientation",
+  0x0131: "Software",
+  0x0132: "Date modified",
+  0x013b: "Artist",
+  0x8298: "Copyright",
+  0x9003: "Date taken",
+};
+
+const PNG_METADATA_CHUNKS = ["tEXt", "zTXt", "iTXt", "eXIf", "tIME"];
+
+/**
+ * @typedef {Object} ContentInfo
+ * @property {string} format - Container format, one of the CONTENT_FORMATS values
+ * @property {Array<[number, number]>} ranges - Byte ranges holding the payload, end exclusive
+ * @property {Object<string, string>} metadata - Tags found in the metadata blocks, by name
+ */
+
+/**
+ * Container format of a file, by its extension
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} Format, or null when content-only hashing does not support it
+ */
+export function contentFormat(filePath) {
+  return CONTENT_FORMATS[path.extname(filePath).slice(1).toLowerCase()] || null;
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(Math.max(0, length));
+  const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function addTag(metadata, name, value) {
+  metadata[name] =
+    name in metadata && metadata[name] !== value
+      ? `${metadata[name]} / ${value}`
+      : value;
+}
+
+const bytes = (length) => `${length} bytes`;
+
+// Sizes in ID3v2 headers use seven bits per byte
+const syncsafe = (buffer, offset) =>
+  ((buffer[offset] & 0x7f) << 21) |
+  ((buffer[offset + 1] & 0x7f) << 14) |
+  ((buffer[offset + 2] & 0x7f) << 7) |
+  (buffer[offset + 3] & 0x7f);
+
+/**
+ * Decode the text of an ID3v2 frame
+ * @param {number} encoding - 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+ * @param {Buffer} data - Encoded text
+ * @returns {string[]} Null-separated strings
+ */
+function decodeId3Text(encoding, data) {
+  let text;
+  if (encoding === 1 || encoding === 2) {
+    const bigEndian = encoding === 2 || (data[0] === 0xfe && data[1] === 0xff);
+    const utf16 = Buffer.from(
+      data.subarray(0, data.length - (data.length % 2))
+    );
+    if (bigEndian) utf16.swap16();
+    text = utf16.toString("utf16le").replace(/^\uFEFF/, "");
+  } else {
+    text = data.toString(encoding === 3 ? "utf8" : "latin1");
+  }
+  return text.replace(/\0+$/, "").split("\0");
+}
+
+function parseId3v2(tag, metadata) {
+  const version = tag[3];
+  if (version < 3) {
+    metadata[`ID3v2.${version} tag`] = bytes(tag.length);
+    return;
+  }
+
+  let offset = 10;
+  if (tag[5] & 0x40) {
+    offset += version === 4 ? syncsafe(tag, 10) : tag.readUInt32BE(10) + 4;
+  }
+  while (offset + 10 <= tag.length) {
+    const id = tag.toString("latin1", offset, offset + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id)) {
+      break;
+    }
+    const size =
+      version === 4 ? syncsafe(tag, offset + 4) : tag.readUInt32BE(offset + 4);
+    const data = tag.subarray(offset + 10, offset + 10 + size);
+    offset += 10 + size;
+
+    const name = ID3_FRAMES[id] || id;
+    if (id.startsWith("T") && id !== "TXXX") {
+      addTag(
+        metadata,
+        name,
+        decodeId3Text(data[0], data.subarray(1)).join(" / ")
+      );
+    } else if (id === "COMM" || id === "USLT") {
+      // Encoding, language, description and text
+      const [, ...text] = decodeId3Text(data[0], data.subarray(4));
+      addTag(metadata, name, text.join(""));
+    } else {
+      addTag(metadata, name, bytes(data.length));
+    }
+  }
+}
+
+function parseId3v1(tag, metadata) {
+  const field = (start, length) =>
+    tag
+      .toString("latin1", start, start + length)
+      .replace(/\0.*$/s, "")
+      .trim();
+  const fields = {
+    "ID3v1 Title": field(3, 30),
+    "ID3v1 Artist": field(33, 30),
+    "ID3v1 Album": field(63, 30),
+    "ID3v1 Year": field(93, 4),
+    "ID3v1 Comment": field(97, 30),
+  };
+  for (const [name, value] of Object.entries(fields)) {
+    if (value) metadata[name] = value;
+  }
+}
+
+/**
+ * Locate the audio frames of an MP3 file between its ID3v2 tags at the start
+ * and its APEv2 and ID3v1 tags at the end
+ */
+async function parseMp3(handle, size) {
+  const metadata = {};
+
+  let start = 0;
+  for (;;) {
+    const header = await readAt(handle, start, 10);
+    if (header.length < 10 || header.toString("latin1", 0, 3) !== "ID3") {
+      break;
+    }
+    const tagSize = 10 + syncsafe(header, 6) + (header[5] & 0x10 ? 10 : 0);
+    parseId3v2(
+      await readAt(handle, start, Math.min(tagSize, MAX_METADATA_SIZE)),
+      metadata
+    );
+    start += tagSize;
+  }
+
+  let end = size;
+  if (end - start >= 128) {
+    const tag = await readAt(handle, end - 128, 128);
+    if (tag.toString("latin1", 0, 3) === "TAG") {
+      parseId3v1(tag, metadata);
+      end -= 128;
+    }
+  }
+  if (end - start >= 32) {
+    const footer = await readAt(handle, end - 32, 32);
+    if (footer.toString("latin1", 0, 8) === "APETAGEX") {
+      const tagSize = footer.readUInt32LE(12);
+      const hasHeader = footer.readUInt32LE(20) & 0x80000000;
+      metadata["APE tag"] = bytes(tagSize);
+      end -= tagSize + (hasHeader ? 32 : 0);
+    }
+  }
+
+  return end > start ? { ranges: [[start, end]], metadata } : null;
+}
+
+/**
+ * Read the text tags of an EXIF block
+ * @param {Buffer} tiff - TIFF structure following the "Exif" header
+ * @param {Object<string, string>} metadata - Tags found so far
+ */
+function parseExif(tiff, metadata) {
+  const little = tiff.toString("latin1", 0, 2) === "II";
+  const u16 = (offset) =>
+    little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const u32 = (offset) =>
+    little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+  const visited = new Set();
+
+  const readIfd = (offset) => {
+    if (visited.has(offset) || offset + 2 > tiff.length) return;
+    visited.add(offset);
+
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.length) return;
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const length = u32(entry + 4);
+
+      if (tag === 0x8769) {
+        readIfd(u32(entry + 8));
+      } else if (tag === 0x8825) {
+        metadata.GPS = "present";
+      } else if (EXIF_TAGS[tag] && type === 2) {
+        const start = length <= 4 ? entry + 8 : u32(entry + 8);
+        metadata[EXIF_TAGS[tag]] = tiff
+          .toString("latin1", start, start + length)
+          .replace(/\0+$/, "")
+          .trim();
+      } else if (EXIF_TAGS[tag] && type === 3) {
+        metadata[EXIF_TAGS[tag]] = String(u16(entry + 8));
+      }
+    }
+  };
+
+  try {
+    readIfd(u32(4));
+  } catch (error) {
+    // A truncated block keeps the tags read before the damage
+  }
+}
+
+function describeJpegSegment(marker, data, metadata) {
+  const startsWith = (prefix) =>
+    data.toString("latin1", 0, prefix.length) === prefix;
+
+  if (marker === 0xfe) {
+    addTag(metadata, "Comment", data.toString("latin1").trim());
+  } else if (marker === 0xe1 && startsWith("Exif\0\0")) {
+    parseExif(data.subarray(6), metadata);
+  } else if (marker === 0xe1 && startsWith("http://ns.adobe.com/xap/1.0/\0")) {
+    metadata.XMP = bytes(data.length);
+  } else if (marker === 0xe2 && startsWith("ICC_PROFILE\0")) {
+    metadata["ICC profile"] = bytes(data.length);
+  } else if (marker === 0xed) {
+    metadata["IPTC/Photoshop"] = bytes(data.length);
+  } else if (marker !== 0xe0) {
+    metadata[`APP${marker - 0xe0} segment`] = bytes(data.length);
+  }
+}
+
+/**
+ * Locate the image data of a JPEG file: every segment except the APPn
+ * segments (JFIF, EXIF, XMP, ICC profiles, IPTC) and comments, up to the
+ * compressed scan data and everything after it
+ */
+async function parseJpeg(handle, size) {
+  const soi = await readAt(handle, 0, 2);
+  if (soi.length < 2 || soi.readUInt16BE(0) !== 0xffd8) {
+    return null;
+  }
+
+  const ranges = [[0, 2]];
+  const metadata = {};
+  let offset = 2;
+  while (offset + 4 <= size) {
+    const header = await readAt(handle, offset, 4);
+    const marker = header[1];
+    if (header[0] !== 0xff) {
+      return null;
+    }
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      ranges.push([offset, offset + 2]);
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xda) {
+      ranges.push([offset, size]);
+      return { ranges, metadata };
+    }
+
+    const end = offset + 2 + header.readUInt16BE(2);
+    if ((marker >= 0xe0 && marker <= 0xef) || marker === 0xfe) {
+      describeJpegSegment(
+        marker,
+        await readAt(handle, offset + 4, end - offset - 4),
+        metadata
+      );
+    } else {
+      ranges.push([offset, end]);
+    }
+    offset = end;
+  }
+
+  // No scan data
+  return null;
+}
+
+function describePngChunk(type, data, metadata) {
+  const nul = data.indexOf(0);
+  const keyword = data.toString("latin1", 0, nul < 0 ? data.length : nul);
+
+  if (type === "tEXt") {
+    addTag(metadata, keyword, data.toString("latin1", nul + 1));
+  } else if (type === "zTXt") {
+    addTag(
+      metadata,
+      keyword,
+      zlib.inflateSync(data.subarray(nul + 2)).toString("latin1")
+    );
+  } else if (type === "iTXt") {
+    const compressed = data[nul + 1] === 1;
+    const language = data.indexOf(0, nul + 3);
+    const translated = data.indexOf(0, language + 1);
+    const text = data.subarray(translated + 1);
+    addTag(
+      metadata,
+      keyword,
+      (compressed ? zlib.inflateSync(text) : text).toString("utf8")
+    );
+  } else if (type === "eXIf") {
+    parseExif(data, metadata);
+  } else if (type === "tIME" && data.length >= 7) {
+    metadata["Date modified"] = new Date(
+      Date.UTC(
+        data.readUInt16BE(0),
+        data[2] - 1,
+        data[3],
+        data[4],
+        data[5],
+        data[6]
+      )
+    ).toISOString();
+  }
+}
+
+/**
+ * Locate the image data of a PNG file: every chunk except text, EXIF and
+ * modification time chunks
+ */
+async function parsePng(handle, size) {
+  const signature = await readAt(handle, 0, 8);
+  if (!signature.equals(Buffer.from("89504e470d0a1a0a", "hex"))) {
+    return null;
+  }
+
+  const ranges = [[0, 8]];
+  const metadata = {};
+  let offset = 8;
+  while (offset + 12 <= size) {
+    const header = await readAt(handle, offset, 8);
+    const length = header.readUInt32BE(0);
+    const type = header.toString("latin1", 4, 8);
+    const end = offset + 12 + length;
+
+    if (PNG_METADATA_CHUNKS.includes(type)) {
+      try {
+        describePngChunk(
+          type,
+          await readAt(handle, offset + 8, Math.min(length, MAX_METADATA_SIZE)),
+          metadata
+        );
+      } catch (error) {
+        metadata[type] = bytes(length);
+      }
+    } else {
+      ranges.push([offset, end]);
+    }
+    offset = end;
+  }
+  if (offset < size) {
+    ranges.push([offset, size]);
+  }
+
+  return { ranges, metadata };
+}
+
+function parseVorbisComments(data, metadata) {
+  let offset = 0;
+  const next = () => {
+    const length = data.readUInt32LE(offset);
+    const text = data.toString("utf8", offset + 4, offset + 4 + length);
+    offset += 4 + length;
+    return text;
+  };
+
+  metadata.Vendor = next();
+  const count = data.readUInt32LE(offset);
+  offset += 4;
+  for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+    const comment = next();
+    const equals = comment.indexOf("=");
+    if (equals > 0) {
+      addTag(
+        metadata,
+        comment.slice(0, equals).toUpperCase(),
+        comment.slice(equals + 1)
+      );
+    }
+  }
+}
+
+/**
+ * Locate the audio of a FLAC file: the stream information block and the
+ * frames after the last metadata block
+ */
+async function parseFlac(handle, size) {
+  const marker = await readAt(handle, 0, 4);
+  if (marker.toString("latin1") !== "fLaC") {
+    return null;
+  }
+
+  const ranges = [];
+  const metadata = {};
+  let offset = 4;
+  for (;;) {
+    const header = await readAt(handle, offset, 4);
+    if (header.length < 4) {
+      return null;
+    }
+    const last = header[0] & 0x80;
+    const type = header[0] & 0x7f;
+    const end = offset + 4 + header.readUIntBE(1, 3);
+
+    // Only the block data counts: the header holds the last-block flag
+    if (type === 0) {
+      ranges.push([offset + 4, end]);
+    } else if (type === 4) {
+      try {
+        parseVorbisComments(
+          await readAt(
+            handle,
+            offset + 4,
+            Math.min(end - offset - 4, MAX_METADATA_SIZE)
+          ),
+          metadata
+        );
+      } catch (error) {
+        metadata["Vorbis comments"] = bytes(end - offset - 4);
+      }
+    } else if (type === 6) {
+      addTag(metadata, "Picture", bytes(end - offset - 4));
+    }
+    offset = end;
+    if (last) break;
+  }
+
+  ranges.push([offset, size]);
+  return { ranges, metadata };
+}
+
+const PARSERS = {
+  mp3: parseMp3,
+  jpeg: parseJpeg,
+  png: parsePng,
+  flac: parseFlac,
+};
+
+/**
+ * Find the payload and read the tags of an MP3, FLAC, JPEG or PNG file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<ContentInfo|null>} Payload ranges and tags, or null when
+ *   the format is not supported or the file does not follow it
+ */
+export async function readContentInfo(filePath) {
+  const format = contentFormat(filePath);
+  if (!format) {
+    return null;
+  }
+
+  const handle = await fs.open(filePath);
+  try {
+    const { size } = await handle.stat();
+    const info = await PARSERS[format](handle, size);
+    return info && { format, ...info };
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return null;
+    }
+    throw error;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Number of payload bytes in a file
+ * @param {ContentInfo} info - Result of readContentInfo
+ * @returns {number} Bytes hashed by hashContent
+ */
+export function payloadSize(info) {
+  return info.ranges.reduce((sum, [start, end]) => sum + (end - start), 0);
+}
+
+/**
+ * Hash the payload ranges of a file
+ * @param {string} filePath - Path to the file
+ * @param {Array<[number, number]>} ranges - Ranges from readContentInfo
+ * @param {string} [algorithm="sha256"] - One of HASH_ALGORITHMS
+ * @returns {Promise<string>} Hex string of the payload hash
+ */
+export async function hashContent(
+  filePath,
+  ranges,
+  algorithm = DEFAULT_HASH_ALGORITHM
+) {
+  const hash = crypto.createHash(algorithm);
+
+  for (const [start, end] of ranges) {
+    if (end <= start) continue;
+    await new Promise((resolve, reject) => {
+      const stream = createReadStream(filePath, { start, end: end - 1 });
+      stream.on("data", (data) => hash.update(data));
+      stream.on("end", resolve);
+      stream.on("error", reject);
+    });
+  }
+
+  return hash.digest("hex");
+}
+
+/**
+ * Calculate a hash of the audio or image data of a media file, leaving out
+ * ID3 and APE tags, EXIF, XMP and other APPn segments, PNG text chunks and
+ * FLAC comments and pictures, so copies that only differ in their tags match
+ * @param {string} filePath - Path to the file
+ * @param {string} [algorithm="sha256"] - One of HASH_ALGORITHMS
+ * @returns {Promise<string|null>} Hex string of the payload hash, or null for
+ *   unsupported files
+ */
+export async function calculateContentHash(
+  filePath,
+  algorithm = DEFAULT_HASH_ALGORITHM
+) {
+  const info = await readContentInfo(filePath);
+  return info ? hashContent(filePath, info.ranges, algorithm) : null;
+}
+
+/**
+ * Read the tags of every file in a content-only group and list the tags
+ * whose values differ between them
+ * @param {Object[]} files - Files with the same payload
+ * @returns {Promise<{files: Object[], differingTags: string[]}>} Files with
+ *   their `metadata`, and the names of the tags that differ
+ */
+export async function describeContentGroup(files) {
+  const metadata = await Promise.all(
+    files.map((file) =>
+      readContentInfo(file.path)
+        .then((info) => info?.metadata ?? {})
+        .catch(() => ({}))
+    )
+  );
+
+  const names = new Set(metadata.flatMap((tags) => Object.keys(tags)));
+  const differingTags = Array.from(names)
+    .filter((name) => metadata.some((tags) => tags[name] !== metadata[0][name]))
+    .sort();
+
+  return {
+    files: files.map((file, i) => ({ ...file, metadata: metadata[i] })),
+    differingTags,
+  };
+}
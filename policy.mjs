@@ -0,0 +1,213 @@
+import path from "path";
+import { minimatch } from "minimatch";
+
+/**
+ * @typedef {Object} KeepRule
+ * @property {string} type - Rule name, one of the keys of RULES
+ * @property {string} [pattern] - Glob pattern for prefer, avoid and never rules
+ */
+
+/**
+ * @typedef {Object} KeepDecision
+ * @property {string|null} keeper - Path of the file to keep, or null if no file may be kept
+ * @property {string[]} remove - Paths of the other files in the group
+ * @property {string[]} reasons - Why the keeper was chosen, one entry per deciding rule
+ * @property {string} reason - The reasons joined into one sentence
+ */
+
+const matches = (file, pattern) =>
+  minimatch(file.path, pattern, {
+    dot: true,
+    matchBase: !pattern.includes("/"),
+  });
+
+const modifiedTime = (file) => new Date(file.modified).getTime();
+
+const depth = (file) => file.path.split(/[\\/]/).length;
+
+/**
+ * Scoring rules. The files with the highest score survive each rule, and
+ * describe() explains the survivors.
+ */
+const RULES = {
+  prefer: {
+    needsPattern: true,
+    score: (file, rule) => (matches(file, rule.pattern) ? 1 : 0),
+    describe: (file, rule) => `path matches preferred ${rule.pattern}`,
+  },
+  avoid: {
+    needsPattern: true,
+    score: (file, rule) => (matches(file, rule.pattern) ? 0 : 1),
+    describe: (file, rule) => `path does not match avoided ${rule.pattern}`,
+  },
+  newest: {
+    score: (file) => modifiedTime(file),
+    describe: (file) =>
+      `newest modification time (${new Date(file.modified).toISOString()})`,
+  },
+  oldest: {
+    score: (file) => -modifiedTime(file),
+    describe: (file) =>
+      `oldest modification time (${new Date(file.modified).toISOString()})`,
+  },
+  "shortest-path": {
+    score: (file) => -file.path.length,
+    describe: (file) => `shortest path (${file.path.length} characters)`,
+  },
+  "longest-path": {
+    score: (file) => file.path.length,
+    describe: (file) => `longest path (${file.path.length} characters)`,
+  },
+  "shortest-name": {
+    score: (file) => -path.basename(file.path).length,
+    describe: (file) =>
+      `shortest name (${path.basename(file.path).length} characters)`,
+  },
+  "longest-name": {
+    score: (file) => path.basename(file.path).length,
+    describe: (file) =>
+      `longest name (${path.basename(file.path).length} characters)`,
+  },
+  shallowest: {
+    score: (file) => -depth(file),
+    describe: (file) => `shallowest path (depth ${depth(file)})`,
+  },
+  deepest: {
+    score: (file) => depth(file),
+    describe: (file) => `deepest path (depth ${depth(file)})`,
+  },
+  first: {
+    score: (file, rule, index) => -index,
+    describe: () => "first file in the group",
+  },
+  last: {
+    score: (file, rule, index) => index,
+    describe: () => "last file in the group",
+  },
+};
+
+/** Names of the available rules, including "never" */
+export const RULE_NAMES = [...Object.keys(RULES), "never"];
+
+/**
+ * Parse a rule written as "name" or "name:pattern", e.g. "newest" or
+ * "prefer:**\/documents/**". Rule objects are returned unchanged.
+ * @param {string|KeepRule} spec - Rule specification
+ * @returns {KeepRule} Parsed rule
+ */
+export function parseRule(spec) {
+  if (typeof spec !== "string") {
+    if (!spec || !RULE_NAMES.includes(spec.type)) {
+      throw new Error(`Unknown keep rule: ${JSON.stringify(spec)}`);
+    }
+    return spec;
+  }
+
+  const separator = spec.indexOf(":");
+  const type = separator === -1 ? spec : spec.slice(0, separator);
+  const pattern = separator === -1 ? undefined : spec.slice(separator + 1);
+
+  if (!RULE_NAMES.includes(type)) {
+    throw new Error(
+      `Unknown keep rule "${type}". Available rules: ${RULE_NAMES.join(", ")}`
+    );
+  }
+  if ((type === "never" || RULES[type].needsPattern) && !pattern) {
+    throw new Error(
+      `Keep rule "${type}" needs a pattern, e.g. ${type}:**/tmp/**`
+    );
+  }
+
+  return pattern === undefined ? { type } : { type, pattern };
+}
+
+/**
+ * Pick the file to keep in one duplicate group. Files in a reference
+ * directory are never removed, and the keeper is one of them when the group
+ * has any. Files inside an archive are never removed either, and are only
+ * kept when the group has no loose file, as nothing can link to them.
+ * "never" rules are applied next and remove candidates outright; every other
+ * rule then keeps only the best scoring candidates, in order.
+ * Remaining ties go to the first file.
+ * @param {Object[]} group - Files in the group, each with path, modified and optionally reference
+ * @param {Array<string|KeepRule>} rules - Ordered rule list
+ * @returns {KeepDecision} The keeper and the reasons for choosing it
+ */
+export function chooseKeeper(group, rules) {
+  const parsedRules = rules.map(parseRule);
+  const reasons = [];
+  let candidates = group.map((file, index) => ({ file, index }));
+  const remove = (keeper) =>
+    group
+      .filter(
+        (file) => file.path !== keeper && !file.reference && !file.archive
+      )
+      .map((file) => file.path);
+
+  if (group.some((file) => file.reference)) {
+    candidates = candidates.filter(({ file }) => file.reference);
+    reasons.push("in a reference directory");
+  }
+  const loose = candidates.filter(({ file }) => !file.archive);
+  if (loose.length > 0 && loose.length < candidates.length) {
+    candidates = loose;
+    reasons.push("outside an archive");
+  }
+
+  for (const rule of parsedRules.filter((r) => r.type === "never")) {
+    const allowed = candidates.filter(
+      ({ file }) => !matches(file, rule.pattern)
+    );
+    if (allowed.length === 0) {
+      const reason = `every file matches never ${rule.pattern}`;
+      return { keeper: null, remove: [], reasons: [reason], reason };
+    }
+    if (allowed.length < candidates.length) {
+      reasons.push(`outside never ${rule.pattern}`);
+      candidates = allowed;
+    }
+  }
+
+  for (const rule of parsedRules.filter((r) => r.type !== "never")) {
+    if (candidates.length === 1) break;
+
+    const { score, describe } = RULES[rule.type];
+    const scored = candidates.map((candidate) => ({
+      ...candidate,
+      score: score(candidate.file, rule, candidate.index),
+    }));
+    const best = Math.max(...scored.map((candidate) => candidate.score));
+    const survivors = scored.filter((candidate) => candidate.score === best);
+
+    if (survivors.length < candidates.length) {
+      reasons.push(describe(survivors[0].file, rule));
+      candidates = survivors;
+    }
+  }
+
+  if (candidates.length > 1 || reasons.length === 0) {
+    reasons.push(RULES.first.describe());
+  }
+
+  const keeper = candidates[0].file.path;
+  return {
+    keeper,
+    remove: remove(keeper),
+    reasons,
+    reason: `kept ${path.basename(keeper)}: ${reasons.join(", then ")}`,
+  };
+}
+
+/**
+ * Pick one keeper for every duplicate group
+ * @param {Object[][]} groups - Duplicate groups
+ * @param {Array<string|KeepRule>} rules - Ordered rule list
+ * @returns {Array<KeepDecision & {hash: string}>} One decision per group, in group order
+ */
+export function chooseKeepers(groups, rules) {
+  const parsedRules = rules.map(parseRule);
+  return groups.map((group) => ({
+    hash: group[0].hash,
+    ...chooseKeeper(group, parsedRules),
+  }));
+}
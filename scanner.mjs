@@ -1,9 +1,54 @@
-import crypto from "crypto";
 import fs from "fs/promises";
-import { createReadStream } from "fs";
+import os from "os";
 import path from "path";
-import { minimatch } from "minimatch";
 import { ScanDatabase } from "./database.mjs";
+import {
+  calculateHash,
+  calculateQuickHash,
+  calculateTailHash,
+  calculateSampleHash,
+  filesAreIdentical,
+  HashPool,
+  HASH_ALGORITHMS,
+  DEFAULT_HASH_ALGORITHM,
+  SAMPLE_MIN_SIZE,
+} from "./hashing.mjs";
+import {
+  GITIGNORE_FILE,
+  IGNORE_FILE,
+  isIgnored,
+  matchesGlob,
+  parseSize,
+  readIgnoreFile,
+  relativeTo,
+} from "./filters.mjs";
+import {
+  calculateImageHash,
+  DEFAULT_IMAGE_DISTANCE,
+  groupSimilarImages,
+  isImage,
+  loadImageDecoder,
+} from "./images.mjs";
+import {
+  calculateTextSignature,
+  DEFAULT_TEXT_SIMILARITY,
+  groupSimilarTexts,
+  isText,
+} from "./texts.mjs";
+import {
+  contentFormat,
+  describeContentGroup,
+  hashContent,
+  payloadSize,
+  readContentInfo,
+} from "./media.mjs";
+import {
+  archiveFormat,
+  memberPath,
+  openFile,
+  readArchive,
+  streamsAreIdentical,
+} from "./archives.mjs";
 
 /**
  * @typedef {Object} FileSize
@@ -20,39 +65,92 @@ import { ScanDatabase } from "./database.mjs";
  * @property {Date} created - File creation date
  * @property {Date} modified - File modification date
  * @property {string} quickHash - Partial file hash for quick comparison
+ * @property {string|null} tailHash - Hash of the last 64KB (large files with matching quick hashes)
+ * @property {string|null} sampleHash - Hash of blocks sampled from the middle (calculated after tailHash)
  * @property {string|null} hash - Full file hash (calculated on demand)
+ * @property {string} root - Scanned root directory the file was found in
+ * @property {boolean} reference - Whether the root is a read-only reference directory
+ * @property {number} device - Device the file is stored on
+ * @property {number} inode - Inode of the file on its device
+ * @property {string[]} links - Other paths to the same inode, collapsed into this file
+ * @property {string|null} imageHash - Perceptual hash of an image (image similarity mode only)
+ * @property {string|null} textSignature - MinHash signature of a text file (text similarity mode only)
+ * @property {string|null} contentHash - Hash of the audio or image data without tags (content-only mode only)
+ * @property {string|null} archive - Archive the file was found in, for files inside an archive (archive mode only)
  */
 
 /**
- * Calculate SHA-256 hash of entire file
- * @param {string} filePath - Path to the file
- * @returns {Promise<string>} Hex string of file hash
+ * Create a function that runs async tasks with at most `concurrency` of them
+ * in flight at once
+ * @param {number} concurrency - Maximum number of running tasks
+ * @returns {function(function(): Promise<*>): Promise<*>} Task runner
  */
-async function calculateHash(filePath) {
-  return new Promise((resolve, reject) => {
-    const hash = crypto.createHash("sha256");
-    const stream = createReadStream(filePath);
-
-    stream.on("data", (data) => hash.update(data));
-    stream.on("end", () => resolve(hash.digest("hex")));
-    stream.on("error", (error) => reject(error));
-  });
+function createLimiter(concurrency) {
+  const queue = [];
+  let head = 0;
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || head === queue.length) {
+      return;
+    }
+    const { task, resolve, reject } = queue[head];
+    queue[head++] = null;
+    if (head > 1024 && head * 2 > queue.length) {
+      queue.splice(0, head);
+      head = 0;
+    }
+
+    active++;
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
 }
 
+// Files recorded, and hashes stored, per transaction
+const WRITE_BATCH_SIZE = 1000;
+// Candidates read from the index at a time
+const CANDIDATE_PAGE_SIZE = 1000;
+
 /**
- * Calculate quick hash of first 64KB of file
- * @param {string} filePath - Path to the file
- * @returns {Promise<string>} Hex string of partial file hash
+ * Queue writes to the index and run them in one transaction per batch, as a
+ * transaction per file would wait for the disk on every file
+ * @param {ScanDatabase} db - Database instance
+ * @param {function()} onFlush - Called in every transaction, after the writes
+ * @returns {{write: function(function()), flush: function()}} Queue a write,
+ *   or run the queued writes now
  */
-async function calculateQuickHash(filePath) {
-  return new Promise((resolve, reject) => {
-    const hash = crypto.createHash("sha256");
-    const stream = createReadStream(filePath, { start: 0, end: 65535 });
-
-    stream.on("data", (data) => hash.update(data));
-    stream.on("end", () => resolve(hash.digest("hex")));
-    stream.on("error", (error) => reject(error));
-  });
+function createWriter(db, onFlush) {
+  let pending = [];
+
+  const flush = () => {
+    const writes = pending;
+    pending = [];
+    db.transaction(() => {
+      writes.forEach((write) => write());
+      onFlush();
+    });
+  };
+
+  return {
+    write: (write) => {
+      pending.push(write);
+      if (pending.length >= WRITE_BATCH_SIZE) {
+        flush();
+      }
+    },
+    flush,
+  };
 }
 
 /**
@@ -77,194 +175,1311 @@ function formatFileSize(bytes) {
 }
 
 /**
- * Scan directory for files
- * @param {string} dir - Directory path to scan
- * @param {boolean} recursive - Whether to scan subdirectories
- * @param {string[]} excludePatterns - Glob patterns to exclude
- * @param {function} progressCallback - Callback for progress updates
- * @param {ScanDatabase} db - Database instance
- * @param {number} scanId - Current scan ID
- * @returns {Promise<FileInfo[]>} Array of file information objects
+ * Rebuild a FileInfo object from a row of the files table
+ * @param {Object} row - Row from the files table, with a JSON array of the
+ *   paths linked to its inode when the query adds one
+ * @returns {FileInfo} File information object
  */
-async function scanDirectory(
-  dir,
-  recursive,
-  excludePatterns = [],
-  progressCallback = () => {},
-  db,
-  scanId
+function fileInfoFromRow(row) {
+  const size = formatFileSize(row.size);
+  return {
+    path: row.path,
+    name: path.basename(row.path),
+    size: size.raw,
+    formattedSize: size.formatted,
+    created: new Date(row.created),
+    modified: new Date(row.modified),
+    quickHash: row.quick_hash,
+    tailHash: row.tail_hash,
+    sampleHash: row.sample_hash,
+    hash: row.full_hash,
+    root: row.root,
+    reference: Boolean(row.reference),
+    device: row.device,
+    inode: row.inode,
+    links: row.links ? JSON.parse(row.links) : [],
+    imageHash: row.image_hash,
+    textSignature: row.text_signature,
+    contentHash: row.content_hash,
+    archive: row.archive,
+  };
+}
+
+/**
+ * @typedef {Object} ScanContext
+ * @property {boolean} recursive - Whether to scan subdirectories
+ * @property {string[]} excludePatterns - Glob patterns to exclude, relative to the root
+ * @property {string[]} includePatterns - Glob patterns a file must match, relative to the root; empty for all files
+ * @property {number} minSize - Smallest file size to record, in bytes
+ * @property {number} maxSize - Largest file size to record, in bytes
+ * @property {boolean} skipHidden - Whether to leave out files and directories starting with a dot
+ * @property {boolean} gitignore - Whether to honour .gitignore files
+ * @property {ScanDatabase} db - Database instance
+ * @property {number} scanId - Current scan ID
+ * @property {{write: function(function())}} writer - Batches the files recorded in the index
+ * @property {function(string): boolean} skip - Whether to leave out a path, such as a file already recorded for this scan
+ * @property {boolean} reuseHashes - Whether to copy hashes of unchanged files from earlier scans
+ * @property {string} hashAlgorithm - Algorithm for quick hashes
+ * @property {string} root - Root directory being scanned
+ * @property {boolean} reference - Whether the root is a reference directory
+ * @property {boolean} followSymlinks - Whether to scan the targets of symbolic links
+ * @property {boolean} archives - Whether to list and hash the files inside zip and tar archives
+ * @property {function} limit - Limiter for directory reads, stats and quick hashes
+ * @property {AbortSignal} [signal] - Stops the scan when aborted
+ * @property {function(string)} onFile - Called with the path of every file recorded
+ */
+
+/**
+ * Stop a scan once it has been cancelled
+ * @param {AbortSignal} [signal] - Signal of the scan
+ * @throws {Error} If the signal was aborted
+ */
+function checkCancelled(signal) {
+  if (signal?.aborted) {
+    throw new Error("Scan cancelled");
+  }
+}
+
+/**
+ * Stat, quick-hash and record one file, unless its size is out of bounds
+ * @param {string} fullPath - Path to the file
+ * @param {string} name - File name
+ * @param {ScanContext} context - Scan settings
+ * @returns {Promise<void>}
+ */
+async function scanFile(
+  fullPath,
+  name,
+  {
+    db,
+    scanId,
+    writer,
+    reuseHashes,
+    hashAlgorithm,
+    root,
+    reference,
+    minSize,
+    maxSize,
+    onFile,
+  }
+) {
+  const stats = await fs.stat(fullPath);
+  if (stats.size < minSize || stats.size > maxSize) {
+    return;
+  }
+  const size = formatFileSize(stats.size);
+
+  // Unchanged files keep the hashes recorded by an earlier scan
+  const previous = reuseHashes
+    ? db.findPreviousHashes(scanId, fullPath, stats.size, stats.mtime.getTime())
+    : null;
+  const quickHash = previous
+    ? previous.quick_hash
+    : await calculateQuickHash(fullPath, hashAlgorithm);
+
+  const fileInfo = {
+    path: fullPath,
+    name,
+    size: size.raw,
+    formattedSize: size.formatted,
+    created: stats.birthtime,
+    modified: stats.mtime,
+    quickHash,
+    tailHash: previous ? previous.tail_hash : null,
+    sampleHash: previous ? previous.sample_hash : null,
+    hash: previous ? previous.full_hash : null,
+    root,
+    reference,
+    device: stats.dev,
+    inode: stats.ino,
+    links: [],
+    imageHash: previous ? previous.image_hash : null,
+    textSignature: previous ? previous.text_signature : null,
+    contentHash: previous ? previous.content_hash : null,
+    archive: null,
+  };
+
+  writer.write(() => db.addFile(scanId, fileInfo, fileInfo.hash));
+  onFile(fullPath);
+}
+
+/**
+ * List, hash and record the files inside a zip or tar archive, streaming
+ * them without extracting anything. Size bounds, hidden names and include and
+ * exclude patterns apply to each file by its path inside the archive. The
+ * files of an unchanged archive keep the hashes recorded by an earlier scan.
+ * Nothing is recorded for an archive that cannot be read to the end.
+ * @param {string} archivePath - Path to the archive
+ * @param {ScanContext} context - Scan settings
+ * @returns {Promise<void>}
+ */
+async function scanArchive(
+  archivePath,
+  {
+    db,
+    scanId,
+    writer,
+    skip,
+    reuseHashes,
+    hashAlgorithm,
+    root,
+    reference,
+    minSize,
+    maxSize,
+    skipHidden,
+    excludePatterns,
+    includePatterns,
+    onFile,
+  }
 ) {
+  let members;
+  try {
+    const stats = await fs.stat(archivePath);
+    const unchanged =
+      reuseHashes &&
+      db.findPreviousHashes(
+        scanId,
+        archivePath,
+        stats.size,
+        stats.mtime.getTime()
+      );
+
+    members = await readArchive(archivePath, {
+      algorithm: hashAlgorithm,
+      include: ({ name, size }) => {
+        const fullPath = memberPath(archivePath, name);
+        const relativePath = relativeTo(root, fullPath);
+        return (
+          size >= minSize &&
+          size <= maxSize &&
+          !skip(fullPath) &&
+          !(skipHidden && name.split("/").some((part) => part[0] === ".")) &&
+          !excludePatterns.some((pattern) =>
+            matchesGlob(relativePath, pattern)
+          ) &&
+          (includePatterns.length === 0 ||
+            includePatterns.some((pattern) =>
+              matchesGlob(relativePath, pattern)
+            ))
+        );
+      },
+      previous: ({ name, size, modified }) => {
+        const row =
+          unchanged &&
+          db.findPreviousHashes(
+            scanId,
+            memberPath(archivePath, name),
+            size,
+            modified.getTime()
+          );
+        return row?.full_hash
+          ? {
+              quickHash: row.quick_hash,
+              tailHash: row.tail_hash,
+              sampleHash: row.sample_hash,
+              hash: row.full_hash,
+            }
+          : null;
+      },
+    });
+  } catch (error) {
+    console.error(`Error reading archive ${archivePath}:`, error.message);
+    return;
+  }
+
+  members.forEach((member) => {
+    const size = formatFileSize(member.size);
+    const fileInfo = {
+      path: memberPath(archivePath, member.name),
+      name: path.posix.basename(member.name),
+      size: size.raw,
+      formattedSize: size.formatted,
+      created: member.modified,
+      modified: member.modified,
+      quickHash: member.quickHash,
+      tailHash: member.tailHash,
+      sampleHash: member.sampleHash,
+      hash: member.hash,
+      root,
+      reference,
+      device: null,
+      inode: null,
+      links: [],
+      imageHash: null,
+      textSignature: null,
+      contentHash: null,
+      archive: archivePath,
+    };
+
+    writer.write(() => db.addFile(scanId, fileInfo, fileInfo.hash));
+    onFile(fileInfo.path);
+  });
+}
+
+/**
+ * @typedef {Object} DirectoryJob
+ * @property {string} dir - Directory path to scan
+ * @property {ScanContext} context - Scan settings
+ * @property {Set<string>} ancestors - Device and inode of the directories above, when following symbolic links
+ * @property {Object[]} ignoreRules - Rules of the ignore files above, outermost first
+ */
+
+/**
+ * Scan the entries of one directory. Files are recorded concurrently, bounded
+ * by the limiter; subdirectories are returned to be scanned later, so no
+ * directory tree is held in memory. Excluded, ignored and hidden entries are
+ * dropped by name, before they are stat'ed or read.
+ * @param {DirectoryJob} job - Directory to scan
+ * @returns {Promise<DirectoryJob[]>} Subdirectories to scan, in directory order
+ */
+async function scanDirectory({ dir, context, ancestors, ignoreRules }) {
+  const {
+    recursive,
+    excludePatterns,
+    includePatterns,
+    skipHidden,
+    gitignore,
+    db,
+    scanId,
+    writer,
+    skip,
+    followSymlinks,
+    archives,
+    root,
+    limit,
+    signal,
+  } = context;
+
+  let files;
   try {
-    const files = await fs.readdir(dir, { withFileTypes: true });
-    let allFiles = [];
-    let filesScanned = 0;
+    // A followed link back to a directory being scanned would never end
+    if (followSymlinks) {
+      const stats = await limit(() => fs.stat(dir));
+      const key = `${stats.dev}:${stats.ino}`;
+      if (ancestors.has(key)) {
+        return [];
+      }
+      ancestors = new Set(ancestors).add(key);
+    }
+
+    files = await limit(() => fs.readdir(dir, { withFileTypes: true }));
 
-    for (const file of files) {
+    // The rules of a .gitignore apply to its directory and everything below
+    if (
+      gitignore &&
+      files.some((file) => file.name === GITIGNORE_FILE && file.isFile())
+    ) {
+      ignoreRules = ignoreRules.concat(
+        await readIgnoreFile(path.join(dir, GITIGNORE_FILE))
+      );
+    }
+  } catch (error) {
+    throw new Error(`Failed to scan directory ${dir}: ${error.message}`);
+  }
+
+  const subdirectories = await Promise.all(
+    files.map(async (file) => {
+      checkCancelled(signal);
       const fullPath = path.join(dir, file.name);
-      const relativePath = path.relative(process.cwd(), fullPath);
+      const relativePath = relativeTo(root, fullPath);
+
+      // Already recorded by the scan being resumed, or owned by the tool
+      if (skip(fullPath)) {
+        return null;
+      }
+
+      if (skipHidden && file.name.startsWith(".")) {
+        return null;
+      }
 
       // Check if path matches any exclude pattern
-      if (excludePatterns.some((pattern) => minimatch(relativePath, pattern))) {
-        continue;
+      if (
+        excludePatterns.some((pattern) => matchesGlob(relativePath, pattern))
+      ) {
+        return null;
       }
 
       try {
-        if (file.isDirectory() && recursive) {
-          const subDirFiles = await scanDirectory(
-            fullPath,
-            recursive,
-            excludePatterns,
-            progressCallback,
-            db,
-            scanId
-          );
-          allFiles = allFiles.concat(subDirFiles);
-        } else if (file.isFile()) {
-          const stats = await fs.stat(fullPath);
-          const size = formatFileSize(stats.size);
-          const quickHash = await calculateQuickHash(fullPath);
-
-          const fileInfo = {
-            path: fullPath,
-            name: file.name,
-            size: size.raw,
-            formattedSize: size.formatted,
-            created: stats.birthtime,
-            modified: stats.mtime,
-            quickHash,
-            hash: null,
-          };
+        // Followed links are scanned like their targets; dangling links are
+        // recorded like any other link
+        const targetStats =
+          file.isSymbolicLink() && followSymlinks
+            ? await limit(() => fs.stat(fullPath)).catch(() => null)
+            : null;
+        const isDirectory = file.isDirectory() || targetStats?.isDirectory();
+
+        if (isIgnored(ignoreRules, fullPath, isDirectory)) {
+          return null;
+        }
 
-          allFiles.push(fileInfo);
-          filesScanned++;
+        if (isDirectory && recursive) {
+          return { dir: fullPath, context, ancestors, ignoreRules };
+        } else if (file.isFile() || targetStats?.isFile()) {
+          // The files inside an archive are matched on their own, so an
+          // archive is read even when its name is not included
+          if (archives && archiveFormat(fullPath)) {
+            await limit(() => scanArchive(fullPath, context));
+          }
 
-          if (db) {
-            db.addFile(scanId, fileInfo);
+          if (
+            includePatterns.length === 0 ||
+            includePatterns.some((pattern) =>
+              matchesGlob(relativePath, pattern)
+            )
+          ) {
+            await limit(() => scanFile(fullPath, file.name, context));
           }
+        } else if (file.isSymbolicLink()) {
+          // Record links, such as those left by replacing a duplicate, so
+          // their targets are not counted twice
+          const [stats, target] = await limit(() =>
+            Promise.all([fs.lstat(fullPath), fs.readlink(fullPath)])
+          );
 
-          progressCallback(filesScanned);
+          writer.write(() =>
+            db.addLink(scanId, {
+              path: fullPath,
+              size: stats.size,
+              created: stats.birthtime,
+              modified: stats.mtime,
+              linkTarget: path.resolve(dir, target),
+            })
+          );
         }
       } catch (error) {
+        // A cancelled scan stops instead of skipping the file
+        if (signal?.aborted) {
+          throw error;
+        }
         console.error(`Error processing ${fullPath}:`, error.message);
       }
+      return null;
+    })
+  );
+
+  return subdirectories.filter(Boolean);
+}
+
+/**
+ * Scan directory trees depth first, several directories at a time. A
+ * directory that cannot be read is reported and left out, unless it is one of
+ * the roots.
+ * @param {DirectoryJob[]} roots - Root directories to scan
+ * @param {number} workers - Number of directories scanned at once
+ * @returns {Promise<void>}
+ */
+async function walkDirectories(roots, workers) {
+  const pending = roots.slice().reverse();
+  const isRoot = new Set(roots);
+  let active = 0;
+  let failure = null;
+  let wake = null;
+
+  const work = async () => {
+    for (;;) {
+      if (failure) {
+        return;
+      }
+      const job = pending.pop();
+      if (!job) {
+        // Wait for the directories being scanned to add subdirectories
+        if (active === 0) {
+          return;
+        }
+        await new Promise((resolve) => {
+          const previous = wake;
+          wake = () => {
+            previous?.();
+            resolve();
+          };
+        });
+        continue;
+      }
+
+      active++;
+      try {
+        const subdirectories = await scanDirectory(job);
+        pending.push(...subdirectories.reverse());
+      } catch (error) {
+        if (isRoot.has(job) || job.context.signal?.aborted) {
+          failure = failure || error;
+        } else {
+          console.error(`Error processing ${job.dir}:`, error.message);
+        }
+      }
+      active--;
+
+      const waiting = wake;
+      wake = null;
+      waiting?.();
     }
+  };
 
-    return allFiles;
-  } catch (error) {
-    throw new Error(`Failed to scan directory ${dir}: ${error.message}`);
+  await Promise.all(Array.from({ length: workers }, work));
+  if (failure) {
+    throw failure;
+  }
+}
+
+/**
+ * Split groups of files by a key, keeping only the subgroups with more than
+ * one file
+ * @param {FileInfo[][]} groups - Groups to split
+ * @param {function(FileInfo): string} key - Key of a file
+ * @param {function(FileInfo[]): boolean} [keep] - Further test a subgroup must pass
+ * @returns {FileInfo[][]} Subgroups of files sharing a key
+ */
+function splitGroups(groups, key, keep = () => true) {
+  return groups.flatMap((group) => {
+    const subgroups = new Map();
+    group.forEach((file) => {
+      const value = key(file);
+      if (!subgroups.has(value)) {
+        subgroups.set(value, []);
+      }
+      subgroups.get(value).push(file);
+    });
+    return Array.from(subgroups.values()).filter(
+      (g) => g.length > 1 && keep(g)
+    );
+  });
+}
+
+/**
+ * Read the candidates selected in the index a page at a time, files sharing
+ * their hashes next to each other
+ * @param {ScanDatabase} db - Database instance
+ * @returns {Generator<{id: number, key: string, file: FileInfo}[]>} Pages of
+ *   candidates, with their row id and the key of their group
+ */
+function* candidatePages(db) {
+  let position = 0;
+  for (;;) {
+    const rows = db.getCandidates(position, CANDIDATE_PAGE_SIZE);
+    if (rows.length === 0) {
+      return;
+    }
+    position = rows[rows.length - 1].position;
+    yield rows.map((row) => ({
+      id: row.id,
+      key: row.group_key,
+      file: fileInfoFromRow(row),
+    }));
   }
 }
 
 /**
- * Find duplicate files in a directory
- * @param {string} dir - Directory path to scan
+ * Narrow down the large candidates with matching quick hashes by hashing
+ * their last block, then blocks sampled from the middle, so only files that
+ * still match are read in full. Hashes reused from earlier scans are kept.
+ * Expects the candidates of the quick hash stage to be selected, and leaves
+ * those of the last stage selected.
+ * @param {Object} context
+ * @param {ScanDatabase} context.db - Database instance
+ * @param {number} context.scanId - Current scan ID
+ * @param {string} context.hashAlgorithm - One of HASH_ALGORITHMS
+ * @param {function} context.limit - Limiter for file reads
+ * @param {{write: function(function()), flush: function()}} context.writer - Batches the hashes stored in the index
+ * @param {function(Object)} context.onFile - Called with the stage name and its progress after each file
+ * @param {function(string, number)} context.onStageDone - Called with the stage name and the files still matching
+ */
+async function sampleCandidates({
+  db,
+  scanId,
+  hashAlgorithm,
+  limit,
+  writer,
+  onFile,
+  onStageDone,
+}) {
+  const stages = [
+    {
+      stage: "tail",
+      key: "tailHash",
+      column: "tail_hash",
+      calculate: calculateTailHash,
+    },
+    {
+      stage: "sample",
+      key: "sampleHash",
+      column: "sample_hash",
+      calculate: calculateSampleHash,
+    },
+  ];
+
+  for (const { stage, key, column, calculate } of stages) {
+    const filesToSample = db.countCandidates(column, SAMPLE_MIN_SIZE);
+    let filesSampled = 0;
+
+    for (const page of candidatePages(db)) {
+      await Promise.all(
+        page
+          .filter(({ file }) => file.size >= SAMPLE_MIN_SIZE && !file[key])
+          .map(({ id, file }) =>
+            limit(async () => {
+              try {
+                file[key] = await calculate(
+                  file.path,
+                  file.size,
+                  hashAlgorithm
+                );
+
+                writer.write(() => {
+                  db.updateSampleHashes(id, file.tailHash, file.sampleHash);
+                  for (const linkPath of file.links) {
+                    const linkId = db.getFileByPath(scanId, linkPath)?.id;
+                    if (linkId) {
+                      db.updateSampleHashes(
+                        linkId,
+                        file.tailHash,
+                        file.sampleHash
+                      );
+                    }
+                  }
+                });
+              } catch (error) {
+                console.error(`Error sampling ${file.path}:`, error.message);
+              }
+              filesSampled++;
+              onFile({
+                stage,
+                filesSampled,
+                filesToSample,
+                currentPath: file.path,
+              });
+            })
+          )
+      );
+    }
+
+    // Files that could not be sampled drop out of the candidates
+    writer.flush();
+    onStageDone(stage, db.selectCandidates(scanId, stage, SAMPLE_MIN_SIZE));
+  }
+}
+
+/**
+ * Calculate a similarity signature, such as a perceptual image hash, for every
+ * file that has none yet and store it in the index
+ * @param {FileInfo[]} files - Files to sign
+ * @param {Object} context
+ * @param {string} context.key - FileInfo property holding the signature
+ * @param {function(string): Promise<string|null>} context.calculate - Signature of the file at a path
+ * @param {function(number, string)} context.store - Store the signature of a file by its id
+ * @param {ScanDatabase} context.db - Database instance
+ * @param {number} context.scanId - Current scan ID
+ * @param {function} context.limit - Limiter for files signed at once
+ * @param {function(number, number, string)} context.onFile - Called with the files signed, the files to sign and the path of the file just signed
+ */
+async function signFiles(
+  files,
+  { key, calculate, store, db, scanId, limit, onFile }
+) {
+  const toSign = files.filter((file) => !file[key]);
+  let filesSigned = 0;
+
+  await Promise.all(
+    toSign.map((file) =>
+      limit(async () => {
+        try {
+          file[key] = await calculate(file.path);
+          const fileId = db.getFileByPath(scanId, file.path)?.id;
+          if (fileId && file[key]) {
+            store(fileId, file[key]);
+          }
+        } catch (error) {
+          console.error(`Error reading ${file.path}:`, error.message);
+        }
+        filesSigned++;
+        onFile(filesSigned, toSign.length, file.path);
+      })
+    )
+  );
+}
+
+/**
+ * Compare two files byte by byte, streaming the content of files inside an
+ * archive
+ * @param {FileInfo} a - First file
+ * @param {FileInfo} b - Second file
+ * @returns {Promise<boolean>} Whether both have the same content
+ */
+async function contentsAreIdentical(a, b) {
+  if (!a.archive && !b.archive) {
+    return filesAreIdentical(a.path, b.path);
+  }
+  return streamsAreIdentical(
+    await openFile(a.path, a.archive),
+    await openFile(b.path, b.archive)
+  );
+}
+
+/**
+ * Split a group of files with the same hash into sets of byte-for-byte
+ * identical files. Files that cannot be read are left out.
+ * @param {FileInfo[]} group - Files sharing one hash
+ * @returns {Promise<FileInfo[][]>} Sets of identical files, first set first
+ */
+async function splitByContent(group) {
+  const sets = [];
+
+  for (const file of group) {
+    try {
+      let set = null;
+      for (const candidate of sets) {
+        if (await contentsAreIdentical(candidate[0], file)) {
+          set = candidate;
+          break;
+        }
+      }
+      if (set) {
+        set.push(file);
+      } else {
+        sets.push([file]);
+      }
+    } catch (error) {
+      console.error(`Error verifying ${file.path}:`, error.message);
+    }
+  }
+
+  return sets;
+}
+
+/**
+ * Confirm duplicate groups by comparing their files byte by byte, so a hash
+ * collision can never put different files in one group. Files that differ
+ * from the rest of their group are moved to a group of their own in the index.
+ * @param {FileInfo[][]} groups - Duplicate groups
+ * @param {Object} context
+ * @param {ScanDatabase} context.db - Database instance
+ * @param {number} context.scanId - Current scan ID
+ * @param {function} context.limit - Limiter for groups compared at once
+ * @param {function(number)} context.onGroup - Called with the number of groups verified
+ * @returns {Promise<FileInfo[][]>} Groups of identical files
+ */
+async function verifyGroups(groups, { db, scanId, limit, onGroup }) {
+  let groupsVerified = 0;
+
+  const verified = await Promise.all(
+    groups.map((group) =>
+      limit(async () => {
+        const sets = await splitByContent(group);
+        const setOf = new Map();
+        sets.forEach((set, index) =>
+          set.forEach((file) => setOf.set(file, index))
+        );
+
+        // The first set keeps the hash as its group id; later sets and files
+        // that could not be read no longer belong to the group
+        for (const file of group) {
+          const index = setOf.get(file);
+          const groupId =
+            index === undefined || sets[index].length < 2
+              ? null
+              : index === 0
+              ? file.hash
+              : `${file.hash}:${index}`;
+          if (groupId !== file.hash) {
+            const fileId = db.getFileByPath(scanId, file.path)?.id;
+            if (fileId) {
+              db.updateFileHash(fileId, file.hash, groupId);
+            }
+          }
+        }
+
+        groupsVerified++;
+        onGroup(groupsVerified);
+        return sets.filter((set) => set.length > 1);
+      })
+    )
+  );
+
+  return verified.flat();
+}
+
+/**
+ * Check whether the roots stored for a scan are the ones requested. Scans
+ * recorded before roots were stored only know their base directory.
+ * @param {Object[]} storedRoots - Rows of the scan_roots table
+ * @param {Object[]} roots - Requested roots
+ * @returns {boolean} Whether both describe the same roots
+ */
+function sameRoots(storedRoots, roots) {
+  if (storedRoots.length === 0) {
+    return roots.length === 1;
+  }
+  const key = (root) => `${root.reference ? 1 : 0}:${root.path}`;
+  const stored = storedRoots.map(key).sort();
+  const requested = roots.map(key).sort();
+  return (
+    stored.length === requested.length &&
+    stored.every((value, i) => value === requested[i])
+  );
+}
+
+/**
+ * Find duplicate files in a directory. With reference directories, only files
+ * in `dir` that have a copy in a reference directory are reported.
+ * @param {string|string[]} dir - Directory path, or paths, to scan
  * @param {Object} options - Scan options
+ * @param {string[]} options.references - Read-only reference directories to look for copies in
  * @param {boolean} options.recursive - Whether to scan subdirectories
- * @param {string[]} options.exclude - Glob patterns to exclude
+ * @param {string[]} options.exclude - Glob patterns to exclude, relative to each scanned directory
+ * @param {string[]} options.include - Glob patterns files must match to be scanned
+ * @param {number|string} options.minSize - Smallest file size to scan, in bytes or with a unit such as "10MB"
+ * @param {number|string} options.maxSize - Largest file size to scan
+ * @param {boolean} options.skipHidden - Whether to leave out files and directories starting with a dot
+ * @param {boolean} options.gitignore - Whether to honour .gitignore files (default true)
  * @param {string} options.indexPath - Path to store the index file
  * @param {boolean} options.incomplete - Whether to resume an incomplete scan
- * @param {function} options.onProgress - Progress callback
- * @returns {Promise<FileInfo[][]>} Array of file groups, where each group contains duplicate files
+ * @param {boolean} options.rescan - Whether to reuse hashes of unchanged files from earlier scans
+ * @param {string} options.quarantineDir - Quarantine directory to leave out of the scan
+ * @param {boolean} options.followSymlinks - Whether to scan the targets of symbolic links instead of recording the links
+ * @param {boolean} options.archives - Whether to also scan the files inside zip, tar and gzipped tar archives
+ * @param {number} options.jobs - Number of files hashed in parallel on worker threads
+ * @param {number} options.ioJobs - Number of files read, stat'ed and quick-hashed in parallel
+ * @param {string} options.hashAlgorithm - Hash algorithm, one of HASH_ALGORITHMS
+ * @param {boolean} options.verify - Whether to compare grouped files byte by byte
+ * @param {boolean} options.contentOnly - Whether to also group media files whose audio or image data match but whose tags differ
+ * @param {boolean} options.images - Whether to hash images perceptually and group similar ones
+ * @param {number} options.imageDistance - Largest number of differing image hash bits for similar images
+ * @param {boolean} options.texts - Whether to sign text files and group near-identical ones
+ * @param {number} options.textSimilarity - Smallest estimated similarity, from 0 to 1, for similar texts
+ * @param {function} options.onProgress - Progress callback, called with the phase, counts and the path being read
+ * @param {function(FileInfo[])} options.onGroup - Called with the files of a group each time hashing finds another copy, before verification
+ * @param {AbortSignal} options.signal - Cancels the scan when aborted; the scan stays in the index as unfinished and can be resumed
+ * @returns {Promise<{result: FileInfo[][], dbPath: string, scanId: number, deletedFiles: string[], roots: Object[], contentGroups: Object[]|null, similarImages: Object[]|null, similarTexts: Object[]|null}>}
+ *   Duplicate groups, the index location, paths missing since the previous
+ *   scan, the scanned roots and, in the content-only and similarity modes,
+ *   groups of media files with the same content and of similar images and texts
  */
 export async function findDuplicates(dir, options = {}) {
   const {
+    references = [],
     recursive = false,
     exclude = [],
+    include = [],
+    minSize = 0,
+    maxSize,
+    skipHidden = false,
+    gitignore = true,
     indexPath,
     incomplete = false,
-    onProgress = () => {},
+    rescan = false,
+    quarantineDir,
+    followSymlinks = false,
+    archives = false,
+    jobs = os.availableParallelism?.() ?? os.cpus().length,
+    ioJobs = jobs * 4,
+    hashAlgorithm = DEFAULT_HASH_ALGORITHM,
+    verify = false,
+    contentOnly = false,
+    images = false,
+    imageDistance = DEFAULT_IMAGE_DISTANCE,
+    texts = false,
+    textSimilarity = DEFAULT_TEXT_SIMILARITY,
+    onProgress: reportProgress = () => {},
+    onGroup = () => {},
+    signal,
   } = options;
 
+  // Every file reports progress, so that is where a cancelled scan stops
+  const onProgress = (progress) => {
+    checkCancelled(signal);
+    reportProgress(progress);
+  };
+
+  if (!HASH_ALGORITHMS.includes(hashAlgorithm)) {
+    throw new Error(
+      `Unknown hash algorithm "${hashAlgorithm}". Use one of ${HASH_ALGORITHMS.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new Error("jobs must be a positive integer");
+  }
+  if (!Number.isInteger(ioJobs) || ioJobs < 1) {
+    throw new Error("ioJobs must be a positive integer");
+  }
+  if (
+    !Number.isInteger(imageDistance) ||
+    imageDistance < 0 ||
+    imageDistance > 64
+  ) {
+    throw new Error("imageDistance must be an integer from 0 to 64");
+  }
+  if (
+    typeof textSimilarity !== "number" ||
+    !(textSimilarity >= 0 && textSimilarity <= 1)
+  ) {
+    throw new Error("textSimilarity must be a number from 0 to 1");
+  }
+  if (images) {
+    await loadImageDecoder();
+  }
+
+  const minBytes = parseSize(minSize);
+  const maxBytes = maxSize === undefined ? Infinity : parseSize(maxSize);
+  if (minBytes > maxBytes) {
+    throw new Error("The minimum size is larger than the maximum size");
+  }
+
+  if (incomplete && !indexPath) {
+    throw new Error("Resuming an incomplete scan requires an index path");
+  }
+  if (rescan && !indexPath) {
+    throw new Error("Rescanning requires the index path of an earlier scan");
+  }
+
+  const roots = [
+    ...(Array.isArray(dir) ? dir : [dir]).map((root) => ({
+      path: path.resolve(root),
+      reference: false,
+    })),
+    ...references.map((root) => ({
+      path: path.resolve(root),
+      reference: true,
+    })),
+  ];
+  if (!roots.some((root) => !root.reference)) {
+    throw new Error("At least one directory to scan is required");
+  }
+  const rootPaths = roots.map((root) => root.path);
+  const repeated = rootPaths.find((p, i) => rootPaths.indexOf(p) !== i);
+  if (repeated) {
+    throw new Error(`${repeated} is given more than once`);
+  }
+
   const dbPath = indexPath || ScanDatabase.generateIndexPath(process.cwd());
   const db = new ScanDatabase(dbPath);
-  const scanId = db.startScan(path.resolve(dir));
+  const baseDirectory = roots[0].path;
+  const resumedScan = incomplete ? db.getIncompleteScan(baseDirectory) : null;
+  if (resumedScan && resumedScan.hash_algorithm !== hashAlgorithm) {
+    db.close();
+    throw new Error(
+      `The unfinished scan uses ${resumedScan.hash_algorithm} hashes; resume it with the same algorithm`
+    );
+  }
+  if (resumedScan && !sameRoots(db.getScanRoots(resumedScan.id), roots)) {
+    db.close();
+    throw new Error(
+      "The unfinished scan covers other directories; resume it with the same directories and references"
+    );
+  }
+  const scanId = resumedScan
+    ? resumedScan.id
+    : db.startScan(baseDirectory, hashAlgorithm);
+  if (!resumedScan) {
+    db.addScanRoots(scanId, roots);
+  }
+
+  // Progress and files are written to the index in batches
+  let filesScanned = resumedScan ? db.countFiles(scanId) : 0;
+  let groupsFound = 0;
+  const writer = createWriter(db, () =>
+    db.updateScanProgress(scanId, filesScanned, groupsFound)
+  );
 
   try {
-    const files = await scanDirectory(
-      dir,
-      recursive,
-      exclude,
-      (filesScanned) => {
-        onProgress({ filesScanned, groupsFound: 0, phase: "scanning" });
-        db.updateScanProgress(scanId, filesScanned, 0);
-      },
-      db,
-      scanId
+    // Never report the index or quarantined files as duplicates
+    const resolvedDbPath = path.resolve(dbPath);
+    const skipPaths = new Set([
+      resolvedDbPath,
+      `${resolvedDbPath}-journal`,
+      path.resolve(
+        quarantineDir || ScanDatabase.generateQuarantinePath(dbPath)
+      ),
+      // A root nested in another root is only scanned as itself
+      ...rootPaths,
+    ]);
+    // Files recorded before the interrupted scan stopped are kept, with any
+    // full hashes that were already written
+    const skip = (filePath) =>
+      skipPaths.has(filePath) ||
+      Boolean(resumedScan && db.getFileByPath(scanId, filePath));
+
+    const limitScanning = createLimiter(ioJobs);
+    await walkDirectories(
+      await Promise.all(
+        roots.map(async (root) => ({
+          dir: root.path,
+          context: {
+            recursive,
+            excludePatterns: exclude,
+            includePatterns: include,
+            minSize: minBytes,
+            maxSize: maxBytes,
+            skipHidden,
+            gitignore,
+            db,
+            scanId,
+            writer,
+            skip,
+            reuseHashes: rescan,
+            hashAlgorithm,
+            root: root.path,
+            reference: root.reference,
+            followSymlinks,
+            archives,
+            limit: limitScanning,
+            signal,
+            onFile: (filePath) => {
+              filesScanned++;
+              onProgress({
+                filesScanned,
+                groupsFound: 0,
+                phase: "scanning",
+                currentPath: filePath,
+              });
+            },
+          },
+          ancestors: new Set(),
+          // Patterns in a project-level .sddignore are relative to the root
+          ignoreRules: await readIgnoreFile(path.join(root.path, IGNORE_FILE)),
+        }))
+      ),
+      ioJobs
     );
+    writer.flush();
 
-    // Group files by size first for quick filtering
-    const sizeGroups = new Map();
-    files.forEach((file) => {
-      if (!sizeGroups.has(file.size)) {
-        sizeGroups.set(file.size, []);
-      }
-      sizeGroups.get(file.size).push(file);
+    // With reference directories, a group only matters if it has a copy in
+    // a reference directory and one in a scanned directory
+    const keep =
+      references.length > 0
+        ? (group) =>
+            group.some((file) => file.reference) &&
+            group.some((file) => !file.reference)
+        : () => true;
+
+    // Files of the same size with matching quick hashes may be duplicates.
+    // Large ones are sampled further before being read in full. Candidates
+    // are selected in the index, so only a page of them is held in memory.
+    const candidateCounts = {
+      size: db.selectCandidates(scanId, "size", SAMPLE_MIN_SIZE),
+      quickHash: db.selectCandidates(scanId, "quickHash", SAMPLE_MIN_SIZE),
+    };
+    await sampleCandidates({
+      db,
+      scanId,
+      hashAlgorithm,
+      limit: createLimiter(ioJobs),
+      writer,
+      onFile: ({ stage, filesSampled, filesToSample, currentPath }) => {
+        onProgress({
+          filesScanned,
+          groupsFound: 0,
+          stage,
+          filesSampled,
+          filesToSample,
+          candidates: { ...candidateCounts },
+          phase: "sampling",
+          currentPath,
+        });
+      },
+      onStageDone: (stage, remaining) => {
+        candidateCounts[stage] = remaining;
+      },
     });
 
-    // Filter groups with more than one file
-    const potentialDuplicates = Array.from(sizeGroups.values()).filter(
-      (group) => group.length > 1
-    );
+    // Count a group as found once a second file shares its hash. Files with
+    // the same hash share their group key, so a group is complete once the
+    // candidates have moved past its key.
+    const hashFiles = new Map();
+    const countHash = ({ key, file }) => {
+      const entry = hashFiles.get(file.hash) || { key, files: [] };
+      entry.files = entry.files.concat(file);
+      hashFiles.set(file.hash, entry);
+      if (entry.files.length === 2) {
+        groupsFound++;
+      }
+      if (entry.files.length > 1 && keep(entry.files)) {
+        onGroup(entry.files);
+      }
+    };
+
+    // Calculate full hashes, keeping those already stored by a resumed scan
+    // or reused by a rescan
+    const filesToHash = db.countCandidates("full_hash");
+    const pool =
+      jobs > 1 && filesToHash > 1
+        ? new HashPool(Math.min(jobs, filesToHash))
+        : null;
+    const hashFile = pool
+      ? (filePath) => pool.hash(filePath, hashAlgorithm)
+      : (filePath) => calculateHash(filePath, hashAlgorithm);
+    const limitHashing = createLimiter(jobs);
+    let filesHashed = 0;
 
-    const duplicates = new Map();
-    let groupsFound = 0;
+    const reportHashing = (currentPath) => {
+      onProgress({
+        filesScanned,
+        groupsFound,
+        filesHashed,
+        filesToHash,
+        candidates: candidateCounts,
+        phase: "hashing",
+        currentPath,
+      });
+    };
 
-    // For each size group, compare quick hashes
-    for (const group of potentialDuplicates) {
-      const quickHashGroups = new Map();
+    try {
+      for (const page of candidatePages(db)) {
+        page.filter(({ file }) => file.hash).forEach(countHash);
+        await Promise.all(
+          page
+            .filter(({ file }) => !file.hash)
+            .map((candidate) =>
+              limitHashing(async () => {
+                const { id, file } = candidate;
+                try {
+                  file.hash = await hashFile(file.path);
+                  countHash(candidate);
 
-      // Group by quick hash
-      group.forEach((file) => {
-        if (!quickHashGroups.has(file.quickHash)) {
-          quickHashGroups.set(file.quickHash, []);
-        }
-        quickHashGroups.get(file.quickHash).push(file);
+                  writer.write(() => {
+                    db.updateFileHash(id, file.hash, file.hash);
+                    // Links share the hash but stay out of the group
+                    for (const linkPath of file.links) {
+                      const linkId = db.getFileByPath(scanId, linkPath)?.id;
+                      if (linkId) {
+                        db.updateFileHash(linkId, file.hash, null);
+                      }
+                    }
+                  });
+                } catch (error) {
+                  // Hashes still running when a scan is cancelled fail as the
+                  // pool closes
+                  if (!signal?.aborted) {
+                    console.error(`Error hashing ${file.path}:`, error.message);
+                  }
+                }
+                filesHashed++;
+                reportHashing(file.path);
+              })
+            )
+        );
+
+        const lastKey = page[page.length - 1].key;
+        hashFiles.forEach((entry, hash) => {
+          if (entry.key !== lastKey) {
+            hashFiles.delete(hash);
+          }
+        });
+      }
+    } finally {
+      await pool?.close();
+    }
+    reportHashing();
+    writer.flush();
+
+    // Read the groups back from the index, one per run of a group id
+    let groups = [];
+    let groupId = null;
+    for (const row of db.getDuplicateFiles(scanId)) {
+      if (row.group_id !== groupId) {
+        groupId = row.group_id;
+        groups.push([]);
+      }
+      groups[groups.length - 1].push(fileInfoFromRow(row));
+    }
+
+    if (verify) {
+      groups = await verifyGroups(groups, {
+        db,
+        scanId,
+        limit: limitHashing,
+        onGroup: (groupsVerified) => {
+          onProgress({
+            filesScanned,
+            groupsFound,
+            groupsVerified,
+            groupsToVerify: groups.length,
+            phase: "verifying",
+          });
+        },
       });
+      groups = groups.filter(keep);
+      groupsFound = groups.length;
+      db.updateScanProgress(scanId, filesScanned, groupsFound);
+      db.markScanVerified(scanId);
+    }
+
+    // Sort groups by size
+    const result = groups.sort((a, b) => b[0].size - a[0].size);
+
+    // Files inside archives only take part in exact duplicate groups, and
+    // the other modes only keep the files they look at in memory
+    const looseFiles = (matches) => {
+      const files = [];
+      for (const row of db.iterateLooseFiles(scanId)) {
+        if (matches(row.path)) {
+          files.push(fileInfoFromRow(row));
+        }
+      }
+      return files;
+    };
+
+    // Hash the payload of media files whose payloads have the same size, and
+    // group those that match but are not byte-identical
+    let contentGroups = null;
+    if (contentOnly) {
+      const payloads = new Map();
+      const limitReading = createLimiter(ioJobs);
+      await Promise.all(
+        looseFiles(contentFormat).map((file) =>
+          limitReading(async () => {
+            try {
+              const info = await readContentInfo(file.path);
+              if (info) payloads.set(file, info);
+            } catch (error) {
+              console.error(`Error reading ${file.path}:`, error.message);
+            }
+          })
+        )
+      );
 
-      // For files with matching quick hashes, calculate full hashes
-      for (const quickHashGroup of quickHashGroups.values()) {
-        if (quickHashGroup.length > 1) {
-          // Calculate full hashes only for potential duplicates
-          for (const file of quickHashGroup) {
-            file.hash = await calculateHash(file.path);
-            if (db) {
-              const groupId = file.hash;
-              const fileId = db.db
-                .prepare("SELECT id FROM files WHERE path = ?")
-                .get(file.path)?.id;
+      const sizeMatches = splitGroups(
+        [Array.from(payloads.keys())],
+        (file) =>
+          `${payloads.get(file).format}:${payloadSize(payloads.get(file))}`,
+        keep
+      );
+      const toHashContent = sizeMatches
+        .flat()
+        .filter((file) => !file.contentHash);
+      let contentHashed = 0;
+
+      await Promise.all(
+        toHashContent.map((file) =>
+          limitHashing(async () => {
+            try {
+              file.contentHash = await hashContent(
+                file.path,
+                payloads.get(file).ranges,
+                hashAlgorithm
+              );
+              const fileId = db.getFileByPath(scanId, file.path)?.id;
               if (fileId) {
-                db.updateFileHash(fileId, file.hash, groupId);
+                db.updateContentHash(fileId, file.contentHash);
               }
+            } catch (error) {
+              console.error(`Error hashing ${file.path}:`, error.message);
             }
-          }
+            contentHashed++;
+            onProgress({
+              filesScanned,
+              groupsFound,
+              contentHashed,
+              contentToHash: toHashContent.length,
+              phase: "content",
+              currentPath: file.path,
+            });
+          })
+        )
+      );
 
-          // Group by full hash
-          quickHashGroup.forEach((file) => {
-            if (!duplicates.has(file.hash)) {
-              duplicates.set(file.hash, []);
-              groupsFound++;
-            }
-            duplicates.get(file.hash).push(file);
+      const sameContent = splitGroups(
+        sizeMatches.map((group) => group.filter((file) => file.contentHash)),
+        (file) => file.contentHash,
+        keep
+      ).filter(
+        (group) => new Set(group.map((file) => file.hash || file.path)).size > 1
+      );
+      contentGroups = await Promise.all(
+        sameContent
+          .sort((a, b) => b[0].size - a[0].size)
+          .map(async (group) => ({
+            contentHash: group[0].contentHash,
+            ...(await describeContentGroup(group)),
+          }))
+      );
+    }
+
+    // Sign images and texts for similarity, keeping signatures reused by a
+    // rescan
+    let similarImages = null;
+    if (images) {
+      const imageFiles = looseFiles(isImage);
+      await signFiles(imageFiles, {
+        key: "imageHash",
+        calculate: calculateImageHash,
+        store: (fileId, imageHash) => db.updateImageHash(fileId, imageHash),
+        db,
+        scanId,
+        limit: createLimiter(jobs),
+        onFile: (imagesHashed, imagesToHash, currentPath) => {
+          onProgress({
+            filesScanned,
+            groupsFound,
+            imagesHashed,
+            imagesToHash,
+            phase: "images",
+            currentPath,
           });
+        },
+      });
+      similarImages = groupSimilarImages(imageFiles, {
+        maxDistance: imageDistance,
+        references: references.length > 0,
+      });
+    }
 
+    let similarTexts = null;
+    if (texts) {
+      const textFiles = looseFiles(isText);
+      await signFiles(textFiles, {
+        key: "textSignature",
+        calculate: calculateTextSignature,
+        store: (fileId, signature) => db.updateTextSignature(fileId, signature),
+        db,
+        scanId,
+        limit: createLimiter(ioJobs),
+        onFile: (textsSigned, textsToSign, currentPath) => {
           onProgress({
-            filesScanned: files.length,
+            filesScanned,
             groupsFound,
-            phase: "hashing",
+            textsSigned,
+            textsToSign,
+            phase: "texts",
+            currentPath,
           });
-          db.updateScanProgress(scanId, files.length, groupsFound);
-        }
-      }
+        },
+      });
+      similarTexts = groupSimilarTexts(textFiles, {
+        threshold: textSimilarity,
+        references: references.length > 0,
+      });
     }
 
-    // Filter out unique files and sort groups by size
-    const result = Array.from(duplicates.values())
-      .filter((group) => group.length > 1)
-      .sort((a, b) => b[0].size - a[0].size);
+    // Report files recorded by the previous scan that are gone now
+    const previousScan = rescan
+      ? db.getPreviousScan(baseDirectory, scanId)
+      : null;
+    const deletedFiles = previousScan
+      ? db.getMissingFiles(previousScan.id, scanId).map((row) => row.path)
+      : [];
 
     db.completeScan(scanId);
-    return { result, dbPath, scanId };
+    return {
+      result,
+      dbPath,
+      scanId,
+      deletedFiles,
+      roots,
+      contentGroups,
+      similarImages,
+      similarTexts,
+    };
   } catch (error) {
+    if (signal?.aborted) {
+      // Keep what was recorded so the scan can be resumed
+      writer.flush();
+      throw new Error("Scan cancelled");
+    }
     throw new Error(`Failed to find duplicates: ${error.message}`);
+  } finally {
+    // Servers start many scans, each with its own connection
+    db.close();
   }
 }
@@ -0,0 +1,228 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import {
+  archiveFormat,
+  memberPath,
+  openArchiveMember,
+  readArchive,
+} from "../archives.mjs";
+import { calculateHash } from "../hashing.mjs";
+import { findDuplicates } from "../scanner.mjs";
+import { ScanDatabase } from "../database.mjs";
+import { linkDuplicate, quarantineFile } from "../file-actions.mjs";
+
+const crc32 = (data) => {
+  let crc = ~0;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return ~crc >>> 0;
+};
+
+// Zip archive with each entry stored, or deflated when `deflate` is set
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content, deflate } of entries) {
+    const data = deflate ? zlib.deflateRawSync(content) : content;
+    const fileName = Buffer.from(name);
+    const fields = (header, at) => {
+      header.writeUInt16LE(deflate ? 8 : 0, at);
+      header.writeUInt16LE(0, at + 2);
+      header.writeUInt16LE(0x5821, at + 4);
+      header.writeUInt32LE(crc32(content), at + 6);
+      header.writeUInt32LE(data.length, at + 10);
+      header.writeUInt32LE(content.length, at + 14);
+      header.writeUInt16LE(fileName.length, at + 18);
+    };
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    fields(local, 8);
+    locals.push(local, fileName, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    fields(central, 10);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, fileName);
+
+    offset += local.length + fileName.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// Ustar archive of regular files
+function buildTar(entries) {
+  const blocks = entries.flatMap(({ name, content }) => {
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write("0000644\0", 100);
+    header.write(content.length.toString(8).padStart(11, "0") + "\0", 124);
+    header.write("14000000000\0", 136);
+    header.write("        ", 148);
+    header.write("0", 156);
+    header.write("ustar\u000000", 257);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(checksum.toString(8).padStart(6, "0") + "\0 ", 148);
+
+    const padding = Buffer.alloc((512 - (content.length % 512)) % 512);
+    return [header, content, padding];
+  });
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe("Archives", () => {
+  let testDir;
+  const large = Buffer.alloc(1536 * 1024, "large content ");
+  const entries = [
+    { name: "docs/", content: Buffer.alloc(0) },
+    { name: "docs/a.txt", content: Buffer.from("content a") },
+    { name: "docs/large.bin", content: large, deflate: true },
+    { name: "../escape.txt", content: Buffer.from("content a") },
+  ];
+  const archivePath = (name) => path.join(testDir, "backups", name);
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-archives-"));
+    await fs.mkdir(path.join(testDir, "files"));
+    await fs.writeFile(path.join(testDir, "files", "a.txt"), "content a");
+    await fs.writeFile(path.join(testDir, "files", "b.txt"), "content b");
+    await fs.writeFile(path.join(testDir, "files", "large.bin"), large);
+    await fs.mkdir(path.join(testDir, "backups"));
+    await fs.writeFile(archivePath("backup.zip"), buildZip(entries));
+    await fs.writeFile(archivePath("backup.tar"), buildTar(entries));
+    await fs.writeFile(
+      archivePath("backup.tar.gz"),
+      zlib.gzipSync(buildTar(entries))
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test("should recognise archives by name", () => {
+    expect(archiveFormat("/a/backup.zip")).toBe("zip");
+    expect(archiveFormat("/a/backup.TAR")).toBe("tar");
+    expect(archiveFormat("/a/backup.tar.gz")).toBe("tgz");
+    expect(archiveFormat("/a/backup.tgz")).toBe("tgz");
+    expect(archiveFormat("/a/backup.gz")).toBeNull();
+    expect(memberPath("/a/backup.zip", "docs/a.txt")).toBe(
+      "/a/backup.zip!/docs/a.txt"
+    );
+  });
+
+  test.each(["backup.zip", "backup.tar", "backup.tar.gz"])(
+    "should list and hash the files of %s",
+    async (archive) => {
+      const members = await readArchive(archivePath(archive));
+
+      expect(members.map((member) => member.name)).toEqual([
+        "docs/a.txt",
+        "docs/large.bin",
+      ]);
+      expect(members[0].size).toBe(9);
+      expect(members[0].hash).toBe(
+        await calculateHash(path.join(testDir, "files", "a.txt"))
+      );
+      expect(members[1].hash).toBe(
+        await calculateHash(path.join(testDir, "files", "large.bin"))
+      );
+      expect(members[1].sampleHash).toMatch(/^[0-9a-f]{64}$/);
+
+      const stream = await openArchiveMember(
+        archivePath(archive),
+        "docs/a.txt"
+      );
+      expect(await read(stream)).toBe("content a");
+    }
+  );
+
+  test("should only list files that are included", async () => {
+    const members = await readArchive(archivePath("backup.zip"), {
+      include: (member) => member.size < 1024,
+    });
+
+    expect(members.map((member) => member.name)).toEqual(["docs/a.txt"]);
+  });
+
+  test("should reject files missing from an archive", async () => {
+    await expect(
+      openArchiveMember(archivePath("backup.tar"), "docs/b.txt")
+    ).rejects.toThrow();
+  });
+
+  test("should group loose files with the files inside archives", async () => {
+    const indexPath = path.join(testDir, "index.db");
+    const { result, scanId } = await findDuplicates(
+      [path.join(testDir, "files"), path.join(testDir, "backups")],
+      { indexPath, archives: true, verify: true }
+    );
+
+    const group = result.find((files) => files[0].size === 9);
+    expect(group.map((file) => file.path).sort()).toEqual([
+      archivePath("backup.tar!/docs/a.txt"),
+      archivePath("backup.tar.gz!/docs/a.txt"),
+      archivePath("backup.zip!/docs/a.txt"),
+      path.join(testDir, "files", "a.txt"),
+    ]);
+    expect(group.find((file) => file.path.includes(".zip!")).archive).toBe(
+      archivePath("backup.zip")
+    );
+    expect(result.find((files) => files[0].size === large.length)).toHaveLength(
+      4
+    );
+
+    const db = new ScanDatabase(indexPath);
+    try {
+      const member = archivePath("backup.zip!/docs/a.txt");
+      await expect(
+        quarantineFile(
+          db,
+          scanId,
+          member,
+          ScanDatabase.generateQuarantinePath(indexPath)
+        )
+      ).rejects.toThrow("is inside");
+      await expect(
+        linkDuplicate(db, scanId, path.join(testDir, "files", "a.txt"), member)
+      ).rejects.toThrow("cannot be linked to");
+    } finally {
+      db.close();
+    }
+  });
+
+  test("should not look inside archives by default", async () => {
+    const { result } = await findDuplicates(
+      [path.join(testDir, "files"), path.join(testDir, "backups")],
+      { indexPath: path.join(testDir, "index.db") }
+    );
+
+    expect(result.flat().some((file) => file.archive)).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+import {
+  findDirectoryCopies,
+  findDuplicateDirectories,
+} from "../directories.mjs";
+
+describe("Duplicate directories", () => {
+  const row = (filePath, hash, size = 100) => ({
+    path: filePath,
+    size,
+    full_hash: hash,
+    root: "/data",
+    reference: 0,
+    link_target: null,
+  });
+
+  // project and project-copy are the same apart from one edited file;
+  // their docs and assets folders are identical
+  const files = [
+    row("/data/project/readme.md", "r"),
+    row("/data/project/docs/a.md", "a"),
+    row("/data/project/docs/b.md", "b"),
+    row("/data/project/assets/logo.png", "l", 1000),
+    row("/data/project/src/main.js", "m1", 300),
+    row("/data/project-copy/readme.md", "r"),
+    row("/data/project-copy/docs/a.md", "a"),
+    row("/data/project-copy/docs/b.md", "b"),
+    row("/data/project-copy/assets/logo.png", "l", 1000),
+    row("/data/project-copy/src/main.js", "m2", 300),
+    row("/data/other/notes.txt", null, 50),
+  ];
+
+  test("should group identical trees once, at their top", () => {
+    const { identical } = findDuplicateDirectories(files);
+
+    expect(identical).toEqual([
+      {
+        hash: expect.any(String),
+        size: 1000,
+        fileCount: 1,
+        directories: [
+          { path: "/data/project-copy/assets", reference: false },
+          { path: "/data/project/assets", reference: false },
+        ],
+      },
+      {
+        hash: expect.any(String),
+        size: 200,
+        fileCount: 2,
+        directories: [
+          { path: "/data/project-copy/docs", reference: false },
+          { path: "/data/project/docs", reference: false },
+        ],
+      },
+    ]);
+  });
+
+  test("should list partly overlapping trees with their overlap", () => {
+    const { partial } = findDuplicateDirectories(files);
+
+    expect(partial).toEqual([
+      {
+        directories: [
+          { path: "/data/project", reference: false },
+          { path: "/data/project-copy", reference: false },
+        ],
+        overlap: 1300 / 1900,
+        sharedBytes: 1300,
+        totalBytes: 1900,
+      },
+    ]);
+    expect(
+      findDuplicateDirectories(files, { minOverlap: 0.75 }).partial
+    ).toEqual([]);
+  });
+
+  test("should take names into account and ignore unhashed trees", () => {
+    const renamed = [
+      row("/data/a/x.txt", "x"),
+      row("/data/b/y.txt", "x"),
+      row("/data/c/x.txt", null),
+      row("/data/d/x.txt", null),
+    ];
+
+    expect(findDuplicateDirectories(renamed).identical).toEqual([]);
+  });
+
+  test("should find the copies of one directory", () => {
+    expect(findDirectoryCopies(files, "/data/project/docs/")).toEqual([
+      "/data/project-copy/docs",
+    ]);
+    expect(findDirectoryCopies(files, "/data/project")).toEqual([]);
+  });
+});
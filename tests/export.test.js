@@ -0,0 +1,268 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { exportGroups, filterGroups, toQueryFilters } from "../export.mjs";
+import { findDuplicates } from "../scanner.mjs";
+import { ScanDatabase } from "../database.mjs";
+
+describe("Export", () => {
+  const modified = Date.UTC(2024, 0, 2);
+  const groups = [
+    [
+      { path: "/videos/clip.mp4", size: 20 * 1024 * 1024, modified, hash: "v" },
+      { path: "/backup/clip.mp4", size: 20 * 1024 * 1024, modified, hash: "v" },
+    ],
+    [
+      { path: "/photos/a.jpg", size: 100, modified, hash: "p" },
+      { path: '/photos/b, "copy".jpg', size: 100, modified, hash: "p" },
+      { path: "/backup/a.jpg", size: 100, modified, hash: "p" },
+    ],
+  ];
+
+  describe("filterGroups", () => {
+    test("should number groups by their unfiltered position", () => {
+      const filtered = filterGroups(groups, { type: "image" });
+
+      expect(filtered).toHaveLength(1);
+      expect(filtered[0].id).toBe(2);
+    });
+
+    test("should filter by size category and path like the web interface", () => {
+      expect(filterGroups(groups, { size: "large" })).toHaveLength(1);
+      expect(filterGroups(groups, { path: "BACKUP" })).toHaveLength(2);
+      expect(filterGroups(groups, { path: "videos", type: "image" })).toEqual(
+        []
+      );
+    });
+
+    test("should reject unknown filters", () => {
+      expect(() => filterGroups(groups, { size: "huge" })).toThrow(
+        'Unknown size filter "huge"'
+      );
+    });
+  });
+
+  describe("toQueryFilters", () => {
+    test("should turn size categories and types into bounds and extensions", () => {
+      expect(toQueryFilters({ path: "Photos", size: "medium" })).toEqual({
+        path: "photos",
+        minSize: 1024 * 1024,
+        maxSize: 10 * 1024 * 1024,
+        extensions: null,
+        otherThan: null,
+      });
+      expect(toQueryFilters({ size: "xxlarge", type: "audio" })).toMatchObject({
+        minSize: 1024 * 1024 * 1024,
+        maxSize: null,
+        extensions: ["mp3", "wav", "ogg", "m4a", "flac"],
+      });
+      expect(toQueryFilters({ type: "other" }).otherThan).toContain("jpg");
+      expect(() => toQueryFilters({ type: "font" })).toThrow(
+        'Unknown type filter "font"'
+      );
+    });
+  });
+
+  describe("Group pages", () => {
+    let testDir;
+    let db;
+    let scanId;
+
+    const write = async (name, content) => {
+      const filePath = path.join(testDir, "files", name);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+    };
+    const pagePaths = (options) =>
+      db
+        .getDuplicateGroupPage(scanId, options)
+        .groups.map((g) => JSON.parse(g.files)[0].path.split("/files/")[1]);
+
+    beforeAll(async () => {
+      testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-pages-"));
+      await write("videos/clip.mp4", "x".repeat(30));
+      await write("backup/clip.mp4", "x".repeat(30));
+      await write("photos/a.jpg", "y".repeat(20));
+      await write("photos/b.jpg", "y".repeat(20));
+      await write("backup/a.jpg", "y".repeat(20));
+      await write("notes/todo", "z".repeat(10));
+      await write("notes/todo-copy", "z".repeat(10));
+      for (const name of ["a", "b", "c", "d"]) {
+        await write(`docs/${name}/readme.md`, "readme");
+      }
+
+      const indexPath = path.join(testDir, "index.db");
+      ({ scanId } = await findDuplicates(path.join(testDir, "files"), {
+        indexPath,
+        recursive: true,
+      }));
+      db = new ScanDatabase(indexPath);
+    });
+
+    afterAll(async () => {
+      db.close();
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    test("should page through groups in a stable order", () => {
+      expect(db.getDuplicateGroupPage(scanId, { limit: 3 }).total).toBe(4);
+      expect([
+        ...pagePaths({ limit: 3 }),
+        ...pagePaths({ limit: 3, offset: 3 }),
+      ]).toHaveLength(4);
+      expect(pagePaths({ limit: 2, offset: 1 })).toEqual(
+        pagePaths({}).slice(1, 3)
+      );
+    });
+
+    test("should sort by size, reclaimable bytes, copies and path", () => {
+      const sizes = (options) =>
+        db
+          .getDuplicateGroupPage(scanId, options)
+          .groups.map((g) => JSON.parse(g.files)[0].size);
+
+      expect(sizes({})).toEqual([30, 20, 10, 6]);
+      expect(sizes({ descending: false })).toEqual([6, 10, 20, 30]);
+      expect(sizes({ sort: "reclaimable" })).toEqual([20, 30, 6, 10]);
+      expect(sizes({ sort: "count" })).toEqual([6, 20, 30, 10]);
+      expect(sizes({ sort: "path" })).toEqual([20, 30, 6, 10]);
+      expect(() => db.getDuplicateGroupPage(scanId, { sort: "name" })).toThrow(
+        'Unknown sort "name"'
+      );
+    });
+
+    test("should filter in SQL like filterGroups", () => {
+      const all = db.getDuplicateGroups(scanId).map((g) => JSON.parse(g.files));
+
+      for (const filters of [
+        { path: "BACKUP" },
+        { type: "image" },
+        { type: "other" },
+        { path: "notes", type: "document" },
+        { size: "small", type: "video" },
+        { size: "medium" },
+      ]) {
+        const { total, groups: page } = db.getDuplicateGroupPage(
+          scanId,
+          toQueryFilters(filters)
+        );
+        const expected = filterGroups(all, filters).map(
+          ({ files }) => files[0].hash
+        );
+
+        expect(total).toBe(expected.length);
+        expect(page.map((g) => g.group_id).sort()).toEqual(expected.sort());
+      }
+    });
+
+    test("should total every group", () => {
+      expect(db.getDuplicateStats(scanId)).toEqual({
+        groups: 4,
+        files: 11,
+        totalSize: 2 * 30 + 3 * 20 + 2 * 10 + 4 * 6,
+        reclaimableBytes: 30 + 2 * 20 + 10 + 3 * 6,
+      });
+    });
+  });
+
+  describe("exportGroups", () => {
+    test("should write JSON groups with reclaimable bytes", () => {
+      const [, photos] = JSON.parse(exportGroups(filterGroups(groups), "json"));
+
+      expect(photos).toMatchObject({
+        id: 2,
+        hash: "p",
+        size: 100,
+        reclaimableBytes: 200,
+      });
+      expect(photos.files[0]).toEqual({
+        path: "/photos/a.jpg",
+        modified: "2024-01-02T00:00:00.000Z",
+      });
+    });
+
+    test("should not count reference copies or archive members as reclaimable", () => {
+      const [referenced, archived] = JSON.parse(
+        exportGroups(
+          filterGroups([
+            [
+              {
+                path: "/ref/a.txt",
+                size: 10,
+                modified,
+                hash: "r",
+                reference: true,
+              },
+              {
+                path: "/ref/old/a.txt",
+                size: 10,
+                modified,
+                hash: "r",
+                reference: true,
+              },
+              { path: "/docs/a.txt", size: 10, modified, hash: "r" },
+            ],
+            [
+              { path: "/docs/b.txt", size: 10, modified, hash: "z" },
+              {
+                path: "/docs/b.zip!/b.txt",
+                size: 10,
+                modified,
+                hash: "z",
+                archive: "/docs/b.zip",
+              },
+              {
+                path: "/old/b.zip!/b.txt",
+                size: 10,
+                modified,
+                hash: "z",
+                archive: "/old/b.zip",
+              },
+            ],
+          ]),
+          "json"
+        )
+      );
+
+      expect(referenced.reclaimableBytes).toBe(10);
+      expect(archived.reclaimableBytes).toBe(10);
+    });
+
+    test("should write one NDJSON line per group or per file", () => {
+      const byGroup = exportGroups(filterGroups(groups), "ndjson");
+      const byFile = exportGroups(filterGroups(groups), "ndjson", {
+        perFile: true,
+      });
+
+      expect(byGroup.trim().split("\n")).toHaveLength(2);
+      const lines = byFile.trim().split("\n").map(JSON.parse);
+      expect(lines).toHaveLength(5);
+      expect(lines[2]).toEqual({
+        groupId: 2,
+        hash: "p",
+        size: 100,
+        path: "/photos/a.jpg",
+        modified: "2024-01-02T00:00:00.000Z",
+        reclaimableBytes: 200,
+      });
+    });
+
+    test("should write one CSV row per file and quote fields", () => {
+      const rows = exportGroups(filterGroups(groups), "csv").trim().split("\n");
+
+      expect(rows[0]).toBe(
+        "group_id,hash,size,path,modified,reclaimable_bytes"
+      );
+      expect(rows).toHaveLength(6);
+      expect(rows[4]).toBe(
+        '2,p,100,"/photos/b, ""copy"".jpg",2024-01-02T00:00:00.000Z,200'
+      );
+    });
+
+    test("should reject unknown formats", () => {
+      expect(() => exportGroups([], "xml")).toThrow(
+        'Unknown export format "xml"'
+      );
+    });
+  });
+});
@@ -0,0 +1,583 @@
+import { findDuplicates } from "../scanner.mjs";
+import { ScanDatabase } from "../database.mjs";
+import {
+  linkDuplicate,
+  symlinkDuplicate,
+  quarantineFile,
+  quarantineDirectory,
+  restoreFile,
+  purgeQuarantine,
+  renameFile,
+  deleteFile,
+  undoOperation,
+  UnsafeActionError,
+} from "../file-actions.mjs";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+describe("File actions", () => {
+  let testDir;
+  let indexPath;
+  let scanId;
+  let db;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-actions-"));
+    await fs.mkdir(path.join(testDir, "files"));
+    await fs.writeFile(path.join(testDir, "files", "a1.txt"), "content a");
+    await fs.writeFile(path.join(testDir, "files", "a2.txt"), "content a");
+    await fs.writeFile(path.join(testDir, "files", "b1.txt"), "content b");
+    await fs.writeFile(path.join(testDir, "files", "b2.txt"), "content b");
+    indexPath = path.join(testDir, "index.db");
+
+    ({ scanId } = await findDuplicates(path.join(testDir, "files"), {
+      indexPath,
+    }));
+    db = new ScanDatabase(indexPath);
+  });
+
+  afterEach(async () => {
+    db.close();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  const filePath = (name) => path.join(testDir, "files", name);
+
+  describe("linkDuplicate", () => {
+    test("should replace a duplicate with a hard link", async () => {
+      const result = await linkDuplicate(
+        db,
+        scanId,
+        filePath("a2.txt"),
+        filePath("a1.txt")
+      );
+
+      const [linked, keeper] = await Promise.all([
+        fs.stat(filePath("a2.txt")),
+        fs.stat(filePath("a1.txt")),
+      ]);
+      expect(linked.ino).toBe(keeper.ino);
+      expect(keeper.nlink).toBe(2);
+      expect(result.inode).toBe(keeper.ino);
+      expect(await fs.readFile(filePath("a2.txt"), "utf8")).toBe("content a");
+
+      expect(db.getFileByPath(scanId, filePath("a2.txt")).inode).toBe(
+        keeper.ino
+      );
+      expect(db.getFileByPath(scanId, filePath("a1.txt")).inode).toBe(
+        keeper.ino
+      );
+    });
+
+    test("should list the linked file under its keeper instead of as a duplicate", async () => {
+      await fs.writeFile(filePath("a3.txt"), "content a");
+      ({ scanId } = await findDuplicates(path.join(testDir, "files"), {
+        indexPath,
+      }));
+      await linkDuplicate(db, scanId, filePath("a2.txt"), filePath("a1.txt"));
+
+      const groups = db
+        .getDuplicateGroups(scanId)
+        .map((group) => JSON.parse(group.files));
+      const groupA = groups.find((files) =>
+        files.some((file) => file.path === filePath("a1.txt"))
+      );
+      expect(groupA.map((file) => file.path).sort()).toEqual([
+        filePath("a1.txt"),
+        filePath("a3.txt"),
+      ]);
+      expect(
+        groupA.find((file) => file.path === filePath("a1.txt")).links
+      ).toEqual([filePath("a2.txt")]);
+    });
+
+    test("should refuse files from different groups", async () => {
+      await expect(
+        linkDuplicate(db, scanId, filePath("a2.txt"), filePath("b1.txt"))
+      ).rejects.toThrow("not in the same duplicate group");
+    });
+
+    test("should refuse files that changed after the scan", async () => {
+      await fs.writeFile(filePath("a2.txt"), "content c");
+
+      await expect(
+        linkDuplicate(db, scanId, filePath("a2.txt"), filePath("a1.txt"))
+      ).rejects.toThrow("has changed since it was scanned");
+      expect(await fs.readFile(filePath("a2.txt"), "utf8")).toBe("content c");
+    });
+  });
+
+  describe("symlinkDuplicate", () => {
+    test("should replace a duplicate with a relative symlink", async () => {
+      const result = await symlinkDuplicate(
+        db,
+        scanId,
+        filePath("a2.txt"),
+        filePath("a1.txt")
+      );
+
+      expect(result.target).toBe("a1.txt");
+      expect(await fs.readlink(filePath("a2.txt"))).toBe("a1.txt");
+      expect(await fs.readFile(filePath("a2.txt"), "utf8")).toBe("content a");
+
+      const row = db.getFileByPath(scanId, filePath("a2.txt"));
+      expect(row.link_target).toBe(filePath("a1.txt"));
+      expect(row.group_id).toBeNull();
+    });
+
+    test("should create absolute targets on request", async () => {
+      await symlinkDuplicate(
+        db,
+        scanId,
+        filePath("a2.txt"),
+        filePath("a1.txt"),
+        { relative: false }
+      );
+
+      expect(await fs.readlink(filePath("a2.txt"))).toBe(filePath("a1.txt"));
+    });
+
+    test("should not report the link as a duplicate on the next scan", async () => {
+      await symlinkDuplicate(
+        db,
+        scanId,
+        filePath("a2.txt"),
+        filePath("a1.txt")
+      );
+
+      const rescan = await findDuplicates(path.join(testDir, "files"), {
+        indexPath,
+      });
+
+      expect(rescan.result).toHaveLength(1);
+      expect(rescan.result[0].map((file) => file.path).sort()).toEqual([
+        filePath("b1.txt"),
+        filePath("b2.txt"),
+      ]);
+      expect(
+        db.getFileByPath(rescan.scanId, filePath("a2.txt")).link_target
+      ).toBe(filePath("a1.txt"));
+    });
+  });
+
+  describe("quarantine", () => {
+    const quarantineDir = () => ScanDatabase.generateQuarantinePath(indexPath);
+
+    test("should move a file to quarantine and record it", async () => {
+      const result = await quarantineFile(
+        db,
+        scanId,
+        filePath("a2.txt"),
+        quarantineDir()
+      );
+
+      await expect(fs.access(filePath("a2.txt"))).rejects.toThrow();
+      expect(await fs.readFile(result.quarantinePath, "utf8")).toBe(
+        "content a"
+      );
+      expect(path.dirname(result.quarantinePath)).toBe(quarantineDir());
+
+      const [entry] = db.getQuarantined();
+      expect(entry.original_path).toBe(filePath("a2.txt"));
+      expect(entry.full_hash).not.toBeNull();
+      expect(db.getFileByPath(scanId, filePath("a2.txt"))).toBeUndefined();
+    });
+
+    test("should restore a file into its group", async () => {
+      const { id } = await quarantineFile(
+        db,
+        scanId,
+        filePath("a2.txt"),
+        quarantineDir()
+      );
+
+      await restoreFile(db, id);
+
+      expect(await fs.readFile(filePath("a2.txt"), "utf8")).toBe("content a");
+      expect(db.getQuarantined()).toHaveLength(0);
+      expect(db.getDuplicateGroups(scanId)).toHaveLength(2);
+    });
+
+    test("should restore a file with its root, inode and split group", async () => {
+      const before = db.getFileByPath(scanId, filePath("a2.txt"));
+      // Groups split by verification are keyed by the hash and an index
+      db.db
+        .prepare(
+          "UPDATE files SET group_id = ? WHERE scan_id = ? AND path IN (?, ?)"
+        )
+        .run(
+          `${before.full_hash}:1`,
+          scanId,
+          filePath("a1.txt"),
+          filePath("a2.txt")
+        );
+
+      const { id } = await quarantineFile(
+        db,
+        scanId,
+        filePath("a2.txt"),
+        quarantineDir()
+      );
+      await restoreFile(db, id);
+
+      const restored = db.getFileByPath(scanId, filePath("a2.txt"));
+      expect(restored).toMatchObject({
+        group_id: `${before.full_hash}:1`,
+        root: before.root,
+        reference: before.reference,
+        device: before.device,
+        inode: before.inode,
+      });
+      expect(restored.root).toBe(path.join(testDir, "files"));
+      expect(db.getDuplicateGroups(scanId)).toHaveLength(2);
+    });
+
+    test("should not overwrite a file when restoring", async () => {
+      const { id } = await quarantineFile(
+        db,
+        scanId,
+        filePath("a2.txt"),
+        quarantineDir()
+      );
+      await fs.writeFile(filePath("a2.txt"), "new content");
+
+      await expect(restoreFile(db, id)).rejects.toThrow("already exists");
+      expect(await fs.readFile(filePath("a2.txt"), "utf8")).toBe("new content");
+    });
+
+    test("should purge only files older than the given age", async () => {
+      const old = await quarantineFile(
+        db,
+        scanId,
+        filePath("a2.txt"),
+        quarantineDir()
+      );
+      await quarantineFile(db, scanId, filePath("b2.txt"), quarantineDir());
+      db.db
+        .prepare("UPDATE quarantine SET removed_at = ? WHERE id = ?")
+        .run(Date.now() - 10 * 24 * 60 * 60 * 1000, old.id);
+
+      const purged = await purgeQuarantine(db, 7);
+
+      expect(purged.map((entry) => entry.filePath)).toEqual([
+        filePath("a2.txt"),
+      ]);
+      await expect(fs.access(old.quarantinePath)).rejects.toThrow();
+      expect(db.getQuarantined()).toHaveLength(1);
+    });
+
+    test("should leave the index and quarantine out of later scans", async () => {
+      await quarantineFile(db, scanId, filePath("a2.txt"), quarantineDir());
+
+      const rescan = await findDuplicates(testDir, {
+        indexPath,
+        recursive: true,
+      });
+      const paths = db.getFiles(rescan.scanId).map((row) => row.path);
+
+      expect(rescan.result).toHaveLength(1);
+      expect(paths).not.toContain(indexPath);
+      expect(paths.some((p) => p.startsWith(quarantineDir()))).toBe(false);
+    });
+  });
+
+  describe("quarantineDirectory", () => {
+    test("should quarantine a folder that has an identical copy", async () => {
+      await fs.cp(path.join(testDir, "files"), path.join(testDir, "copy"), {
+        recursive: true,
+      });
+      ({ scanId } = await findDuplicates(testDir, {
+        recursive: true,
+        indexPath,
+      }));
+
+      const result = await quarantineDirectory(
+        db,
+        scanId,
+        path.join(testDir, "copy"),
+        ScanDatabase.generateQuarantinePath(indexPath)
+      );
+
+      expect(result.copies).toEqual([path.join(testDir, "files")]);
+      expect(result.files).toHaveLength(4);
+      expect(result.removed).toBe(true);
+      await expect(fs.access(path.join(testDir, "copy"))).rejects.toThrow();
+      expect(db.getQuarantined()).toHaveLength(4);
+    });
+
+    test("should refuse a folder without an identical copy", async () => {
+      await expect(
+        quarantineDirectory(
+          db,
+          scanId,
+          path.join(testDir, "files"),
+          ScanDatabase.generateQuarantinePath(indexPath)
+        )
+      ).rejects.toThrow("has no identical copy in the index");
+      expect(db.getQuarantined()).toHaveLength(0);
+    });
+
+    test("should move symbolic links as they are", async () => {
+      await fs.symlink("a1.txt", filePath("link.txt"));
+      await fs.cp(path.join(testDir, "files"), path.join(testDir, "copy"), {
+        recursive: true,
+        verbatimSymlinks: true,
+      });
+      ({ scanId } = await findDuplicates(testDir, {
+        recursive: true,
+        indexPath,
+      }));
+
+      const result = await quarantineDirectory(
+        db,
+        scanId,
+        path.join(testDir, "copy"),
+        ScanDatabase.generateQuarantinePath(indexPath)
+      );
+
+      expect(result.files).toHaveLength(5);
+      expect(result.removed).toBe(true);
+      const link = result.files.find((file) =>
+        file.filePath.endsWith("link.txt")
+      );
+      expect(await fs.readlink(link.quarantinePath)).toBe("a1.txt");
+
+      await restoreFile(db, link.id);
+      const copyLink = path.join(testDir, "copy", "link.txt");
+      expect(await fs.readlink(copyLink)).toBe("a1.txt");
+      expect(db.getFileByPath(scanId, copyLink).link_target).toBe(
+        path.join(testDir, "copy", "a1.txt")
+      );
+    });
+
+    test("should leave the folder untouched when a file is refused", async () => {
+      await fs.cp(path.join(testDir, "files"), path.join(testDir, "copy"), {
+        recursive: true,
+      });
+      ({ scanId } = await findDuplicates(testDir, {
+        recursive: true,
+        indexPath,
+      }));
+      await fs.writeFile(path.join(testDir, "copy", "b2.txt"), "content B");
+
+      await expect(
+        quarantineDirectory(
+          db,
+          scanId,
+          path.join(testDir, "copy"),
+          ScanDatabase.generateQuarantinePath(indexPath)
+        )
+      ).rejects.toMatchObject({ code: "CHANGED" });
+      expect(db.getQuarantined()).toHaveLength(0);
+      expect((await fs.readdir(path.join(testDir, "copy"))).sort()).toEqual([
+        "a1.txt",
+        "a2.txt",
+        "b1.txt",
+        "b2.txt",
+      ]);
+    });
+  });
+
+  describe("reference directories", () => {
+    test("should refuse to change reference files", async () => {
+      await fs.mkdir(path.join(testDir, "reference"));
+      await fs.writeFile(path.join(testDir, "reference", "a.txt"), "content a");
+      const scan = await findDuplicates(path.join(testDir, "files"), {
+        references: [path.join(testDir, "reference")],
+        indexPath,
+      });
+      const referencePath = path.join(testDir, "reference", "a.txt");
+
+      await expect(
+        quarantineFile(
+          db,
+          scan.scanId,
+          referencePath,
+          ScanDatabase.generateQuarantinePath(indexPath)
+        )
+      ).rejects.toThrow("is in a reference directory and cannot be changed");
+      await expect(
+        linkDuplicate(db, scan.scanId, referencePath, filePath("a1.txt"))
+      ).rejects.toThrow("is in a reference directory");
+      await expect(
+        renameFile(db, scan.scanId, referencePath, "b.txt")
+      ).rejects.toThrow("is in a reference directory");
+      expect(await fs.readFile(referencePath, "utf8")).toBe("content a");
+
+      await linkDuplicate(db, scan.scanId, filePath("a1.txt"), referencePath);
+      expect((await fs.stat(filePath("a1.txt"))).ino).toBe(
+        (await fs.stat(referencePath)).ino
+      );
+    });
+  });
+
+  describe("last copy safeguards", () => {
+    const quarantineDir = () => ScanDatabase.generateQuarantinePath(indexPath);
+
+    test("should never remove the last copy of a group", async () => {
+      await quarantineFile(db, scanId, filePath("a2.txt"), quarantineDir());
+
+      await expect(
+        quarantineFile(db, scanId, filePath("a1.txt"), quarantineDir())
+      ).rejects.toMatchObject({
+        name: "UnsafeActionError",
+        code: "LAST_COPY",
+        path: filePath("a1.txt"),
+      });
+      await expect(
+        deleteFile(db, scanId, filePath("a1.txt"))
+      ).rejects.toBeInstanceOf(UnsafeActionError);
+      expect(await fs.readFile(filePath("a1.txt"), "utf8")).toBe("content a");
+    });
+
+    test("should refuse files that changed since the scan", async () => {
+      await fs.writeFile(filePath("a2.txt"), "content A");
+
+      await expect(
+        deleteFile(db, scanId, filePath("a2.txt"))
+      ).rejects.toMatchObject({ code: "CHANGED", path: filePath("a2.txt") });
+      // The changed file is no copy of a1 any more
+      await expect(
+        deleteFile(db, scanId, filePath("a1.txt"))
+      ).rejects.toMatchObject({ code: "LAST_COPY" });
+      await expect(
+        linkDuplicate(db, scanId, filePath("a1.txt"), filePath("a2.txt"))
+      ).rejects.toMatchObject({ code: "CHANGED" });
+      expect(await fs.readFile(filePath("a1.txt"), "utf8")).toBe("content a");
+      expect(await fs.readFile(filePath("a2.txt"), "utf8")).toBe("content A");
+    });
+
+    test("should refuse files the index does not know", async () => {
+      await fs.writeFile(filePath("c.txt"), "content c");
+
+      await expect(
+        deleteFile(db, scanId, filePath("c.txt"))
+      ).rejects.toMatchObject({ code: "NOT_INDEXED" });
+      await expect(fs.access(filePath("c.txt"))).resolves.toBeUndefined();
+    });
+
+    test("should keep one copy when every copy is removed at once", async () => {
+      const results = await Promise.allSettled([
+        deleteFile(db, scanId, filePath("b1.txt")),
+        quarantineFile(db, scanId, filePath("b2.txt"), quarantineDir()),
+      ]);
+
+      expect(results.map((result) => result.status)).toEqual([
+        "fulfilled",
+        "rejected",
+      ]);
+      expect(results[1].reason.code).toBe("LAST_COPY");
+      expect(await fs.readFile(filePath("b2.txt"), "utf8")).toBe("content b");
+    });
+  });
+
+  describe("earlier scans", () => {
+    test("should keep the rows of earlier scans when deleting or renaming", async () => {
+      const { scanId: latestId } = await findDuplicates(
+        path.join(testDir, "files"),
+        { indexPath }
+      );
+
+      await deleteFile(db, latestId, filePath("a2.txt"));
+      await renameFile(db, latestId, filePath("b2.txt"), "b3.txt");
+
+      expect(db.getFileByPath(latestId, filePath("a2.txt"))).toBeUndefined();
+      expect(db.getFileByPath(latestId, filePath("b3.txt"))).toBeDefined();
+      expect(db.getFileByPath(scanId, filePath("a2.txt"))).toBeDefined();
+      expect(db.getFileByPath(scanId, filePath("b2.txt"))).toBeDefined();
+      expect(db.getFileByPath(scanId, filePath("b3.txt"))).toBeUndefined();
+      expect(db.getDuplicateGroups(scanId)).toHaveLength(2);
+    });
+  });
+
+  describe("operation journal", () => {
+    const quarantineDir = () => ScanDatabase.generateQuarantinePath(indexPath);
+
+    test("should record successful and failed operations", async () => {
+      await renameFile(db, scanId, filePath("a2.txt"), "a3.txt");
+      await expect(
+        renameFile(db, scanId, filePath("a3.txt"), "b1.txt")
+      ).rejects.toThrow("already exists");
+
+      const [failed, renamed] = db.getOperations();
+      expect(renamed).toMatchObject({
+        action: "rename",
+        source_path: filePath("a2.txt"),
+        target_path: filePath("a3.txt"),
+        outcome: "success",
+      });
+      expect(renamed.source_hash).toBe(renamed.target_hash);
+      expect(renamed.source_hash).not.toBeNull();
+      expect(failed).toMatchObject({
+        action: "rename",
+        outcome: "failed",
+        error: "A file with that name already exists",
+      });
+    });
+
+    test("should undo a rename", async () => {
+      await renameFile(db, scanId, filePath("a2.txt"), "a3.txt");
+      const [operation] = db.getOperations();
+
+      await undoOperation(db, operation.id);
+
+      expect(await fs.readFile(filePath("a2.txt"), "utf8")).toBe("content a");
+      await expect(fs.access(filePath("a3.txt"))).rejects.toThrow();
+      expect(db.getFileByPath(scanId, filePath("a2.txt"))).toBeDefined();
+      expect(db.getOperation(operation.id).undone_at).not.toBeNull();
+      expect(db.getOperations()[0].action).toBe("undo");
+    });
+
+    test("should undo a quarantined delete", async () => {
+      await quarantineFile(db, scanId, filePath("a2.txt"), quarantineDir());
+      const [operation] = db.getOperations();
+
+      await undoOperation(db, operation.id);
+
+      expect(await fs.readFile(filePath("a2.txt"), "utf8")).toBe("content a");
+      expect(db.getQuarantined()).toHaveLength(0);
+    });
+
+    test("should undo link replacements with an independent copy", async () => {
+      await linkDuplicate(db, scanId, filePath("a2.txt"), filePath("a1.txt"));
+      await symlinkDuplicate(
+        db,
+        scanId,
+        filePath("b2.txt"),
+        filePath("b1.txt")
+      );
+      const [symlinked, linked] = db.getOperations();
+
+      await undoOperation(db, linked.id);
+      await undoOperation(db, symlinked.id);
+
+      const [a1, a2, b2] = await Promise.all([
+        fs.stat(filePath("a1.txt")),
+        fs.stat(filePath("a2.txt")),
+        fs.lstat(filePath("b2.txt")),
+      ]);
+      expect(a2.ino).not.toBe(a1.ino);
+      expect(b2.isSymbolicLink()).toBe(false);
+      expect(await fs.readFile(filePath("b2.txt"), "utf8")).toBe("content b");
+      expect(db.getDuplicateGroups(scanId)).toHaveLength(2);
+    });
+
+    test("should refuse to undo irreversible or undone operations", async () => {
+      await deleteFile(db, scanId, filePath("a2.txt"));
+      const [deleted] = db.getOperations();
+
+      await expect(undoOperation(db, deleted.id)).rejects.toThrow(
+        "cannot be undone"
+      );
+
+      await renameFile(db, scanId, filePath("b2.txt"), "b3.txt");
+      const [renamed] = db.getOperations();
+      await undoOperation(db, renamed.id);
+
+      await expect(undoOperation(db, renamed.id)).rejects.toThrow(
+        "already been undone"
+      );
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import {
+  isIgnored,
+  matchesGlob,
+  parseIgnoreFile,
+  parseSize,
+} from "../filters.mjs";
+
+describe("Scan filters", () => {
+  test("parseSize should accept bytes and binary units", () => {
+    expect(parseSize("500")).toBe(500);
+    expect(parseSize(2048)).toBe(2048);
+    expect(parseSize("64KB")).toBe(64 * 1024);
+    expect(parseSize("1.5m")).toBe(1.5 * 1024 * 1024);
+    expect(parseSize("2 GiB")).toBe(2 * 1024 ** 3);
+    expect(() => parseSize("ten")).toThrow('Invalid size "ten"');
+    expect(() => parseSize("-1")).toThrow("Invalid size");
+  });
+
+  test("globs without a slash should match names at any depth", () => {
+    expect(matchesGlob("node_modules", "node_modules")).toBe(true);
+    expect(matchesGlob("a/b/node_modules", "node_modules")).toBe(true);
+    expect(matchesGlob("a/photo.JPG", "*.jpg")).toBe(false);
+    expect(matchesGlob("a/.cache/x.tmp", "a/**/*.tmp")).toBe(true);
+    expect(matchesGlob("b/x.tmp", "a/**/*.tmp")).toBe(false);
+  });
+
+  describe("ignore files", () => {
+    const rules = parseIgnoreFile(
+      [
+        "# build output",
+        "",
+        "*.log",
+        "!keep.log",
+        "/dist",
+        "cache/",
+        "docs/*.tmp",
+        "\\#notes",
+      ].join("\n"),
+      "/project"
+    );
+
+    test("should parse patterns, negations and anchors", () => {
+      expect(rules).toEqual([
+        {
+          baseDir: "/project",
+          pattern: "**/*.log",
+          negate: false,
+          directoryOnly: false,
+        },
+        {
+          baseDir: "/project",
+          pattern: "**/keep.log",
+          negate: true,
+          directoryOnly: false,
+        },
+        {
+          baseDir: "/project",
+          pattern: "dist",
+          negate: false,
+          directoryOnly: false,
+        },
+        {
+          baseDir: "/project",
+          pattern: "**/cache",
+          negate: false,
+          directoryOnly: true,
+        },
+        {
+          baseDir: "/project",
+          pattern: "docs/*.tmp",
+          negate: false,
+          directoryOnly: false,
+        },
+        {
+          baseDir: "/project",
+          pattern: "**/#notes",
+          negate: false,
+          directoryOnly: false,
+        },
+      ]);
+    });
+
+    test("should let the last matching rule decide", () => {
+      expect(isIgnored(rules, "/project/a/debug.log", false)).toBe(true);
+      expect(isIgnored(rules, "/project/a/keep.log", false)).toBe(false);
+      expect(isIgnored(rules, "/project/dist", true)).toBe(true);
+      expect(isIgnored(rules, "/project/src/dist", true)).toBe(false);
+      expect(isIgnored(rules, "/project/src/cache", true)).toBe(true);
+      expect(isIgnored(rules, "/project/src/cache", false)).toBe(false);
+      expect(isIgnored(rules, "/project/docs/a.tmp", false)).toBe(true);
+      expect(isIgnored(rules, "/project/docs/sub/a.tmp", false)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import {
+  calculateHash,
+  calculateQuickHash,
+  calculateSampleHash,
+  calculateTailHash,
+  createContentHasher,
+  filesAreIdentical,
+  HashPool,
+} from "../hashing.mjs";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+describe("HashPool", () => {
+  let testDir;
+  let pool;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-hashing-"));
+    pool = new HashPool(2);
+  });
+
+  afterEach(async () => {
+    await pool.close();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test("should hash files like calculateHash", async () => {
+    const files = [];
+    for (let i = 0; i < 5; i++) {
+      const filePath = path.join(testDir, `${i}.txt`);
+      await fs.writeFile(filePath, `content ${i}`.repeat(1000));
+      files.push(filePath);
+    }
+
+    const hashes = await Promise.all(files.map((file) => pool.hash(file)));
+
+    expect(hashes).toEqual(
+      await Promise.all(files.map((file) => calculateHash(file)))
+    );
+  });
+
+  test("should reject files still being hashed when closed", async () => {
+    // A sparse file large enough to still be hashed when the pool closes
+    const filePath = path.join(testDir, "large.bin");
+    await fs.writeFile(filePath, "");
+    await fs.truncate(filePath, 1024 * 1024 * 1024);
+
+    // Two files are hashed on the two workers, a third waits in the queue
+    const results = Promise.allSettled(
+      [1, 2, 3].map(() => pool.hash(filePath))
+    );
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await pool.close();
+
+    expect(
+      (await results).map(({ status, reason }) => [status, reason?.message])
+    ).toEqual(Array(3).fill(["rejected", "Hash pool is closed"]));
+  });
+
+  test("should hash with the requested algorithm", async () => {
+    const filePath = path.join(testDir, "a.txt");
+    await fs.writeFile(filePath, "content a");
+
+    expect(await pool.hash(filePath, "sha1")).toBe(
+      await calculateHash(filePath, "sha1")
+    );
+    expect(await pool.hash(filePath, "sha1")).not.toBe(
+      await pool.hash(filePath)
+    );
+  });
+
+  test("should reject files that cannot be read and keep working", async () => {
+    const filePath = path.join(testDir, "a.txt");
+    await fs.writeFile(filePath, "content a");
+
+    await expect(pool.hash(path.join(testDir, "missing.txt"))).rejects.toThrow(
+      "ENOENT"
+    );
+    expect(await pool.hash(filePath)).toBe(await calculateHash(filePath));
+  });
+
+  test("should refuse work after closing", async () => {
+    await pool.close();
+
+    await expect(pool.hash(path.join(testDir, "a.txt"))).rejects.toThrow(
+      "Hash pool is closed"
+    );
+  });
+});
+
+describe("filesAreIdentical", () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-compare-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test("should compare files byte by byte", async () => {
+    const large = Buffer.alloc(3 * 1024 * 1024, 7);
+    const changed = Buffer.from(large);
+    changed[changed.length - 1] = 8;
+    await fs.writeFile(path.join(testDir, "a"), large);
+    await fs.writeFile(path.join(testDir, "b"), large);
+    await fs.writeFile(path.join(testDir, "c"), changed);
+    await fs.writeFile(path.join(testDir, "d"), large.subarray(1));
+
+    const compare = (x, y) =>
+      filesAreIdentical(path.join(testDir, x), path.join(testDir, y));
+    expect(await compare("a", "b")).toBe(true);
+    expect(await compare("a", "c")).toBe(false);
+    expect(await compare("a", "d")).toBe(false);
+  });
+});
+
+describe("createContentHasher", () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-content-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test("should match the hashes of a file with the same content", async () => {
+    const content = Buffer.alloc(2 * 1024 * 1024 + 123);
+    for (let i = 0; i < content.length; i++) content[i] = (i * 31) % 251;
+    const filePath = path.join(testDir, "large.bin");
+    await fs.writeFile(filePath, content);
+
+    // Uneven chunks cross every block boundary somewhere
+    const hasher = createContentHasher(content.length);
+    for (let start = 0; start < content.length; start += 40000) {
+      hasher.update(content.subarray(start, start + 40000));
+    }
+
+    expect(hasher.digest()).toEqual({
+      quickHash: await calculateQuickHash(filePath),
+      tailHash: await calculateTailHash(filePath, content.length),
+      sampleHash: await calculateSampleHash(filePath, content.length),
+      hash: await calculateHash(filePath),
+    });
+  });
+
+  test("should skip tail and sample hashes of small content", async () => {
+    const hasher = createContentHasher(9, "md5");
+    hasher.update(Buffer.from("content a"));
+    const filePath = path.join(testDir, "a.txt");
+    await fs.writeFile(filePath, "content a");
+
+    expect(hasher.digest()).toEqual({
+      quickHash: await calculateQuickHash(filePath, "md5"),
+      tailHash: null,
+      sampleHash: null,
+      hash: await calculateHash(filePath, "md5"),
+    });
+  });
+});
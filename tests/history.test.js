@@ -0,0 +1,158 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  defaultDiffScans,
+  diffScans,
+  listScans,
+  reclaimableBytes,
+} from "../history.mjs";
+import { findDuplicates } from "../scanner.mjs";
+import { ScanDatabase } from "../database.mjs";
+
+describe("Scan history", () => {
+  let testDir;
+  let indexPath;
+  let first;
+  let second;
+  let db;
+
+  const filePath = (name) => path.join(testDir, "files", name);
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-history-"));
+    indexPath = path.join(testDir, "index.db");
+    await fs.mkdir(path.join(testDir, "files"));
+    await fs.writeFile(filePath("a1.txt"), "content a");
+    await fs.writeFile(filePath("a2.txt"), "content a");
+    await fs.writeFile(filePath("c1.txt"), "content cc");
+    await fs.writeFile(filePath("c2.txt"), "content cc");
+    await fs.writeFile(filePath("c3.txt"), "content cc");
+    first = await findDuplicates(path.join(testDir, "files"), { indexPath });
+
+    // Clean up a and one copy of c, while a new pair of b turns up
+    await fs.rm(filePath("a2.txt"));
+    await fs.rm(filePath("c3.txt"));
+    await fs.writeFile(filePath("b1.txt"), "content bbb");
+    await fs.writeFile(filePath("b2.txt"), "content bbb");
+    second = await findDuplicates(path.join(testDir, "files"), { indexPath });
+
+    db = new ScanDatabase(indexPath);
+  });
+
+  afterEach(async () => {
+    db.close();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test("should count reclaimable bytes without references and archives", () => {
+    const group = [{ size: 10 }, { size: 10 }, { size: 10 }];
+    expect(reclaimableBytes(group)).toBe(20);
+    expect(
+      reclaimableBytes([{ size: 10, reference: true }, ...group.slice(1)])
+    ).toBe(20);
+    expect(
+      reclaimableBytes([
+        { size: 10, archive: "/backup.zip" },
+        { size: 10, archive: "/backup.zip" },
+        { size: 10 },
+      ])
+    ).toBe(10);
+  });
+
+  test("should list scans with their trend", () => {
+    const scans = listScans(db);
+
+    expect(scans.map((scan) => scan.id)).toEqual([first.scanId, second.scanId]);
+    expect(scans[0]).toMatchObject({
+      groups: 2,
+      duplicateFiles: 5,
+      reclaimableBytes: 9 + 2 * 10,
+      change: null,
+    });
+    expect(scans[1]).toMatchObject({
+      groups: 2,
+      duplicateFiles: 4,
+      reclaimableBytes: 10 + 11,
+      change: 21 - 29,
+    });
+  });
+
+  test("should report groups added, resolved and changed", () => {
+    const diff = diffScans(db, first.scanId, second.scanId);
+
+    expect(diff.added.map((group) => group.files.sort())).toEqual([
+      [filePath("b1.txt"), filePath("b2.txt")],
+    ]);
+    expect(diff.resolved.map((group) => group.files.sort())).toEqual([
+      [filePath("a1.txt"), filePath("a2.txt")],
+    ]);
+    expect(diff.changed).toHaveLength(1);
+    expect(diff.changed[0]).toMatchObject({
+      size: 10,
+      reclaimableBytes: 10,
+      previousReclaimableBytes: 20,
+    });
+    expect(diff.addedBytes).toBe(11);
+    expect(diff.resolvedBytes).toBe(9 + 10);
+  });
+
+  test("should match groups that verification split apart by their key", () => {
+    // Two groups of files with colliding hashes, as verification leaves them
+    const record = (scanId, name, groupId) =>
+      db.addFile(
+        scanId,
+        {
+          path: filePath(name),
+          size: 5,
+          created: new Date(0),
+          modified: new Date(0),
+          quickHash: "q",
+          hash: "x",
+        },
+        groupId
+      );
+    const fromId = db.startScan(path.join(testDir, "files"));
+    record(fromId, "x1.txt", "x:1");
+    record(fromId, "x2.txt", "x:1");
+    record(fromId, "y1.txt", "x:2");
+    record(fromId, "y2.txt", "x:2");
+    const toId = db.startScan(path.join(testDir, "files"));
+    record(toId, "x1.txt", "x:1");
+    record(toId, "x2.txt", "x:1");
+
+    const diff = diffScans(db, fromId, toId);
+
+    expect(diff.added).toEqual([]);
+    expect(diff.changed).toEqual([]);
+    expect(diff.resolved.map((group) => group.files)).toEqual([
+      [filePath("y1.txt"), filePath("y2.txt")],
+    ]);
+    expect(diff.from).toMatchObject({ groups: 2, reclaimableBytes: 10 });
+    expect(diff.to).toMatchObject({ groups: 1, reclaimableBytes: 5 });
+  });
+
+  test("should compare the latest scan with the one before by default", () => {
+    expect(defaultDiffScans(db)).toEqual({
+      fromId: first.scanId,
+      toId: second.scanId,
+    });
+    expect(() => defaultDiffScans(db, undefined, first.scanId)).toThrow(
+      "has no earlier scan"
+    );
+    expect(() => diffScans(db, first.scanId, 99)).toThrow(
+      "Scan 99 not found in the index"
+    );
+  });
+
+  test("should refuse to compare scans with different hash algorithms", async () => {
+    const third = await findDuplicates(path.join(testDir, "files"), {
+      indexPath,
+      hashAlgorithm: "md5",
+    });
+
+    expect(() => diffScans(db, second.scanId, third.scanId)).toThrow(
+      "cannot be compared"
+    );
+  });
+});
@@ -0,0 +1,199 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  calculateImageHash,
+  groupSimilarImages,
+  hammingDistance,
+} from "../images.mjs";
+import { findDuplicates } from "../scanner.mjs";
+import { ScanDatabase } from "../database.mjs";
+
+// sharp is an optional dependency; image cases are skipped without it
+const sharp = await import("sharp").then(
+  (module) => module.default,
+  () => null
+);
+
+// A 64x64 grey image whose brightness comes from the given function
+const drawImage = (brightness) => {
+  const pixels = Buffer.alloc(64 * 64);
+  for (let y = 0; y < 64; y++) {
+    for (let x = 0; x < 64; x++) {
+      pixels[y * 64 + x] = brightness(x, y);
+    }
+  }
+  return sharp(pixels, { raw: { width: 64, height: 64, channels: 1 } });
+};
+
+const waves = (x, y) =>
+  Math.round(127 + 120 * Math.sin(x / 7) * Math.cos(y / 11));
+const stripes = (x, y) => (Math.floor((x + y) / 5) % 2 ? 230 : 20);
+
+(sharp ? describe : describe.skip)("Image hashes", () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-images-"));
+    await fs.mkdir(path.join(testDir, "photos"));
+    await drawImage(waves).png().toFile(path.join(testDir, "photos/a.png"));
+    // Same picture, smaller and re-encoded with a lossy format
+    await drawImage(waves)
+      .resize(48, 48)
+      .jpeg({ quality: 70 })
+      .toFile(path.join(testDir, "photos/a-small.jpg"));
+    await drawImage(stripes).webp().toFile(path.join(testDir, "photos/b.webp"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test("should barely change when an image is resized and re-encoded", async () => {
+    const original = await calculateImageHash(
+      path.join(testDir, "photos/a.png")
+    );
+    const copy = await calculateImageHash(
+      path.join(testDir, "photos/a-small.jpg")
+    );
+    const other = await calculateImageHash(path.join(testDir, "photos/b.webp"));
+
+    expect(original).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(original, copy)).toBeLessThanOrEqual(4);
+    expect(hammingDistance(original, other)).toBeGreaterThan(10);
+  });
+
+  test("should group similar images found by a scan and store their hashes", async () => {
+    const indexPath = path.join(testDir, "index.db");
+    const { similarImages, scanId } = await findDuplicates(
+      path.join(testDir, "photos"),
+      { indexPath, images: true }
+    );
+
+    expect(similarImages).toHaveLength(1);
+    expect(similarImages[0].files.map((file) => file.name)).toEqual([
+      "a.png",
+      "a-small.jpg",
+    ]);
+    expect(similarImages[0].files[0].similarity).toBe(1);
+
+    const db = new ScanDatabase(indexPath);
+    expect(db.getImageFiles(scanId)).toHaveLength(3);
+    db.close();
+  });
+
+  test("should leave images alone unless asked", async () => {
+    const { similarImages } = await findDuplicates(
+      path.join(testDir, "photos"),
+      { indexPath: path.join(testDir, "index.db") }
+    );
+
+    expect(similarImages).toBeNull();
+  });
+});
+
+describe("Similar image groups", () => {
+  const image = (name, imageHash, extra = {}) => ({
+    path: `/photos/${name}`,
+    size: 100,
+    hash: null,
+    imageHash,
+    ...extra,
+  });
+
+  test("should count differing bits", () => {
+    expect(hammingDistance("0000000000000000", "0000000000000000")).toBe(0);
+    expect(hammingDistance("ffffffffffffffff", "0000000000000000")).toBe(64);
+    expect(hammingDistance("8000000000000001", "0000000000000000")).toBe(2);
+  });
+
+  test("should chain neighbours and start each group with the largest image", () => {
+    const groups = groupSimilarImages(
+      [
+        image("a.jpg", "0000000000000000"),
+        image("b.jpg", "000000000000003f", { size: 500 }),
+        image("c.jpg", "0000000000000fff"),
+        image("d.jpg", "ffffffffffffffff"),
+      ],
+      { maxDistance: 6 }
+    );
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].files.map((file) => file.path)).toEqual([
+      "/photos/b.jpg",
+      "/photos/a.jpg",
+      "/photos/c.jpg",
+    ]);
+    expect(groups[0].files.map((file) => file.distance)).toEqual([0, 6, 6]);
+    expect(groups[0].similarity).toBe(1 - 6 / 64);
+  });
+
+  test("should find the same groups in large collections as comparing every pair", () => {
+    // Random hashes, each with a copy that differs in up to 10 bits
+    let seed = 1;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+    const hex = (bits) =>
+      BigInt.asUintN(64, bits).toString(16).padStart(16, "0");
+    const images = [];
+    for (let i = 0; i < 600; i++) {
+      let bits = 0n;
+      for (let b = 0; b < 64; b++) {
+        if (random() < 0.5) bits |= 1n << BigInt(b);
+      }
+      images.push(image(`${i}.jpg`, hex(bits)));
+      for (let flips = Math.floor(random() * 11); flips > 0; flips--) {
+        bits ^= 1n << BigInt(Math.floor(random() * 64));
+      }
+      images.push(image(`${i}-edited.jpg`, hex(bits)));
+    }
+
+    const groups = groupSimilarImages(images);
+
+    const expected = new Set();
+    for (let i = 0; i < images.length; i++) {
+      for (let j = i + 1; j < images.length; j++) {
+        if (hammingDistance(images[i].imageHash, images[j].imageHash) <= 10) {
+          expected.add(`${images[i].path} ${images[j].path}`);
+        }
+      }
+    }
+    const found = new Set();
+    for (const { files } of groups) {
+      const paths = files.map((file) => file.path);
+      for (let i = 0; i < paths.length; i++) {
+        for (let j = 0; j < paths.length; j++) {
+          found.add(`${paths[i]} ${paths[j]}`);
+        }
+      }
+    }
+    expect(expected.size).toBeGreaterThanOrEqual(600);
+    expect([...expected].filter((pair) => !found.has(pair))).toEqual([]);
+  });
+
+  test("should count byte-identical copies once", () => {
+    const groups = groupSimilarImages([
+      image("a.jpg", "0000000000000000", { hash: "x" }),
+      image("a-copy.jpg", "0000000000000000", { hash: "x" }),
+    ]);
+
+    expect(groups).toEqual([]);
+  });
+
+  test("should need a reference and a target image with references", () => {
+    const images = [
+      image("a.jpg", "0000000000000000", { reference: true }),
+      image("b.jpg", "0000000000000001", { reference: true }),
+    ];
+
+    expect(groupSimilarImages(images, { references: true })).toEqual([]);
+    expect(
+      groupSimilarImages(
+        [...images, image("c.jpg", "0000000000000003", { reference: false })],
+        { references: true }
+      )
+    ).toHaveLength(1);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from "@jest/globals";
+import fs from "fs/promises";
+import path from "path";
+
+describe("Web page", () => {
+  let responses;
+
+  beforeAll(async () => {
+    const html = await fs.readFile(
+      path.join(process.cwd(), "public", "index.html"),
+      "utf8"
+    );
+    document.documentElement.innerHTML = html;
+
+    // Answer the page's requests from the responses set by each test; the
+    // session is refused so the page loads nothing on its own
+    global.fetch = jest.fn(async (url) => ({
+      ok: url !== "/api/session",
+      json: async () => responses[url] ?? { error: "Unauthorized" },
+    }));
+    global.EventSource = jest.fn();
+    global.IntersectionObserver = jest.fn(() => ({ observe: jest.fn() }));
+
+    // Run the page script in the global scope, as the browser does
+    const scripts = [...document.querySelectorAll("script:not([type])")];
+    scripts.forEach((script) => (0, eval)(script.textContent));
+  });
+
+  test("should escape the scanned directory and hash in the scan info", async () => {
+    const folder = '/photos/<img src=x onerror="window.injected=true">';
+    responses = {
+      "/api/scan-info": {
+        baseDirectory: folder,
+        startTime: 0,
+        endTime: 1000,
+        filesScanned: 2,
+        groupsFound: 1,
+        hashAlgorithm: "<b>sha256</b>",
+        verified: false,
+        roots: [{ path: folder, reference: false }],
+      },
+    };
+
+    await window.loadScanInfo();
+
+    const scanInfo = document.getElementById("scanInfo");
+    expect(scanInfo.querySelector("img")).toBeNull();
+    expect(scanInfo.querySelector("b")).toBeNull();
+    expect(scanInfo.textContent).toContain(folder);
+    expect(scanInfo.textContent).toContain("<b>sha256</b>");
+    expect(window.injected).toBeUndefined();
+  });
+});
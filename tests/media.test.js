@@ -0,0 +1,278 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  calculateContentHash,
+  describeContentGroup,
+  readContentInfo,
+} from "../media.mjs";
+import { calculateHash } from "../hashing.mjs";
+import { findDuplicates } from "../scanner.mjs";
+import { ScanDatabase } from "../database.mjs";
+
+// sharp is an optional dependency; image cases are skipped without it
+const sharp = await import("sharp").then(
+  (module) => module.default,
+  () => null
+);
+
+const u32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+// ID3v2.3 tag with Latin-1 text frames
+const id3v2 = (frames) => {
+  const body = Buffer.concat(
+    Object.entries(frames).map(([id, text]) =>
+      Buffer.concat([
+        Buffer.from(id),
+        u32(text.length + 1),
+        Buffer.from([0, 0, 0]),
+        Buffer.from(text, "latin1"),
+      ])
+    )
+  );
+  const size = body.length;
+  return Buffer.concat([
+    Buffer.from("ID3"),
+    Buffer.from([3, 0, 0]),
+    Buffer.from([
+      (size >> 21) & 0x7f,
+      (size >> 14) & 0x7f,
+      (size >> 7) & 0x7f,
+      size & 0x7f,
+    ]),
+    body,
+  ]);
+};
+
+const id3v1 = (title) => {
+  const tag = Buffer.alloc(128);
+  tag.write("TAG", 0, "latin1");
+  tag.write(title, 3, "latin1");
+  return tag;
+};
+
+const audio = Buffer.from(
+  Array.from({ length: 5000 }, (_, i) => (i * 31) % 251)
+);
+
+const mp3 = (title, artist) =>
+  Buffer.concat([id3v2({ TIT2: title, TPE1: artist }), audio, id3v1(title)]);
+
+// JPEG with a comment segment after the start of image marker
+const withComment = (jpeg, comment) => {
+  const text = Buffer.from(comment, "latin1");
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(text.length + 2);
+  return Buffer.concat([
+    jpeg.subarray(0, 2),
+    Buffer.from([0xff, 0xfe]),
+    length,
+    text,
+    jpeg.subarray(2),
+  ]);
+};
+
+// PNG with a text chunk after the header chunk
+const withText = (png, keyword, text) => {
+  const data = Buffer.from(`${keyword}\0${text}`, "latin1");
+  return Buffer.concat([
+    png.subarray(0, 33),
+    u32(data.length),
+    Buffer.from("tEXt"),
+    data,
+    Buffer.alloc(4),
+    png.subarray(33),
+  ]);
+};
+
+const flac = (comments) => {
+  const vendor = Buffer.from("test encoder");
+  const entries = comments.map((comment) => Buffer.from(comment));
+  const le = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+  };
+  const vorbis = Buffer.concat([
+    le(vendor.length),
+    vendor,
+    le(entries.length),
+    ...entries.flatMap((entry) => [le(entry.length), entry]),
+  ]);
+  const header = (type, length) => {
+    const buffer = Buffer.alloc(4);
+    buffer[0] = type;
+    buffer.writeUIntBE(length, 1, 3);
+    return buffer;
+  };
+  return Buffer.concat([
+    Buffer.from("fLaC"),
+    header(0, 34),
+    Buffer.alloc(34, 7),
+    header(0x80 | 4, vorbis.length),
+    vorbis,
+    audio,
+  ]);
+};
+
+describe("Content-only hashing", () => {
+  let testDir;
+  const file = (name) => path.join(testDir, "media", name);
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-media-"));
+    await fs.mkdir(path.join(testDir, "media"));
+
+    await Promise.all([
+      fs.writeFile(file("song.mp3"), mp3("Song", "Band")),
+      fs.writeFile(
+        file("song-retagged.mp3"),
+        mp3("Song (Remastered)", "The Band")
+      ),
+      fs.writeFile(file("track.flac"), flac(["TITLE=Track", "ARTIST=Band"])),
+      fs.writeFile(file("track-copy.flac"), flac(["TITLE=Track 1"])),
+    ]);
+
+    if (sharp) {
+      const pixels = Buffer.alloc(32 * 32 * 3, 90);
+      const image = () =>
+        sharp(pixels, { raw: { width: 32, height: 32, channels: 3 } });
+      const jpeg = await image().jpeg().toBuffer();
+      const png = await image().png().toBuffer();
+
+      await Promise.all([
+        fs.writeFile(file("photo.jpg"), withComment(jpeg, "original")),
+        fs.writeFile(file("photo-edited.jpg"), withComment(jpeg, "edited")),
+        fs.writeFile(file("shot.png"), withText(png, "Author", "Alice")),
+        fs.writeFile(file("shot-copy.png"), png),
+      ]);
+    }
+  });
+
+  const withSharp = sharp ? test : test.skip;
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  const hashesAlike = async (a, b) => {
+    expect(await calculateHash(file(a))).not.toBe(await calculateHash(file(b)));
+    expect(await calculateContentHash(file(a))).toBe(
+      await calculateContentHash(file(b))
+    );
+  };
+
+  test.each([
+    ["song.mp3", "song-retagged.mp3"],
+    ["track.flac", "track-copy.flac"],
+  ])("should hash %s and %s alike despite their tags", hashesAlike);
+
+  withSharp.each([
+    ["photo.jpg", "photo-edited.jpg"],
+    ["shot.png", "shot-copy.png"],
+  ])("should hash %s and %s alike despite their tags", hashesAlike);
+
+  test("should tell different payloads apart", async () => {
+    await fs.writeFile(
+      file("other.mp3"),
+      Buffer.concat([id3v2({ TIT2: "Song" }), audio.subarray(1)])
+    );
+
+    expect(await calculateContentHash(file("other.mp3"))).not.toBe(
+      await calculateContentHash(file("song.mp3"))
+    );
+  });
+
+  test("should read the tags it leaves out", async () => {
+    expect((await readContentInfo(file("song.mp3"))).metadata).toEqual({
+      Title: "Song",
+      Artist: "Band",
+      "ID3v1 Title": "Song",
+    });
+    expect((await readContentInfo(file("track.flac"))).metadata).toEqual({
+      Vendor: "test encoder",
+      TITLE: "Track",
+      ARTIST: "Band",
+    });
+  });
+
+  withSharp("should read the image tags it leaves out", async () => {
+    expect((await readContentInfo(file("photo.jpg"))).metadata).toEqual({
+      Comment: "original",
+    });
+    expect((await readContentInfo(file("shot.png"))).metadata).toEqual({
+      Author: "Alice",
+    });
+  });
+
+  withSharp("should read EXIF tags", async () => {
+    await sharp(Buffer.alloc(16 * 16 * 3), {
+      raw: { width: 16, height: 16, channels: 3 },
+    })
+      .jpeg()
+      .withMetadata({ exif: { IFD0: { Artist: "Alice", Software: "Editor" } } })
+      .toFile(file("exif.jpg"));
+
+    const { metadata } = await readContentInfo(file("exif.jpg"));
+    expect(metadata).toMatchObject({ Artist: "Alice", Software: "Editor" });
+  });
+
+  test("should not recognise other files", async () => {
+    await fs.writeFile(file("fake.png"), "not a png");
+
+    expect(await readContentInfo(file("fake.png"))).toBeNull();
+    expect(await calculateContentHash(file("fake.png"))).toBeNull();
+  });
+
+  test("should list the tags that differ within a group", async () => {
+    const { files, differingTags } = await describeContentGroup([
+      { path: file("song.mp3") },
+      { path: file("song-retagged.mp3") },
+    ]);
+
+    expect(differingTags).toEqual(["Artist", "ID3v1 Title", "Title"]);
+    expect(files[1].metadata.Title).toBe("Song (Remastered)");
+  });
+
+  withSharp(
+    "should group files with the same content apart from exact duplicates",
+    async () => {
+      const indexPath = path.join(testDir, "index.db");
+      await fs.copyFile(file("song.mp3"), file("song-copy.mp3"));
+
+      const { result, contentGroups, scanId } = await findDuplicates(
+        path.join(testDir, "media"),
+        { indexPath, contentOnly: true }
+      );
+
+      expect(result).toHaveLength(1);
+      expect(contentGroups).toHaveLength(4);
+      const songs = contentGroups.find((group) =>
+        group.files.some((f) => f.name === "song.mp3")
+      );
+      expect(songs.files.map((f) => f.name).sort()).toEqual([
+        "song-copy.mp3",
+        "song-retagged.mp3",
+        "song.mp3",
+      ]);
+      expect(songs.differingTags).toContain("Title");
+
+      const db = new ScanDatabase(indexPath);
+      expect(db.getContentGroups(scanId)).toHaveLength(4);
+      db.close();
+    }
+  );
+
+  test("should leave media files alone unless asked", async () => {
+    const { contentGroups } = await findDuplicates(
+      path.join(testDir, "media"),
+      { indexPath: path.join(testDir, "index.db") }
+    );
+
+    expect(contentGroups).toBeNull();
+  });
+});
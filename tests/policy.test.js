@@ -0,0 +1,112 @@
+import { chooseKeeper, chooseKeepers, parseRule } from "../policy.mjs";
+
+describe("Keep policy", () => {
+  const group = [
+    { path: "/photos/tmp/IMG_0001 (copy).jpg", modified: "2024-03-01" },
+    { path: "/photos/2023/IMG_0001.jpg", modified: "2023-05-01" },
+    { path: "/backup/photos/2023/IMG_0001.jpg", modified: "2024-06-01" },
+  ];
+
+  describe("parseRule", () => {
+    test("should parse rules with and without patterns", () => {
+      expect(parseRule("newest")).toEqual({ type: "newest" });
+      expect(parseRule("prefer:/photos/**")).toEqual({
+        type: "prefer",
+        pattern: "/photos/**",
+      });
+    });
+
+    test("should reject unknown rules and missing patterns", () => {
+      expect(() => parseRule("biggest")).toThrow('Unknown keep rule "biggest"');
+      expect(() => parseRule("never")).toThrow("needs a pattern");
+    });
+  });
+
+  describe("chooseKeeper", () => {
+    test("should apply rules in order", () => {
+      const decision = chooseKeeper(group, ["prefer:/photos/**", "oldest"]);
+
+      expect(decision.keeper).toBe("/photos/2023/IMG_0001.jpg");
+      expect(decision.remove).toEqual([
+        "/photos/tmp/IMG_0001 (copy).jpg",
+        "/backup/photos/2023/IMG_0001.jpg",
+      ]);
+      expect(decision.reasons).toEqual([
+        "path matches preferred /photos/**",
+        "oldest modification time (2023-05-01T00:00:00.000Z)",
+      ]);
+    });
+
+    test("should stop at the first rule that decides", () => {
+      const decision = chooseKeeper(group, ["newest", "shortest-path"]);
+
+      expect(decision.keeper).toBe("/backup/photos/2023/IMG_0001.jpg");
+      expect(decision.reasons).toHaveLength(1);
+    });
+
+    test("should never keep files matching a never rule", () => {
+      const decision = chooseKeeper(group, [
+        "shortest-name",
+        "never:**/tmp/**",
+      ]);
+
+      expect(decision.keeper).toBe("/photos/2023/IMG_0001.jpg");
+      expect(decision.reasons[0]).toBe("outside never **/tmp/**");
+    });
+
+    test("should keep nothing when every file matches a never rule", () => {
+      const decision = chooseKeeper(group, ["never:*.jpg"]);
+
+      expect(decision.keeper).toBeNull();
+      expect(decision.remove).toEqual([]);
+    });
+
+    test("should break ties with the first file", () => {
+      const decision = chooseKeeper(group, ["prefer:*.png"]);
+
+      expect(decision.keeper).toBe(group[0].path);
+      expect(decision.reason).toBe(
+        "kept IMG_0001 (copy).jpg: first file in the group"
+      );
+    });
+
+    test("should keep reference files and never remove them", () => {
+      const withReferences = group.map((file, index) => ({
+        ...file,
+        reference: index > 0,
+      }));
+      const decision = chooseKeeper(withReferences, ["newest"]);
+
+      expect(decision.keeper).toBe("/backup/photos/2023/IMG_0001.jpg");
+      expect(decision.remove).toEqual(["/photos/tmp/IMG_0001 (copy).jpg"]);
+      expect(decision.reasons[0]).toBe("in a reference directory");
+    });
+
+    test("should keep loose files and never remove files inside an archive", () => {
+      const withArchive = group.map((file, index) => ({
+        ...file,
+        archive: index === 0 ? "/backup.zip" : null,
+      }));
+      const decision = chooseKeeper(withArchive, ["newest"]);
+
+      expect(decision.keeper).toBe("/backup/photos/2023/IMG_0001.jpg");
+      expect(decision.remove).toEqual(["/photos/2023/IMG_0001.jpg"]);
+      expect(decision.reasons[0]).toBe("outside an archive");
+    });
+  });
+
+  test("chooseKeepers should return one decision per group", () => {
+    const groups = [
+      group.map((file) => ({ ...file, hash: "aaa" })),
+      [
+        { path: "/a/b.txt", modified: "2024-01-01", hash: "bbb" },
+        { path: "/a.txt", modified: "2024-01-01", hash: "bbb" },
+      ],
+    ];
+
+    const decisions = chooseKeepers(groups, ["shallowest"]);
+
+    expect(decisions.map((d) => d.hash)).toEqual(["aaa", "bbb"]);
+    expect(decisions[1].keeper).toBe("/a.txt");
+  });
+});
@@ -1,7 +1,9 @@
 import { jest } from "@jest/globals";
 import { findDuplicates } from "../scanner.mjs";
 import { generateTestFiles } from "../generate-test-files.mjs";
+import { ScanDatabase } from "../database.mjs";
 import fs from "fs/promises";
+import os from "os";
 import path from "path";
 import crypto from "crypto";
 
@@ -120,6 +122,563 @@ describe("Scanner", () => {
   });
 });
 
+describe("Resuming scans", () => {
+  const TEST_DIR = path.join(process.cwd(), "test-output");
+  let indexDir;
+
+  beforeAll(async () => {
+    await fs.mkdir(TEST_DIR, { recursive: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await cleanDirectory(TEST_DIR);
+    indexDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-index-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(indexDir, { recursive: true, force: true });
+  });
+
+  test("should continue an interrupted scan in the same scan row", async () => {
+    await fs.writeFile(path.join(TEST_DIR, "a1.txt"), "content a");
+    await fs.writeFile(path.join(TEST_DIR, "a2.txt"), "content a");
+    await fs.writeFile(path.join(TEST_DIR, "b1.txt"), "content b");
+    await fs.writeFile(path.join(TEST_DIR, "b2.txt"), "content b");
+    const indexPath = path.join(indexDir, "index.db");
+
+    const first = await findDuplicates(TEST_DIR, { indexPath });
+
+    // Simulate a crash after two files were walked and one was hashed
+    const db = new ScanDatabase(indexPath);
+    db.db
+      .prepare("UPDATE scan_info SET end_time = NULL WHERE id = ?")
+      .run(first.scanId);
+    db.db
+      .prepare("DELETE FROM files WHERE path LIKE ?")
+      .run(path.join(TEST_DIR, "b%"));
+    db.db
+      .prepare(
+        "UPDATE files SET full_hash = NULL, group_id = NULL WHERE path = ?"
+      )
+      .run(path.join(TEST_DIR, "a2.txt"));
+    const keptRow = db.getFileByPath(
+      first.scanId,
+      path.join(TEST_DIR, "a1.txt")
+    );
+    db.close();
+
+    const resumed = await findDuplicates(TEST_DIR, {
+      indexPath,
+      incomplete: true,
+    });
+
+    expect(resumed.scanId).toBe(first.scanId);
+    expect(resumed.result).toHaveLength(2);
+    resumed.result.forEach((group) => expect(group).toHaveLength(2));
+
+    const check = new ScanDatabase(indexPath);
+    const rows = check.getFiles(first.scanId);
+    expect(rows).toHaveLength(4);
+    expect(rows.find((row) => row.id === keptRow.id).full_hash).toBe(
+      keptRow.full_hash
+    );
+    expect(check.getScanInfo(first.scanId).end_time).not.toBeNull();
+    expect(check.getDuplicateGroups(first.scanId)).toHaveLength(2);
+    check.close();
+  });
+
+  test("should start a new scan when nothing is unfinished", async () => {
+    await fs.writeFile(path.join(TEST_DIR, "a1.txt"), "content a");
+    const indexPath = path.join(indexDir, "index.db");
+
+    const first = await findDuplicates(TEST_DIR, { indexPath });
+    const second = await findDuplicates(TEST_DIR, {
+      indexPath,
+      incomplete: true,
+    });
+
+    expect(second.scanId).not.toBe(first.scanId);
+  });
+
+  test("should require an index path to resume", async () => {
+    await expect(
+      findDuplicates(TEST_DIR, { incomplete: true })
+    ).rejects.toThrow("requires an index path");
+  });
+});
+
+describe("Rescanning", () => {
+  const TEST_DIR = path.join(process.cwd(), "test-output");
+  let indexDir;
+
+  beforeAll(async () => {
+    await fs.mkdir(TEST_DIR, { recursive: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await cleanDirectory(TEST_DIR);
+    indexDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-index-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(indexDir, { recursive: true, force: true });
+  });
+
+  test("should copy hashes of unchanged files forward", async () => {
+    await fs.writeFile(path.join(TEST_DIR, "a1.txt"), "content a");
+    await fs.writeFile(path.join(TEST_DIR, "a2.txt"), "content a");
+    const indexPath = path.join(indexDir, "index.db");
+
+    const first = await findDuplicates(TEST_DIR, { indexPath });
+
+    // Mark the stored hashes so a copy can be told apart from a re-read
+    const db = new ScanDatabase(indexPath);
+    db.db
+      .prepare(
+        "UPDATE files SET quick_hash = 'stored', full_hash = 'stored', group_id = 'stored' WHERE scan_id = ?"
+      )
+      .run(first.scanId);
+    db.close();
+
+    const second = await findDuplicates(TEST_DIR, { indexPath, rescan: true });
+
+    expect(second.result).toHaveLength(1);
+    second.result[0].forEach((file) => {
+      expect(file.quickHash).toBe("stored");
+      expect(file.hash).toBe("stored");
+    });
+    expect(second.deletedFiles).toEqual([]);
+  });
+
+  test("should hash changed files and report deleted ones", async () => {
+    const a1 = path.join(TEST_DIR, "a1.txt");
+    const a2 = path.join(TEST_DIR, "a2.txt");
+    const b1 = path.join(TEST_DIR, "b1.txt");
+    await fs.writeFile(a1, "content a");
+    await fs.writeFile(a2, "content a");
+    await fs.writeFile(b1, "content b");
+    const indexPath = path.join(indexDir, "index.db");
+
+    await findDuplicates(TEST_DIR, { indexPath });
+
+    await fs.unlink(b1);
+    await fs.writeFile(a2, "changed content a");
+
+    const second = await findDuplicates(TEST_DIR, { indexPath, rescan: true });
+
+    expect(second.result).toHaveLength(0);
+    expect(second.deletedFiles).toEqual([b1]);
+  });
+});
+
+describe("Hash algorithms and verification", () => {
+  const TEST_DIR = path.join(process.cwd(), "test-output");
+  let indexDir;
+
+  beforeAll(async () => {
+    await fs.mkdir(TEST_DIR, { recursive: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await cleanDirectory(TEST_DIR);
+    indexDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-index-"));
+    await fs.writeFile(path.join(TEST_DIR, "a1.txt"), "content a");
+    await fs.writeFile(path.join(TEST_DIR, "a2.txt"), "content a");
+    await fs.writeFile(path.join(TEST_DIR, "b1.txt"), "content b");
+  });
+
+  afterEach(async () => {
+    await fs.rm(indexDir, { recursive: true, force: true });
+  });
+
+  // Give every file of a scan the same stored hashes, as a collision would
+  const simulateCollision = (indexPath, scanId) => {
+    const db = new ScanDatabase(indexPath);
+    db.db
+      .prepare(
+        "UPDATE files SET quick_hash = 'q', full_hash = 'collision', group_id = 'collision' WHERE scan_id = ?"
+      )
+      .run(scanId);
+    db.close();
+  };
+
+  test("should hash with the chosen algorithm and record it", async () => {
+    const indexPath = path.join(indexDir, "index.db");
+
+    const { result, scanId } = await findDuplicates(TEST_DIR, {
+      indexPath,
+      hashAlgorithm: "md5",
+    });
+
+    expect(result[0][0].hash).toBe(
+      crypto.createHash("md5").update("content a").digest("hex")
+    );
+    const db = new ScanDatabase(indexPath);
+    expect(db.getScanInfo(scanId).hash_algorithm).toBe("md5");
+    db.close();
+  });
+
+  test("should reject unknown algorithms", async () => {
+    await expect(
+      findDuplicates(TEST_DIR, { hashAlgorithm: "crc32" })
+    ).rejects.toThrow('Unknown hash algorithm "crc32"');
+  });
+
+  test("should not reuse hashes made with another algorithm", async () => {
+    const indexPath = path.join(indexDir, "index.db");
+    const first = await findDuplicates(TEST_DIR, { indexPath });
+    simulateCollision(indexPath, first.scanId);
+
+    const second = await findDuplicates(TEST_DIR, {
+      indexPath,
+      rescan: true,
+      hashAlgorithm: "blake2b512",
+    });
+
+    expect(second.result).toHaveLength(1);
+    expect(second.result[0][0].hash).toBe(
+      crypto.createHash("blake2b512").update("content a").digest("hex")
+    );
+  });
+
+  test("should not resume a scan with another algorithm", async () => {
+    const indexPath = path.join(indexDir, "index.db");
+    const first = await findDuplicates(TEST_DIR, { indexPath });
+    const db = new ScanDatabase(indexPath);
+    db.db
+      .prepare("UPDATE scan_info SET end_time = NULL WHERE id = ?")
+      .run(first.scanId);
+    db.close();
+
+    await expect(
+      findDuplicates(TEST_DIR, {
+        indexPath,
+        incomplete: true,
+        hashAlgorithm: "sha1",
+      })
+    ).rejects.toThrow("uses sha256 hashes");
+  });
+
+  test("should split groups whose files differ byte by byte", async () => {
+    const indexPath = path.join(indexDir, "index.db");
+    const first = await findDuplicates(TEST_DIR, { indexPath });
+    simulateCollision(indexPath, first.scanId);
+
+    const unverified = await findDuplicates(TEST_DIR, {
+      indexPath,
+      rescan: true,
+    });
+    const verified = await findDuplicates(TEST_DIR, {
+      indexPath,
+      rescan: true,
+      verify: true,
+    });
+
+    expect(unverified.result[0]).toHaveLength(3);
+    expect(verified.result).toHaveLength(1);
+    expect(verified.result[0].map((file) => file.name)).toEqual([
+      "a1.txt",
+      "a2.txt",
+    ]);
+
+    const db = new ScanDatabase(indexPath);
+    const groups = db.getDuplicateGroups(verified.scanId);
+    expect(groups).toHaveLength(1);
+    expect(JSON.parse(groups[0].files)).toHaveLength(2);
+    expect(
+      db.getFileByPath(verified.scanId, path.join(TEST_DIR, "b1.txt")).group_id
+    ).toBeNull();
+    expect(db.getScanInfo(verified.scanId).verified).toBe(1);
+    db.close();
+  });
+});
+
+describe("Sampling large files", () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-sampling-"));
+    await fs.mkdir(path.join(testDir, "files"));
+
+    const size = 2 * 1024 * 1024;
+    const original = Buffer.alloc(size, 1);
+    const changedAt = (position) => {
+      const copy = Buffer.from(original);
+      copy[Math.floor(size * position)] = 2;
+      return copy;
+    };
+    const write = (name, content) =>
+      fs.writeFile(path.join(testDir, "files", name), content);
+
+    await write("a.bin", original);
+    await write("b.bin", original);
+    await write("tail.bin", changedAt(0.999));
+    await write("middle.bin", changedAt(0.5));
+    await write("unsampled.bin", changedAt(0.1));
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test("should only fully hash files that match after sampling", async () => {
+    const indexPath = path.join(testDir, "index.db");
+    const progress = [];
+
+    const { result, scanId } = await findDuplicates(
+      path.join(testDir, "files"),
+      { indexPath, onProgress: (update) => progress.push(update) }
+    );
+
+    expect(result).toHaveLength(1);
+    expect(result[0].map((file) => file.name).sort()).toEqual([
+      "a.bin",
+      "b.bin",
+    ]);
+
+    const hashing = progress.filter((p) => p.phase === "hashing");
+    expect(hashing[hashing.length - 1]).toMatchObject({
+      filesToHash: 3,
+      candidates: { size: 5, quickHash: 5, tail: 4, sample: 3 },
+    });
+    expect(
+      progress.filter((p) => p.phase === "sampling").map((p) => p.stage)
+    ).toEqual([...Array(5).fill("tail"), ...Array(4).fill("sample")]);
+
+    const db = new ScanDatabase(indexPath);
+    const row = (name) =>
+      db.getFileByPath(scanId, path.join(testDir, "files", name));
+    expect(row("tail.bin").tail_hash).not.toBe(row("a.bin").tail_hash);
+    expect(row("tail.bin").full_hash).toBeNull();
+    expect(row("middle.bin").sample_hash).not.toBe(row("a.bin").sample_hash);
+    expect(row("middle.bin").full_hash).toBeNull();
+    expect(row("unsampled.bin").full_hash).not.toBeNull();
+    db.close();
+  });
+
+  test("should reuse sampled hashes when rescanning", async () => {
+    const indexPath = path.join(testDir, "index.db");
+    await findDuplicates(path.join(testDir, "files"), { indexPath });
+    const progress = [];
+
+    const second = await findDuplicates(path.join(testDir, "files"), {
+      indexPath,
+      rescan: true,
+      onProgress: (update) => progress.push(update),
+    });
+
+    expect(second.result).toHaveLength(1);
+    expect(progress.some((p) => p.phase === "sampling")).toBe(false);
+  });
+});
+
+describe("Parallel scanning", () => {
+  const TEST_DIR = path.join(process.cwd(), "test-output");
+  let indexDir;
+
+  beforeAll(async () => {
+    await fs.mkdir(TEST_DIR, { recursive: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm(TEST_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await cleanDirectory(TEST_DIR);
+    indexDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-index-"));
+
+    for (const dir of ["one", "one/two", "three"]) {
+      await fs.mkdir(path.join(TEST_DIR, dir), { recursive: true });
+      for (let i = 0; i < 4; i++) {
+        await fs.writeFile(path.join(TEST_DIR, dir, `${i}.txt`), `file ${i}`);
+      }
+    }
+    await fs.writeFile(path.join(TEST_DIR, "unique.txt"), "unique");
+  });
+
+  afterEach(async () => {
+    await fs.rm(indexDir, { recursive: true, force: true });
+  });
+
+  test("should find the same groups as a sequential scan", async () => {
+    const sequential = await findDuplicates(TEST_DIR, {
+      recursive: true,
+      indexPath: path.join(indexDir, "sequential.db"),
+      jobs: 1,
+      ioJobs: 1,
+    });
+    const parallel = await findDuplicates(TEST_DIR, {
+      recursive: true,
+      indexPath: path.join(indexDir, "parallel.db"),
+      jobs: 3,
+      ioJobs: 8,
+    });
+
+    const paths = (result) =>
+      result.map((group) => group.map((file) => file.path));
+    expect(parallel.result).toHaveLength(4);
+    expect(paths(parallel.result)).toEqual(paths(sequential.result));
+    expect(parallel.result.map((group) => group[0].hash)).toEqual(
+      sequential.result.map((group) => group[0].hash)
+    );
+  });
+
+  test("should report progress across directories", async () => {
+    const progress = [];
+
+    await findDuplicates(TEST_DIR, {
+      recursive: true,
+      indexPath: path.join(indexDir, "index.db"),
+      jobs: 2,
+      onProgress: (update) => progress.push(update),
+    });
+
+    const scanning = progress.filter((p) => p.phase === "scanning");
+    expect(scanning.map((p) => p.filesScanned)).toEqual(
+      Array.from({ length: 13 }, (_, i) => i + 1)
+    );
+
+    const hashing = progress.filter((p) => p.phase === "hashing");
+    expect(hashing[hashing.length - 1]).toEqual({
+      filesScanned: 13,
+      groupsFound: 4,
+      filesHashed: 12,
+      filesToHash: 12,
+      candidates: { size: 13, quickHash: 12, tail: 12, sample: 12 },
+      phase: "hashing",
+    });
+  });
+
+  test("should report confirmed groups and the file being read", async () => {
+    const progress = [];
+    const confirmed = new Map();
+
+    await findDuplicates(TEST_DIR, {
+      recursive: true,
+      indexPath: path.join(indexDir, "index.db"),
+      jobs: 1,
+      onProgress: (update) => progress.push(update),
+      onGroup: (files) => confirmed.set(files[0].hash, files.length),
+    });
+
+    expect(Array.from(confirmed.values())).toEqual([3, 3, 3, 3]);
+    expect(
+      progress
+        .filter((p) => p.phase === "scanning")
+        .every((p) => p.currentPath.startsWith(TEST_DIR))
+    ).toBe(true);
+  });
+
+  test("should stop a cancelled scan and leave it unfinished", async () => {
+    const controller = new AbortController();
+    const indexPath = path.join(indexDir, "index.db");
+
+    await expect(
+      findDuplicates(TEST_DIR, {
+        recursive: true,
+        indexPath,
+        signal: controller.signal,
+        onProgress: ({ filesScanned }) => {
+          if (filesScanned === 3) controller.abort();
+        },
+      })
+    ).rejects.toThrow("Scan cancelled");
+
+    const db = new ScanDatabase(indexPath);
+    expect(db.getLatestScan().end_time).toBeNull();
+    db.close();
+  });
+
+  test("should close the index when a scan finishes or is cancelled", async () => {
+    const close = jest.spyOn(ScanDatabase.prototype, "close");
+    const controller = new AbortController();
+
+    try {
+      await findDuplicates(TEST_DIR, {
+        indexPath: path.join(indexDir, "index.db"),
+      });
+      expect(close).toHaveBeenCalledTimes(1);
+
+      await expect(
+        findDuplicates(TEST_DIR, {
+          recursive: true,
+          indexPath: path.join(indexDir, "index.db"),
+          signal: controller.signal,
+          onProgress: () => controller.abort(),
+        })
+      ).rejects.toThrow("Scan cancelled");
+      expect(close).toHaveBeenCalledTimes(2);
+    } finally {
+      close.mockRestore();
+    }
+  });
+
+  test("should reject invalid job counts", async () => {
+    await expect(
+      findDuplicates(TEST_DIR, { jobs: 0, indexPath: path.join(indexDir, "i") })
+    ).rejects.toThrow("jobs must be a positive integer");
+  });
+});
+
+describe("Large scans", () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-large-"));
+    // More files than are written, and candidates than are read, at a time
+    for (let d = 0; d < 60; d++) {
+      const dir = path.join(testDir, "files", `dir${d}`);
+      await fs.mkdir(dir, { recursive: true });
+      for (let f = 0; f < 25; f++) {
+        const i = d * 25 + f;
+        await fs.writeFile(path.join(dir, `${f}.txt`), `file ${i % 600}`);
+      }
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test("should group files across batches and pages", async () => {
+    const indexPath = path.join(testDir, "index.db");
+    const onGroup = jest.fn();
+    const { result, scanId } = await findDuplicates(
+      path.join(testDir, "files"),
+      { recursive: true, indexPath, onGroup }
+    );
+
+    expect(result).toHaveLength(600);
+    expect(result.filter((group) => group.length === 3)).toHaveLength(300);
+    expect(result.flat()).toHaveLength(1500);
+    result.forEach((group) =>
+      expect(new Set(group.map((file) => file.hash)).size).toBe(1)
+    );
+    // Once for each copy after the first
+    expect(onGroup).toHaveBeenCalledTimes(900);
+
+    const db = new ScanDatabase(indexPath);
+    const scan = db.getLatestScan();
+    expect(scan.id).toBe(scanId);
+    expect(scan.files_scanned).toBe(1500);
+    expect(scan.groups_found).toBe(600);
+    db.close();
+  });
+});
+
 describe("Test File Generator", () => {
   const TEST_DIR = path.join(process.cwd(), "test-output");
 
@@ -174,3 +733,277 @@ describe("Test File Generator", () => {
     await expect(generateTestFiles(TEST_DIR, 1, -1)).rejects.toThrow();
   });
 });
+
+describe("Reference directories", () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-reference-"));
+    const files = {
+      "archive/photo.jpg": "photo",
+      "archive/notes.txt": "notes",
+      "archive/old/report.pdf": "report",
+      "inbox/photo-copy.jpg": "photo",
+      "inbox/report.pdf": "report",
+      "inbox/draft-1.txt": "draft",
+      "inbox/draft-2.txt": "draft",
+    };
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(testDir, name)), {
+        recursive: true,
+      });
+      await fs.writeFile(path.join(testDir, name), content);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  const names = (result) =>
+    result.map((group) =>
+      group.map((file) => path.relative(testDir, file.path)).sort()
+    );
+
+  test("should only report target files with a copy in a reference", async () => {
+    const { result, roots } = await findDuplicates(
+      path.join(testDir, "inbox"),
+      {
+        references: [path.join(testDir, "archive")],
+        recursive: true,
+        indexPath: path.join(testDir, "index.db"),
+      }
+    );
+
+    expect(names(result).sort()).toEqual([
+      ["archive/old/report.pdf", "inbox/report.pdf"],
+      ["archive/photo.jpg", "inbox/photo-copy.jpg"],
+    ]);
+    expect(roots).toEqual([
+      { path: path.join(testDir, "inbox"), reference: false },
+      { path: path.join(testDir, "archive"), reference: true },
+    ]);
+
+    for (const file of result.flat()) {
+      const inArchive = file.path.startsWith(path.join(testDir, "archive"));
+      expect(file.reference).toBe(inArchive);
+      expect(file.root).toBe(
+        path.join(testDir, inArchive ? "archive" : "inbox")
+      );
+    }
+  });
+
+  test("should scan several targets without references as one set", async () => {
+    const { result } = await findDuplicates(
+      [path.join(testDir, "inbox"), path.join(testDir, "archive")],
+      { recursive: true, indexPath: path.join(testDir, "index.db") }
+    );
+
+    expect(names(result).sort()).toEqual([
+      ["archive/old/report.pdf", "inbox/report.pdf"],
+      ["archive/photo.jpg", "inbox/photo-copy.jpg"],
+      ["inbox/draft-1.txt", "inbox/draft-2.txt"],
+    ]);
+    expect(result.flat().every((file) => file.reference === false)).toBe(true);
+  });
+
+  test("should scan a reference nested in a target only as a reference", async () => {
+    const { result } = await findDuplicates(testDir, {
+      references: [path.join(testDir, "archive")],
+      recursive: true,
+      indexPath: path.join(testDir, "index.db"),
+    });
+
+    const archived = result
+      .flat()
+      .filter((file) => file.path.startsWith(path.join(testDir, "archive")));
+    expect(archived).toHaveLength(2);
+    expect(archived.every((file) => file.reference)).toBe(true);
+    expect(names(result)).not.toContainEqual([
+      "inbox/draft-1.txt",
+      "inbox/draft-2.txt",
+    ]);
+  });
+
+  test("should reject a scan with only references", async () => {
+    await expect(
+      findDuplicates([], {
+        references: [path.join(testDir, "archive")],
+        indexPath: path.join(testDir, "index.db"),
+      })
+    ).rejects.toThrow("At least one directory to scan is required");
+  });
+});
+
+describe("Hard links and symbolic links", () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-links-"));
+    await fs.mkdir(path.join(testDir, "files", "sub"), { recursive: true });
+    await fs.writeFile(path.join(testDir, "files", "a.txt"), "content a");
+    await fs.link(
+      path.join(testDir, "files", "a.txt"),
+      path.join(testDir, "files", "a-link.txt")
+    );
+    await fs.writeFile(path.join(testDir, "files", "b.txt"), "content b");
+    await fs.link(
+      path.join(testDir, "files", "b.txt"),
+      path.join(testDir, "files", "sub", "b-link.txt")
+    );
+    await fs.writeFile(
+      path.join(testDir, "files", "sub", "b.txt"),
+      "content b"
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test("should collapse hard links to one inode into one entry", async () => {
+    const indexPath = path.join(testDir, "index.db");
+    const { result, scanId } = await findDuplicates(
+      path.join(testDir, "files"),
+      { recursive: true, indexPath }
+    );
+
+    // a.txt only has another name, so there is nothing to reclaim
+    expect(result).toHaveLength(1);
+    expect(result[0]).toHaveLength(2);
+    const linked = result[0].find((file) => file.links.length > 0);
+    expect([linked.path, ...linked.links].sort()).toEqual([
+      path.join(testDir, "files", "b.txt"),
+      path.join(testDir, "files", "sub", "b-link.txt"),
+    ]);
+
+    const db = new ScanDatabase(indexPath);
+    const stats = await fs.stat(path.join(testDir, "files", "a.txt"));
+    const row = db.getFileByPath(scanId, path.join(testDir, "files", "a.txt"));
+    expect(row.device).toBe(stats.dev);
+    expect(row.inode).toBe(stats.ino);
+
+    const groups = db.getDuplicateGroups(scanId);
+    expect(groups).toHaveLength(1);
+    const files = JSON.parse(groups[0].files);
+    expect(files).toHaveLength(2);
+    expect(files.find((file) => file.path === linked.path).links).toEqual(
+      linked.links
+    );
+    db.close();
+  });
+
+  test("should record symbolic links unless asked to follow them", async () => {
+    await fs.symlink(
+      path.join(testDir, "files", "sub", "b.txt"),
+      path.join(testDir, "files", "b-symlink.txt")
+    );
+    await fs.symlink("..", path.join(testDir, "files", "sub", "loop"));
+    const indexPath = path.join(testDir, "index.db");
+
+    const recorded = await findDuplicates(path.join(testDir, "files"), {
+      recursive: true,
+      indexPath,
+    });
+    expect(recorded.result.flat().flatMap((file) => file.links)).toEqual([
+      path.join(testDir, "files", "sub", "b-link.txt"),
+    ]);
+
+    const followed = await findDuplicates(path.join(testDir, "files"), {
+      recursive: true,
+      followSymlinks: true,
+      indexPath,
+    });
+    expect(followed.result).toHaveLength(1);
+    const paths = followed.result[0].map((file) =>
+      [file.path, ...file.links].sort()
+    );
+    expect(paths).toContainEqual([
+      path.join(testDir, "files", "b-symlink.txt"),
+      path.join(testDir, "files", "sub", "b.txt"),
+    ]);
+  });
+});
+
+describe("Scan filters", () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-filters-"));
+    const files = {
+      "a.jpg": "image",
+      "b.jpg": "image",
+      "a.txt": "text",
+      "b.txt": "text",
+      "big-1.bin": "x".repeat(4096),
+      "big-2.bin": "x".repeat(4096),
+      ".hidden/a.jpg": "image",
+      "node_modules/pkg/a.txt": "text",
+      "logs/a.log": "log",
+      "logs/b.log": "log",
+      "logs/keep.log": "log",
+      "logs/.gitignore": "*.log\n!keep.log\n",
+      "tmp/a.txt": "text",
+      ".sddignore": "/tmp/\n",
+    };
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(testDir, name)), {
+        recursive: true,
+      });
+      await fs.writeFile(path.join(testDir, name), content);
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  const scan = async (options) => {
+    const { result } = await findDuplicates(testDir, {
+      recursive: true,
+      indexPath: path.join(testDir, "index.db"),
+      ...options,
+    });
+    return result
+      .flat()
+      .map((file) => path.relative(testDir, file.path))
+      .sort();
+  };
+
+  test("should honour ignore files and excludes relative to the root", async () => {
+    const paths = await scan({ exclude: ["node_modules"] });
+
+    expect(paths).toEqual([
+      ".hidden/a.jpg",
+      "a.jpg",
+      "a.txt",
+      "b.jpg",
+      "b.txt",
+      "big-1.bin",
+      "big-2.bin",
+    ]);
+  });
+
+  test("should skip hidden entries and apply size bounds", async () => {
+    const paths = await scan({
+      exclude: ["node_modules"],
+      skipHidden: true,
+      minSize: 5,
+      maxSize: "1KB",
+    });
+
+    expect(paths).toEqual(["a.jpg", "b.jpg"]);
+  });
+
+  test("should only scan included files", async () => {
+    const paths = await scan({ include: ["*.txt"], gitignore: false });
+
+    expect(paths).toEqual(["a.txt", "b.txt", "node_modules/pkg/a.txt"]);
+  });
+
+  test("should reject inverted size bounds", async () => {
+    await expect(
+      findDuplicates(testDir, { minSize: "2KB", maxSize: "1KB" })
+    ).rejects.toThrow("The minimum size is larger than the maximum size");
+  });
+});
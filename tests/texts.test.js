@@ -0,0 +1,195 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  calculateTextSignature,
+  diffLines,
+  groupSimilarTexts,
+  signatureSimilarity,
+  textSignature,
+} from "../texts.mjs";
+import { findDuplicates } from "../scanner.mjs";
+import { ScanDatabase } from "../database.mjs";
+
+// A report of numbered paragraphs that all read differently
+const report = (paragraphs, title = "Quarterly report") =>
+  [
+    title,
+    ...Array.from(
+      { length: paragraphs },
+      (_, i) =>
+        `Paragraph ${i} covers region ${i * 7} where sales moved by ${
+          i * 13
+        } units against plan ${i * 3}.`
+    ),
+  ].join("\n");
+
+describe("Text signatures", () => {
+  test("should rate near-identical texts as similar and others as not", () => {
+    const draft = textSignature(report(40));
+    const edited = textSignature(report(40) + "\nSigned off by the board.");
+    const retitled = textSignature(report(40, "Quarterly report (final)"));
+    const other = textSignature(
+      "An entirely unrelated shopping list: apples pears milk bread eggs"
+    );
+
+    expect(draft).toMatch(/^[0-9a-f]{1024}$/);
+    expect(signatureSimilarity(draft, draft)).toBe(1);
+    expect(signatureSimilarity(draft, edited)).toBeGreaterThan(0.8);
+    expect(signatureSimilarity(draft, retitled)).toBeGreaterThan(0.8);
+    expect(signatureSimilarity(draft, other)).toBeLessThan(0.2);
+  });
+
+  test("should ignore case and whitespace", () => {
+    expect(textSignature("One  two\nThree four")).toBe(
+      textSignature("one two three four\n")
+    );
+  });
+
+  test("should not sign texts without words", () => {
+    expect(textSignature(" \n\t")).toBeNull();
+  });
+});
+
+describe("Similar text groups", () => {
+  const text = (name, content, extra = {}) => ({
+    path: `/docs/${name}`,
+    size: content.length,
+    hash: null,
+    textSignature: textSignature(content),
+    ...extra,
+  });
+
+  test("should group drafts above the threshold, largest first", () => {
+    const groups = groupSimilarTexts([
+      text("draft.md", report(40)),
+      text("final.md", report(40) + "\nSigned off by the board."),
+      text("notes.md", report(5, "Meeting notes")),
+    ]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].files.map((file) => file.path)).toEqual([
+      "/docs/final.md",
+      "/docs/draft.md",
+    ]);
+    expect(groups[0].files[0].similarity).toBe(1);
+    expect(groups[0].similarity).toBeGreaterThan(0.8);
+  });
+
+  test("should honour a stricter threshold", () => {
+    const groups = groupSimilarTexts(
+      [
+        text("draft.md", report(10)),
+        text("final.md", report(10) + "\nSigned off by the board."),
+      ],
+      { threshold: 1 }
+    );
+
+    expect(groups).toEqual([]);
+  });
+
+  test("should count byte-identical copies once", () => {
+    const groups = groupSimilarTexts([
+      text("a.md", report(10), { hash: "x" }),
+      text("b.md", report(10), { hash: "x" }),
+    ]);
+
+    expect(groups).toEqual([]);
+  });
+
+  test("should stay fast when thousands of texts share a band", () => {
+    // Every signature starts with the same band; the rest is unique
+    const common = "0".repeat(32);
+    const unique = (i) =>
+      Array.from({ length: 124 }, (_, v) =>
+        (((i * 131 + v) * 2654435761) >>> 0).toString(16).padStart(8, "0")
+      ).join("");
+    const texts = Array.from({ length: 3000 }, (_, i) => ({
+      path: `/docs/${i}.txt`,
+      size: 100,
+      hash: null,
+      textSignature: common + unique(i),
+    }));
+    texts.push(
+      ...Array.from({ length: 200 }, (_, i) => ({
+        path: `/docs/copy-${i}.txt`,
+        size: 100,
+        hash: null,
+        textSignature: common + unique(-1),
+      }))
+    );
+
+    const started = Date.now();
+    const groups = groupSimilarTexts(texts);
+
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].files).toHaveLength(200);
+  });
+});
+
+describe("Line diffs", () => {
+  test("should align changed lines between unchanged ones", () => {
+    expect(diffLines("a\nb\nc\nd", "a\nc\nx\nd")).toEqual([
+      { type: "same", text: "a" },
+      { type: "removed", text: "b" },
+      { type: "same", text: "c" },
+      { type: "added", text: "x" },
+      { type: "same", text: "d" },
+    ]);
+  });
+
+  test("should report identical texts as unchanged", () => {
+    expect(diffLines("a\r\nb", "a\nb")).toEqual([
+      { type: "same", text: "a" },
+      { type: "same", text: "b" },
+    ]);
+  });
+});
+
+describe("Text similarity scans", () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-texts-"));
+    await fs.mkdir(path.join(testDir, "docs"));
+    await fs.writeFile(path.join(testDir, "docs/draft.txt"), report(40));
+    await fs.writeFile(
+      path.join(testDir, "docs/final.txt"),
+      report(40) + "\nSigned off by the board."
+    );
+    await fs.writeFile(path.join(testDir, "docs/other.txt"), report(8, "Memo"));
+    await fs.writeFile(
+      path.join(testDir, "docs/data.log"),
+      Buffer.from([0, 1, 2, 3])
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test("should skip binary files", async () => {
+    expect(
+      await calculateTextSignature(path.join(testDir, "docs/data.log"))
+    ).toBeNull();
+  });
+
+  test("should group similar text files and store their signatures", async () => {
+    const indexPath = path.join(testDir, "index.db");
+    const { similarTexts, scanId } = await findDuplicates(
+      path.join(testDir, "docs"),
+      { indexPath, texts: true }
+    );
+
+    expect(similarTexts).toHaveLength(1);
+    expect(similarTexts[0].files.map((file) => file.name)).toEqual([
+      "final.txt",
+      "draft.txt",
+    ]);
+
+    const db = new ScanDatabase(indexPath);
+    expect(db.getTextFiles(scanId)).toHaveLength(3);
+    db.close();
+  });
+});
@@ -0,0 +1,267 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { startWebInterface } from "../web-interface.mjs";
+import { findDuplicates } from "../scanner.mjs";
+
+// sharp is an optional dependency; image cases are skipped without it
+const sharp = await import("sharp").then(
+  (module) => module.default,
+  () => null
+);
+
+const TOKEN = "test-token";
+
+describe("Web interface", () => {
+  let testDir;
+  let indexPath;
+  let scanId;
+  let server;
+  let url;
+
+  const filePath = (name) => path.join(testDir, "files", name);
+  const outsidePath = () => path.join(testDir, "outside.txt");
+
+  const start = async (options = {}) => {
+    server = await startWebInterface([], 0, indexPath, scanId, {
+      token: TOKEN,
+      openBrowser: false,
+      ...options,
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  // Requests from the page itself, with the token and the server's origin
+  const post = (route, body) =>
+    request(url)
+      .post(route)
+      .set("Authorization", `Bearer ${TOKEN}`)
+      .set("Origin", url)
+      .send(body);
+
+  beforeAll(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdd-web-"));
+    indexPath = path.join(testDir, "index.db");
+    await fs.mkdir(path.join(testDir, "files"));
+    await fs.writeFile(filePath("a1.txt"), "content a");
+    await fs.writeFile(filePath("a2.txt"), "content a");
+    await fs.writeFile(outsidePath(), "content a");
+    ({ scanId } = await findDuplicates(path.join(testDir, "files"), {
+      indexPath,
+    }));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  describe("session token", () => {
+    beforeEach(() => start());
+
+    test("should refuse API requests without the token", async () => {
+      const response = await request(url).get("/api/duplicates");
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe("Unauthorized");
+    });
+
+    test("should refuse a wrong token", async () => {
+      await request(url)
+        .get("/api/duplicates")
+        .set("Authorization", "Bearer wrong-token")
+        .expect(401);
+      await request(url)
+        .get("/api/duplicates")
+        .set("Cookie", "sdd_token=wrong-token")
+        .expect(401);
+    });
+
+    test("should accept the token as a bearer token or cookie", async () => {
+      const response = await request(url)
+        .get("/api/duplicates")
+        .set("Authorization", `Bearer ${TOKEN}`)
+        .expect(200);
+      expect(response.body.total).toBe(1);
+
+      await request(url)
+        .get("/api/duplicates")
+        .set("Cookie", `sdd_token=${TOKEN}`)
+        .expect(200);
+    });
+
+    test("should set the cookie from the address printed at startup", async () => {
+      const response = await request(url).get(`/?token=${TOKEN}`).expect(302);
+
+      expect(response.headers.location).toBe("/");
+      expect(response.headers["set-cookie"][0]).toMatch(
+        /^sdd_token=test-token;.*HttpOnly; SameSite=Strict/
+      );
+    });
+  });
+
+  describe("origin check", () => {
+    beforeEach(() => start());
+
+    test("should refuse changes requested from another site", async () => {
+      const response = await request(url)
+        .post("/api/rename")
+        .set("Authorization", `Bearer ${TOKEN}`)
+        .set("Origin", "http://evil.example")
+        .send({ oldPath: filePath("a2.txt"), newName: "a3.txt" });
+
+      expect(response.status).toBe(403);
+      expect(response.body.details).toBe(
+        "Requests from http://evil.example are not allowed"
+      );
+      await expect(fs.access(filePath("a2.txt"))).resolves.toBeUndefined();
+    });
+
+    test("should accept changes requested from its own page", async () => {
+      await post("/api/rename", {
+        oldPath: filePath("a2.txt"),
+        newName: "a3.txt",
+      }).expect(200);
+
+      await expect(fs.access(filePath("a3.txt"))).resolves.toBeUndefined();
+    });
+  });
+
+  describe("path sandbox", () => {
+    beforeEach(() => start());
+
+    test("should refuse to preview or download files outside the scan", async () => {
+      for (const target of [outsidePath(), "/etc/passwd"]) {
+        await request(url)
+          .get(`/api/download/${encodeURIComponent(target)}`)
+          .set("Authorization", `Bearer ${TOKEN}`)
+          .expect(403);
+      }
+
+      await request(url)
+        .get(`/api/download/${encodeURIComponent(filePath("a1.txt"))}`)
+        .set("Authorization", `Bearer ${TOKEN}`)
+        .expect(200, "content a");
+    });
+
+    test("should refuse file actions on paths outside the scan", async () => {
+      const outside = outsidePath();
+      const requests = [
+        ["/api/delete", { filePath: outside }],
+        ["/api/delete", { filePath: outside, permanent: true }],
+        ["/api/rename", { oldPath: outside, newName: "renamed.txt" }],
+        ["/api/link", { filePath: outside, keeperPath: filePath("a1.txt") }],
+        ["/api/link", { filePath: filePath("a2.txt"), keeperPath: outside }],
+        ["/api/quarantine-directory", { dirPath: testDir }],
+      ];
+
+      for (const [route, body] of requests) {
+        const response = await post(route, body);
+        expect([route, response.status]).toEqual([route, 403]);
+      }
+      expect(await fs.readFile(outside, "utf8")).toBe("content a");
+      expect(await fs.readFile(filePath("a2.txt"), "utf8")).toBe("content a");
+    });
+  });
+
+  (sharp ? describe : describe.skip)("similar images", () => {
+    beforeEach(async () => {
+      // A picture, an exact copy of it and a smaller re-encoded version
+      const pixels = Buffer.alloc(64 * 64);
+      pixels.forEach((_, i) => {
+        pixels[i] = Math.round(127 + 120 * Math.sin((i % 64) / 7));
+      });
+      const picture = () =>
+        sharp(pixels, { raw: { width: 64, height: 64, channels: 1 } });
+      await picture().png().toFile(filePath("photo.png"));
+      await fs.copyFile(filePath("photo.png"), filePath("photo-copy.png"));
+      await picture().resize(48, 48).jpeg().toFile(filePath("photo.jpg"));
+      ({ scanId } = await findDuplicates(path.join(testDir, "files"), {
+        indexPath,
+        images: true,
+      }));
+      await start({ images: true });
+    });
+
+    const similarPaths = async () => {
+      const response = await request(url)
+        .get("/api/similar-images")
+        .set("Authorization", `Bearer ${TOKEN}`)
+        .expect(200);
+      return response.body.flatMap((group) =>
+        group.files.map((file) => path.basename(file.path))
+      );
+    };
+
+    test("should group images again once files change", async () => {
+      const before = await similarPaths();
+      expect(before).toContain("photo.jpg");
+      expect(await similarPaths()).toEqual(before);
+
+      const [removed] = before.filter((name) => name.endsWith(".png"));
+      await post("/api/delete", { filePath: filePath(removed) }).expect(200);
+
+      const after = await similarPaths();
+      expect(after).toContain("photo.jpg");
+      expect(after).not.toContain(removed);
+      expect(after).toHaveLength(2);
+    });
+  });
+
+  describe("read-only mode", () => {
+    beforeEach(() => start({ readOnly: true }));
+
+    test("should report read-only mode to the page", async () => {
+      const response = await request(url)
+        .get("/api/session")
+        .set("Authorization", `Bearer ${TOKEN}`)
+        .expect(200);
+
+      expect(response.body).toEqual({ readOnly: true });
+    });
+
+    test("should refuse every route that changes files or the index", async () => {
+      const requests = [
+        ["/api/scans", { root: path.join(testDir, "files") }],
+        ["/api/scans/cancel", {}],
+        ["/api/delete", { filePath: filePath("a2.txt") }],
+        ["/api/delete", { filePath: filePath("a2.txt"), permanent: true }],
+        ["/api/quarantine-directory", { dirPath: path.join(testDir, "files") }],
+        ["/api/restore", { id: 1 }],
+        [
+          "/api/link",
+          { filePath: filePath("a2.txt"), keeperPath: filePath("a1.txt") },
+        ],
+        ["/api/rename", { oldPath: filePath("a2.txt"), newName: "a3.txt" }],
+        ["/api/undo", { id: 1 }],
+        ["/api/shutdown", { deleteIndex: true }],
+      ];
+
+      for (const [route, body] of requests) {
+        const response = await post(route, body);
+        expect([route, response.status]).toEqual([route, 403]);
+        expect(response.body.error).toBe("Read-only mode");
+      }
+      expect(await fs.readFile(filePath("a2.txt"), "utf8")).toBe("content a");
+      await expect(fs.access(indexPath)).resolves.toBeUndefined();
+    });
+
+    test("should still serve reads", async () => {
+      await request(url)
+        .get("/api/duplicates/stats")
+        .set("Authorization", `Bearer ${TOKEN}`)
+        .expect(200);
+      await post("/api/policy", { rules: ["first"] }).expect(200);
+    });
+  });
+});
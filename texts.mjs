@@ -0,0 +1,328 @@
+import fs from "fs/promises";
+import path from "path";
+
+/** Extensions of the text files signed in text similarity mode */
+export const TEXT_EXTENSIONS = [
+  "txt",
+  "md",
+  "markdown",
+  "rst",
+  "tex",
+  "csv",
+  "tsv",
+  "log",
+  "json",
+  "xml",
+  "html",
+  "htm",
+  "yaml",
+  "yml",
+  "toml",
+  "ini",
+  "conf",
+  "cfg",
+  "sql",
+];
+
+/** Default smallest estimated similarity for two texts to be grouped */
+export const DEFAULT_TEXT_SIMILARITY = 0.8;
+
+/** Text files larger than this are not signed */
+export const MAX_TEXT_SIZE = 4 * 1024 * 1024;
+
+/** Number of words in each shingle */
+const SHINGLE_SIZE = 3;
+
+/** Number of MinHash values in a signature, split into LSH bands */
+const SIGNATURE_LENGTH = 128;
+const BAND_ROWS = 4;
+
+/** Number of following texts each text in an LSH bucket is compared with */
+const BUCKET_WINDOW = 64;
+
+/** Largest LCS table diffLines fills before giving up on aligning lines */
+const MAX_DIFF_CELLS = 4 * 1024 * 1024;
+
+// Fixed seeds, so signatures stored by one run compare with the next
+const SEEDS = Array.from({ length: SIGNATURE_LENGTH }, (_, i) =>
+  mix(0x9e3779b9 ^ Math.imul(i + 1, 0x85ebca6b))
+);
+
+/**
+ * Murmur3 finaliser: scramble the bits of a 32-bit integer
+ * @param {number} h - 32-bit integer
+ * @returns {number} Unsigned 32-bit integer
+ */
+function mix(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit integer
+ */
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Whether a file can be compared as text, by its extension
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} True for plain text, markup, data and log files
+ */
+export function isText(filePath) {
+  return TEXT_EXTENSIONS.includes(
+    path.extname(filePath).slice(1).toLowerCase()
+  );
+}
+
+/**
+ * Calculate the MinHash signature of a text. The text is lowercased and split
+ * into words, every run of three words is a shingle, and each of 128 hash
+ * functions keeps its smallest value over all shingles. The share of equal
+ * values in two signatures estimates how many shingles the texts share.
+ * @param {string} text - Contents of a text file
+ * @returns {string|null} Signature as hex digits, or null for a text without words
+ */
+export function textSignature(text) {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const minimums = new Uint32Array(SIGNATURE_LENGTH).fill(0xffffffff);
+  const shingles = Math.max(1, words.length - SHINGLE_SIZE + 1);
+  for (let i = 0; i < shingles; i++) {
+    const shingle = fnv1a(words.slice(i, i + SHINGLE_SIZE).join(" "));
+    for (let k = 0; k < SIGNATURE_LENGTH; k++) {
+      const value = mix(shingle ^ SEEDS[k]);
+      if (value < minimums[k]) {
+        minimums[k] = value;
+      }
+    }
+  }
+
+  return Array.from(minimums, (value) =>
+    value.toString(16).padStart(8, "0")
+  ).join("");
+}
+
+/**
+ * Read a text file and calculate its MinHash signature
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} Signature, or null for binary, empty or oversized files
+ */
+export async function calculateTextSignature(filePath) {
+  const stats = await fs.stat(filePath);
+  if (stats.size > MAX_TEXT_SIZE) {
+    return null;
+  }
+
+  const content = await fs.readFile(filePath);
+  if (content.subarray(0, 8192).includes(0)) {
+    return null;
+  }
+  return textSignature(content.toString("utf8"));
+}
+
+/**
+ * Estimate the share of shingles two texts have in common
+ * @param {string} a - Signature from textSignature
+ * @param {string} b - Signature from textSignature
+ * @returns {number} Estimated Jaccard similarity from 0 to 1
+ */
+export function signatureSimilarity(a, b) {
+  let equal = 0;
+  for (let i = 0; i < a.length; i += 8) {
+    if (a.slice(i, i + 8) === b.slice(i, i + 8)) {
+      equal++;
+    }
+  }
+  return equal / (a.length / 8);
+}
+
+/**
+ * Group texts whose estimated similarity is at least `threshold`, chaining
+ * through shared neighbours. Candidate pairs come from locality-sensitive
+ * hashing: signatures are cut into bands of four values, and only texts
+ * sharing a whole band are compared, each with the next 64 texts of the band's
+ * bucket at most. Byte-identical copies take part once.
+ * Each group starts with its largest text; every text carries its similarity
+ * to that one instead of its signature.
+ * @param {Object[]} texts - Texts with path, size, textSignature and full hash
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.8] - Smallest similarity between neighbours, from 0 to 1
+ * @param {boolean} [options.references=false] - Only keep groups with a reference and a target text
+ * @returns {Array<{similarity: number, files: Object[]}>} Groups, largest total size first
+ */
+export function groupSimilarTexts(
+  texts,
+  { threshold = DEFAULT_TEXT_SIMILARITY, references = false } = {}
+) {
+  const seenHashes = new Set();
+  const distinct = texts.filter((text) => {
+    if (!text.textSignature) return false;
+    if (!text.hash) return true;
+    if (seenHashes.has(text.hash)) return false;
+    seenHashes.add(text.hash);
+    return true;
+  });
+
+  const parent = distinct.map((_, index) => index);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const bandWidth = BAND_ROWS * 8;
+  for (let band = 0; band < SIGNATURE_LENGTH / BAND_ROWS; band++) {
+    const buckets = new Map();
+    distinct.forEach((text, index) => {
+      const key = text.textSignature.substr(band * bandWidth, bandWidth);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+
+    // A window keeps a band shared by thousands of boilerplate files linear;
+    // similar texts in a big bucket still chain through their neighbours
+    for (const bucket of buckets.values()) {
+      for (let i = 0; i < bucket.length; i++) {
+        const end = Math.min(bucket.length, i + 1 + BUCKET_WINDOW);
+        for (let j = i + 1; j < end; j++) {
+          if (find(bucket[i]) === find(bucket[j])) continue;
+
+          const similarity = signatureSimilarity(
+            distinct[bucket[i]].textSignature,
+            distinct[bucket[j]].textSignature
+          );
+          if (similarity >= threshold) {
+            parent[find(bucket[i])] = find(bucket[j]);
+          }
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  distinct.forEach((text, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(text);
+  });
+
+  return Array.from(groups.values())
+    .filter((group) => group.length > 1)
+    .filter(
+      (group) =>
+        !references ||
+        (group.some((text) => text.reference) &&
+          group.some((text) => !text.reference))
+    )
+    .map((group) => {
+      const [anchor, ...others] = group.sort((a, b) => b.size - a.size);
+      const files = [anchor, ...others].map(
+        ({ textSignature: signature, ...text }) => ({
+          ...text,
+          similarity: signatureSimilarity(anchor.textSignature, signature),
+        })
+      );
+      return {
+        similarity: Math.min(...files.map((file) => file.similarity)),
+        files,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.files.reduce((sum, file) => sum + file.size, 0) -
+        a.files.reduce((sum, file) => sum + file.size, 0)
+    );
+}
+
+/**
+ * Compare two texts line by line. Lines shared at the start and end are
+ * matched directly and the rest is aligned by their longest common
+ * subsequence; a middle part too large to align is shown as removed and
+ * added as a whole.
+ * @param {string} a - Old text
+ * @param {string} b - New text
+ * @returns {Array<{type: "same"|"removed"|"added", text: string}>} Lines of the diff
+ */
+export function diffLines(a, b) {
+  const left = a.split(/\r?\n/);
+  const right = b.split(/\r?\n/);
+  const line = (type) => (text) => ({ type, text });
+
+  let start = 0;
+  while (
+    start < left.length &&
+    start < right.length &&
+    left[start] === right[start]
+  ) {
+    start++;
+  }
+  let endA = left.length;
+  let endB = right.length;
+  while (endA > start && endB > start && left[endA - 1] === right[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const removed = left.slice(start, endA);
+  const added = right.slice(start, endB);
+  const middle = [];
+
+  if (removed.length * added.length > MAX_DIFF_CELLS) {
+    middle.push(...removed.map(line("removed")), ...added.map(line("added")));
+  } else {
+    // lengths[i][j] is the longest common subsequence of removed[i..] and added[j..]
+    const lengths = Array.from(
+      { length: removed.length + 1 },
+      () => new Uint32Array(added.length + 1)
+    );
+    for (let i = removed.length - 1; i >= 0; i--) {
+      for (let j = added.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          removed[i] === added[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < removed.length && j < added.length) {
+      if (removed[i] === added[j]) {
+        middle.push({ type: "same", text: removed[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        middle.push({ type: "removed", text: removed[i++] });
+      } else {
+        middle.push({ type: "added", text: added[j++] });
+      }
+    }
+    middle.push(
+      ...removed.slice(i).map(line("removed")),
+      ...added.slice(j).map(line("added"))
+    );
+  }
+
+  return [
+    ...left.slice(0, start).map(line("same")),
+    ...middle,
+    ...left.slice(endA).map(line("same")),
+  ];
+}
@@ -1,62 +1,588 @@
 import express from "express";
 import open from "open";
+import crypto from "crypto";
 import fs from "fs/promises";
-import { createReadStream } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import mime from "mime-types";
 import { ScanDatabase } from "./database.mjs";
+import { findDuplicates } from "./scanner.mjs";
+import {
+  linkDuplicate,
+  symlinkDuplicate,
+  quarantineFile,
+  quarantineDirectory,
+  restoreFile,
+  deleteFile,
+  renameFile,
+  undoOperation,
+  isReversible,
+  UnsafeActionError,
+} from "./file-actions.mjs";
+import { chooseKeepers } from "./policy.mjs";
+import {
+  exportGroups,
+  filterGroups,
+  toQueryFilters,
+  GROUP_SORTS,
+} from "./export.mjs";
+import { findDuplicateDirectories } from "./directories.mjs";
+import {
+  defaultDiffScans,
+  diffScans,
+  getScan,
+  listScans,
+  reclaimableBytes,
+} from "./history.mjs";
+import { describeContentGroup } from "./media.mjs";
+import { openFile } from "./archives.mjs";
+import { groupSimilarImages } from "./images.mjs";
+import { diffLines, groupSimilarTexts, MAX_TEXT_SIZE } from "./texts.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Only this machine can reach the server unless another address is given
+const DEFAULT_HOST = "127.0.0.1";
+const TOKEN_COOKIE = "sdd_token";
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// Send a failed file action. Actions refused to protect data are conflicts
+// with the state on disk, and say why and for which file.
+function sendActionError(res, error, message) {
+  const refused = error instanceof UnsafeActionError;
+  res.status(refused ? 409 : 500).json({
+    error: message,
+    details: error.message,
+    ...(refused ? { code: error.code, path: error.path } : {}),
+  });
+}
+
+// Read a cookie of a request
+function readCookie(req, name) {
+  for (const cookie of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = cookie.trim().split("=");
+    if (key === name) {
+      return decodeURIComponent(value.join("="));
+    }
+  }
+  return null;
+}
+
+// Compare a token from a request in constant time
+function isToken(value, token) {
+  const a = Buffer.from(String(value ?? ""));
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Host part of a URL for an address the server listens on
+function urlHost(host) {
+  if (host === "0.0.0.0" || host === "::") {
+    return "localhost";
+  }
+  return host.includes(":") ? `[${host}]` : host;
+}
+
+// Sort groups held in memory the way getDuplicateGroupPage sorts them in SQL
+function sortGroups(groups, sort, descending) {
+  const keys = {
+    size: (group) => group[0].size,
+    reclaimable: reclaimableBytes,
+    count: (group) => group.length,
+    path: (group) => group.map((file) => file.path).sort()[0],
+  };
+  const key = keys[sort];
+  const sorted = [...groups].sort((a, b) =>
+    key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0
+  );
+  return descending ? sorted.reverse() : sorted;
+}
+
 export async function startWebInterface(
   duplicates,
   port = 8080,
   dbPath,
-  scanId
+  scanId,
+  options = {}
 ) {
+  const host = options.host || DEFAULT_HOST;
+  const token = options.token || crypto.randomBytes(24).toString("hex");
+  const readOnly = Boolean(options.readOnly);
+  // Names the server may be reached by, set once it listens; any name is
+  // fine when it listens on every address
+  let allowedHosts = null;
+
   const app = express();
+
+  // Pages under another name, such as one rebound to this address by DNS,
+  // are refused
+  app.use((req, res, next) => {
+    if (allowedHosts && !allowedHosts.includes(req.headers.host)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        details: `Unexpected host ${req.headers.host}`,
+      });
+    }
+    next();
+  });
+
+  // The address opened at startup carries the session token. It is kept in
+  // a cookie other sites cannot send, and dropped from the address.
+  app.use((req, res, next) => {
+    if (req.method === "GET" && isToken(req.query.token, token)) {
+      res.cookie(TOKEN_COOKIE, token, {
+        httpOnly: true,
+        sameSite: "strict",
+        path: "/",
+      });
+      return res.redirect(req.path);
+    }
+    next();
+  });
+
+  // The API needs the token, from the cookie or as a bearer token for
+  // scripts, and requests that change anything must come from this page
+  app.use("/api", (req, res, next) => {
+    const bearer = (req.headers.authorization || "").replace(/^Bearer /, "");
+    if (
+      !isToken(readCookie(req, TOKEN_COOKIE), token) &&
+      !isToken(bearer, token)
+    ) {
+      return res.status(401).json({
+        error: "Unauthorized",
+        details:
+          "Open the address printed when the server started, or send its token",
+      });
+    }
+
+    const { origin } = req.headers;
+    if (
+      !["GET", "HEAD"].includes(req.method) &&
+      origin &&
+      !(allowedHosts || [req.headers.host]).some(
+        (allowed) => origin === `http://${allowed}`
+      )
+    ) {
+      return res.status(403).json({
+        error: "Forbidden",
+        details: `Requests from ${origin} are not allowed`,
+      });
+    }
+    next();
+  });
+
   app.use(express.json());
   app.use(express.static(path.join(__dirname, "public")));
 
   // Initialize database connection
   const db = dbPath ? new ScanDatabase(dbPath) : null;
+  const quarantineDir =
+    options.quarantineDir ||
+    (dbPath ? ScanDatabase.generateQuarantinePath(dbPath) : null);
+
+  // Similar images of the selected scan, grouped once until files change
+  let similarImages = null;
+
+  // Routes that change files or the index are off in read-only mode
+  const mutating = (req, res, next) => {
+    if (readOnly) {
+      return res.status(403).json({
+        error: "Read-only mode",
+        details: "The server was started with --read-only",
+      });
+    }
+    res.on("finish", () => {
+      similarImages = null;
+    });
+    next();
+  };
+
+  // File endpoints only touch files recorded in the selected scan, and
+  // folders inside its roots
+  const inScan = (filePath) =>
+    typeof filePath === "string" &&
+    (db
+      ? Boolean(scanId && db.getFileByPath(scanId, filePath))
+      : duplicates.some((group) =>
+          group.some((file) => file.path === filePath)
+        ));
+  const inScanRoots = (dirPath) =>
+    typeof dirPath === "string" &&
+    Boolean(db && scanId) &&
+    db.getScanRoots(scanId).some((root) => {
+      const relative = path.relative(root.path, dirPath);
+      return !relative.startsWith("..") && !path.isAbsolute(relative);
+    });
+  const refuse = (res, error, filePath) =>
+    res.status(403).json({
+      error,
+      details: `${filePath} is not part of the selected scan`,
+    });
+
+  app.get("/api/session", (req, res) => {
+    res.json({ readOnly });
+  });
 
   app.get("/", (req, res) => {
     res.sendFile(path.join(__dirname, "public", "index.html"));
   });
 
   app.get("/api/duplicates", (req, res) => {
+    const { path: pathFilter, size, type, sort = "size", order } = req.query;
+    const page = Number(req.query.page ?? 1);
+    const pageSize = Number(req.query.pageSize ?? DEFAULT_PAGE_SIZE);
+
+    try {
+      if (!Number.isInteger(page) || page < 1) {
+        throw new Error("page must be a positive integer");
+      }
+      if (
+        !Number.isInteger(pageSize) ||
+        pageSize < 1 ||
+        pageSize > MAX_PAGE_SIZE
+      ) {
+        throw new Error(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+      }
+      if (!GROUP_SORTS.includes(sort)) {
+        throw new Error(
+          `Unknown sort "${sort}". Use one of ${GROUP_SORTS.join(", ")}`
+        );
+      }
+      if (order && order !== "asc" && order !== "desc") {
+        throw new Error('order must be "asc" or "desc"');
+      }
+
+      const descending = order ? order === "desc" : sort !== "path";
+      const offset = (page - 1) * pageSize;
+
+      if (db) {
+        const { total, groups } = db.getDuplicateGroupPage(scanId, {
+          ...toQueryFilters({ path: pathFilter, size, type }),
+          sort,
+          descending,
+          offset,
+          limit: pageSize,
+        });
+        res.json({
+          total,
+          page,
+          pageSize,
+          groups: groups.map((g) => JSON.parse(g.files)),
+        });
+      } else {
+        const groups = sortGroups(
+          filterGroups(duplicates, { path: pathFilter, size, type }).map(
+            ({ files }) => files
+          ),
+          sort,
+          descending
+        );
+        res.json({
+          total: groups.length,
+          page,
+          pageSize,
+          groups: groups.slice(offset, offset + pageSize),
+        });
+      }
+    } catch (error) {
+      res.status(400).json({
+        error: "Failed to load duplicates",
+        details: error.message,
+      });
+    }
+  });
+
+  app.get("/api/duplicates/stats", (req, res) => {
     if (db) {
-      const groups = db.getDuplicateGroups(scanId);
-      // Fix: Parse the JSON string before sending
-      res.json(groups.map((g) => JSON.parse(g.files)));
+      res.json(db.getDuplicateStats(scanId));
     } else {
-      res.json(duplicates);
+      res.json({
+        groups: duplicates.length,
+        files: duplicates.reduce((sum, group) => sum + group.length, 0),
+        totalSize: duplicates.reduce(
+          (sum, group) => sum + group[0].size * group.length,
+          0
+        ),
+        reclaimableBytes: duplicates.reduce(
+          (sum, group) => sum + reclaimableBytes(group),
+          0
+        ),
+      });
+    }
+  });
+
+  app.post("/api/policy", (req, res) => {
+    const { rules = [] } = req.body;
+
+    try {
+      const groups = db
+        ? db.getDuplicateGroups(scanId).map((g) => JSON.parse(g.files))
+        : duplicates;
+
+      res.json(chooseKeepers(groups, rules));
+    } catch (error) {
+      res.status(400).json({
+        error: "Failed to apply keep rules",
+        details: error.message,
+      });
+    }
+  });
+
+  app.get("/api/export", (req, res) => {
+    const { format = "json", path: pathFilter, size, type } = req.query;
+    const contentTypes = {
+      json: "application/json",
+      ndjson: "application/x-ndjson",
+      csv: "text/csv",
+    };
+
+    try {
+      const groups = db
+        ? db.getDuplicateGroups(scanId).map((g) => JSON.parse(g.files))
+        : duplicates;
+
+      const body = exportGroups(
+        filterGroups(groups, { path: pathFilter, size, type }),
+        format,
+        { perFile: req.query.perFile === "true" }
+      );
+
+      res.setHeader("Content-Type", `${contentTypes[format]}; charset=utf-8`);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="duplicates.${format}"`
+      );
+      res.send(body);
+    } catch (error) {
+      res.status(400).json({
+        error: "Failed to export duplicates",
+        details: error.message,
+      });
     }
   });
 
   app.get("/api/scan-info", (req, res) => {
-    if (db) {
-      const info = db.getScanInfo(scanId);
+    // An index created by serve has no scan until one is started here
+    const info = db && scanId ? db.getScanInfo(scanId) : null;
+    if (info) {
       res.json({
         baseDirectory: info.base_directory,
         startTime: info.start_time,
         endTime: info.end_time,
         filesScanned: info.files_scanned,
         groupsFound: info.groups_found,
+        hashAlgorithm: info.hash_algorithm,
+        verified: Boolean(info.verified),
+        roots: db.getScanRoots(scanId).map((root) => ({
+          path: root.path,
+          reference: Boolean(root.reference),
+        })),
       });
     } else {
       res.json(null);
     }
   });
 
+  // Scans started from the browser run one at a time. Their progress and the
+  // groups they confirm are sent to every client of /api/scans/events.
+  const scanClients = new Set();
+  let scanJob = null;
+  let nextJobId = 1;
+
+  const sendEvent = (client, event, data) =>
+    client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const broadcast = (event, data) =>
+    scanClients.forEach((client) => sendEvent(client, event, data));
+
+  function startScanJob(root, { recursive, exclude }) {
+    const job = {
+      id: nextJobId++,
+      root,
+      status: "running",
+      progress: null,
+      groups: new Map(),
+      controller: new AbortController(),
+      lastSent: 0,
+    };
+    broadcast("start", { id: job.id, root });
+
+    findDuplicates(root, {
+      recursive,
+      exclude,
+      indexPath: dbPath,
+      quarantineDir,
+      rescan: true,
+      hashAlgorithm: scanId ? db.getHashAlgorithm(scanId) : undefined,
+      contentOnly: options.contentOnly,
+      images: options.images,
+      imageDistance: options.imageDistance,
+      texts: options.texts,
+      textSimilarity: options.textSimilarity,
+      signal: job.controller.signal,
+      onProgress: (progress) => {
+        job.progress = progress;
+        // Progress comes once per file; clients get ten updates a second
+        const now = Date.now();
+        if (now - job.lastSent >= 100) {
+          job.lastSent = now;
+          broadcast("progress", progress);
+        }
+      },
+      onGroup: (files) => {
+        job.groups.set(files[0].hash, files);
+        broadcast("group", files);
+      },
+    }).then(
+      (result) => {
+        job.status = "done";
+        scanId = result.scanId;
+        broadcast("done", {
+          id: job.id,
+          scanId,
+          groupsFound: result.result.length,
+        });
+      },
+      (error) => {
+        job.status = job.controller.signal.aborted ? "cancelled" : "failed";
+        broadcast(job.status, { id: job.id, error: error.message });
+      }
+    );
+
+    return job;
+  }
+
+  app.post("/api/scans", mutating, async (req, res) => {
+    const { root, recursive = false, exclude = [] } = req.body;
+
+    try {
+      if (!db) {
+        throw new Error("No index file loaded");
+      }
+      if (scanJob?.status === "running") {
+        return res.status(409).json({
+          error: "Failed to start scan",
+          details: `A scan of ${scanJob.root} is still running`,
+        });
+      }
+      if (typeof root !== "string" || !root.trim()) {
+        throw new Error("A folder to scan is required");
+      }
+      if (
+        !Array.isArray(exclude) ||
+        exclude.some((pattern) => typeof pattern !== "string")
+      ) {
+        throw new Error("exclude must be a list of glob patterns");
+      }
+
+      const rootPath = path.resolve(root.trim());
+      const stats = await fs.stat(rootPath).catch(() => null);
+      if (!stats?.isDirectory()) {
+        throw new Error(`${rootPath} is not a folder`);
+      }
+
+      scanJob = startScanJob(rootPath, {
+        recursive: Boolean(recursive),
+        exclude,
+      });
+      res.status(202).json({ success: true, id: scanJob.id, root: rootPath });
+    } catch (error) {
+      res.status(400).json({
+        error: "Failed to start scan",
+        details: error.message,
+      });
+    }
+  });
+
+  app.get("/api/scans/events", (req, res) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+
+    // Clients that connect during a scan catch up on it first
+    if (scanJob?.status === "running") {
+      sendEvent(res, "start", { id: scanJob.id, root: scanJob.root });
+      if (scanJob.progress) {
+        sendEvent(res, "progress", scanJob.progress);
+      }
+      scanJob.groups.forEach((files) => sendEvent(res, "group", files));
+    }
+
+    scanClients.add(res);
+    req.on("close", () => scanClients.delete(res));
+  });
+
+  app.post("/api/scans/cancel", mutating, (req, res) => {
+    if (scanJob?.status !== "running") {
+      return res.status(409).json({
+        error: "Failed to cancel scan",
+        details: "No scan is running",
+      });
+    }
+
+    scanJob.controller.abort();
+    res.json({ success: true, message: `Cancelling scan of ${scanJob.root}` });
+  });
+
+  app.get("/api/scans", (req, res) => {
+    res.json(
+      db
+        ? { current: scanId, scans: listScans(db) }
+        : { current: null, scans: [] }
+    );
+  });
+
+  // Every other endpoint reads and changes the selected scan
+  app.post("/api/select-scan", (req, res) => {
+    try {
+      if (!db) {
+        throw new Error("No index file loaded");
+      }
+      scanId = getScan(db, req.body.scanId).id;
+      res.json({ success: true, scanId });
+    } catch (error) {
+      res.status(400).json({
+        error: "Failed to select scan",
+        details: error.message,
+      });
+    }
+  });
+
+  app.get("/api/scan-diff", (req, res) => {
+    try {
+      if (!db) {
+        throw new Error("No index file loaded");
+      }
+      const { fromId, toId } = defaultDiffScans(
+        db,
+        req.query.from || undefined,
+        req.query.to || undefined
+      );
+      res.json(diffScans(db, fromId, toId));
+    } catch (error) {
+      res.status(400).json({
+        error: "Failed to compare scans",
+        details: error.message,
+      });
+    }
+  });
+
   app.get("/api/download/:encodedPath", async (req, res) => {
+    const filePath = decodeURIComponent(req.params.encodedPath);
+    if (!inScan(filePath)) {
+      return refuse(res, "Failed to download file", filePath);
+    }
+
     try {
-      const filePath = decodeURIComponent(req.params.encodedPath);
+      // Files inside an archive are streamed out of it
+      const archive = db?.getFileByPath(scanId, filePath)?.archive;
 
       // Verify file exists
-      await fs.access(filePath);
+      await fs.access(archive || filePath);
 
       const fileName = path.basename(filePath);
       const mimeType = mime.lookup(filePath) || "application/octet-stream";
@@ -80,7 +606,8 @@ export async function startWebInterface(
       );
 
       // Stream the file
-      const stream = createReadStream(filePath);
+      const stream = await openFile(filePath, archive);
+      stream.on("error", () => res.destroy());
       stream.pipe(res);
     } catch (error) {
       res.status(500).json({
@@ -90,65 +617,258 @@ export async function startWebInterface(
     }
   });
 
-  app.post("/api/delete", async (req, res) => {
-    const { filePath } = req.body;
+  app.post("/api/delete", mutating, async (req, res) => {
+    const { filePath, permanent = false } = req.body;
+    if (!inScan(filePath)) {
+      return refuse(res, "Failed to delete file", filePath);
+    }
 
     try {
-      // Verify file exists before attempting deletion
-      await fs.access(filePath);
+      if (!permanent) {
+        if (!db) {
+          throw new Error("Quarantine requires an index file");
+        }
 
-      await fs.unlink(filePath);
+        const result = await quarantineFile(
+          db,
+          scanId,
+          filePath,
+          quarantineDir
+        );
 
-      if (db) {
-        db.deleteFile(filePath);
+        res.json({
+          success: true,
+          id: result.id,
+          message: `Moved ${filePath} to quarantine`,
+        });
+        return;
       }
 
+      await deleteFile(db, scanId, filePath);
+
       res.json({
         success: true,
         message: `Successfully deleted ${filePath}`,
       });
+    } catch (error) {
+      sendActionError(res, error, "Failed to delete file");
+    }
+  });
+
+  // Folder groups are only listed when the directory mode is on
+  app.get("/api/directories", (req, res) => {
+    if (db && options.directories) {
+      res.json(
+        findDuplicateDirectories(db.getFiles(scanId), {
+          minOverlap: options.minOverlap,
+        })
+      );
+    } else {
+      res.json(null);
+    }
+  });
+
+  // Similar images are only listed when the image similarity mode is on
+  app.get("/api/similar-images", (req, res) => {
+    if (db && options.images) {
+      if (similarImages?.scanId !== scanId) {
+        similarImages = {
+          scanId,
+          groups: groupSimilarImages(db.getImageFiles(scanId), {
+            maxDistance: options.imageDistance,
+            references: db.getScanRoots(scanId).some((root) => root.reference),
+          }),
+        };
+      }
+      res.json(similarImages.groups);
+    } else {
+      res.json(null);
+    }
+  });
+
+  // Media files with the same content are only listed in content-only mode
+  app.get("/api/content-groups", async (req, res) => {
+    if (!db || !options.contentOnly) {
+      res.json(null);
+      return;
+    }
+
+    try {
+      const groups = await Promise.all(
+        db.getContentGroups(scanId).map(async (row) => ({
+          contentHash: row.content_hash,
+          ...(await describeContentGroup(JSON.parse(row.files))),
+        }))
+      );
+      res.json(groups);
     } catch (error) {
       res.status(500).json({
-        error: "Failed to delete file",
+        error: "Failed to read media tags",
         details: error.message,
       });
     }
   });
 
-  app.post("/api/rename", async (req, res) => {
-    const { oldPath, newName } = req.body;
+  // Similar texts are only listed when the text similarity mode is on
+  app.get("/api/similar-texts", (req, res) => {
+    if (db && options.texts) {
+      res.json(
+        groupSimilarTexts(db.getTextFiles(scanId), {
+          threshold: options.textSimilarity,
+          references: db.getScanRoots(scanId).some((root) => root.reference),
+        })
+      );
+    } else {
+      res.json(null);
+    }
+  });
+
+  // Line-by-line comparison of two indexed text files
+  app.get("/api/text-diff", async (req, res) => {
+    const { a, b } = req.query;
 
     try {
-      // Input validation
-      if (!newName || newName.includes(path.sep)) {
-        throw new Error("Invalid new filename");
+      for (const filePath of [a, b]) {
+        if (!db || !filePath || !db.getFileByPath(scanId, filePath)) {
+          throw new Error(`${filePath} is not in the index`);
+        }
+        if ((await fs.stat(filePath)).size > MAX_TEXT_SIZE) {
+          throw new Error(`${filePath} is too large to compare`);
+        }
       }
 
-      // Verify source file exists
-      await fs.access(oldPath);
+      const [textA, textB] = await Promise.all([
+        fs.readFile(a, "utf8"),
+        fs.readFile(b, "utf8"),
+      ]);
+      res.json({ a, b, lines: diffLines(textA, textB) });
+    } catch (error) {
+      res.status(400).json({
+        error: "Failed to compare files",
+        details: error.message,
+      });
+    }
+  });
 
-      const dir = path.dirname(oldPath);
-      const newPath = path.join(dir, newName);
+  app.post("/api/quarantine-directory", mutating, async (req, res) => {
+    const { dirPath } = req.body;
+    if (!inScanRoots(dirPath)) {
+      return refuse(res, "Failed to quarantine directory", dirPath);
+    }
 
-      // Check if target already exists
-      try {
-        await fs.access(newPath);
-        throw new Error("A file with that name already exists");
-      } catch (error) {
-        // Error means file doesn't exist, which is what we want
-        if (error.code !== "ENOENT") throw error;
+    try {
+      if (!db) {
+        throw new Error("Quarantine requires an index file");
       }
 
-      await fs.rename(oldPath, newPath);
+      const result = await quarantineDirectory(
+        db,
+        scanId,
+        dirPath,
+        quarantineDir
+      );
 
-      // Get updated file stats
-      const stats = await fs.stat(newPath);
+      res.json({
+        success: true,
+        files: result.files.length,
+        message: `Moved ${result.files.length} file(s) from ${dirPath} to quarantine`,
+      });
+    } catch (error) {
+      sendActionError(res, error, "Failed to quarantine directory");
+    }
+  });
 
-      if (db) {
-        // Update the file path in the database
-        db.updateFilePath(oldPath, newPath);
+  app.get("/api/quarantine", (req, res) => {
+    if (db) {
+      res.json(
+        db.getQuarantined().map((entry) => ({
+          id: entry.id,
+          originalPath: entry.original_path,
+          quarantinePath: entry.quarantine_path,
+          size: entry.size,
+          hash: entry.full_hash,
+          removedAt: entry.removed_at,
+        }))
+      );
+    } else {
+      res.json([]);
+    }
+  });
+
+  app.post("/api/restore", mutating, async (req, res) => {
+    const { id } = req.body;
+
+    try {
+      if (!db) {
+        throw new Error("Restoring requires an index file");
       }
 
+      const result = await restoreFile(db, id);
+
+      res.json({
+        success: true,
+        message: `Restored ${result.filePath}`,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Failed to restore file",
+        details: error.message,
+      });
+    }
+  });
+
+  app.post("/api/link", mutating, async (req, res) => {
+    const { filePath, keeperPath, type = "hard", relative = true } = req.body;
+    for (const linkPath of [filePath, keeperPath]) {
+      if (!inScan(linkPath)) {
+        return refuse(res, "Failed to link file", linkPath);
+      }
+    }
+
+    try {
+      if (!db) {
+        throw new Error("Linking requires an index file");
+      }
+
+      if (type === "symbolic") {
+        const result = await symlinkDuplicate(
+          db,
+          scanId,
+          filePath,
+          keeperPath,
+          { relative }
+        );
+
+        res.json({
+          success: true,
+          target: result.target,
+          message: `Replaced ${filePath} with a symbolic link to ${result.target}`,
+        });
+      } else if (type === "hard") {
+        const result = await linkDuplicate(db, scanId, filePath, keeperPath);
+
+        res.json({
+          success: true,
+          inode: result.inode,
+          message: `Replaced ${filePath} with a hard link to ${keeperPath}`,
+        });
+      } else {
+        throw new Error(`Unknown link type: ${type}`);
+      }
+    } catch (error) {
+      sendActionError(res, error, "Failed to link file");
+    }
+  });
+
+  app.post("/api/rename", mutating, async (req, res) => {
+    const { oldPath, newName } = req.body;
+    if (!inScan(oldPath)) {
+      return refuse(res, "Failed to rename file", oldPath);
+    }
+
+    try {
+      const newPath = await renameFile(db, scanId, oldPath, newName);
+
       res.json({
         success: true,
         newPath,
@@ -162,9 +882,57 @@ export async function startWebInterface(
     }
   });
 
+  app.get("/api/history", (req, res) => {
+    if (db) {
+      res.json(
+        db.getOperations().map((operation) => ({
+          id: operation.id,
+          action: operation.action,
+          sourcePath: operation.source_path,
+          targetPath: operation.target_path,
+          sourceHash: operation.source_hash,
+          targetHash: operation.target_hash,
+          timestamp: operation.timestamp,
+          outcome: operation.outcome,
+          error: operation.error,
+          undoneAt: operation.undone_at,
+          reversible: isReversible(operation),
+        }))
+      );
+    } else {
+      res.json([]);
+    }
+  });
+
+  app.post("/api/undo", mutating, async (req, res) => {
+    const { id } = req.body;
+
+    try {
+      if (!db) {
+        throw new Error("Undo requires an index file");
+      }
+
+      const operation = await undoOperation(db, id);
+
+      res.json({
+        success: true,
+        message: `Undid ${operation.action} of ${operation.source_path}`,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Failed to undo operation",
+        details: error.message,
+      });
+    }
+  });
+
   app.post("/api/shutdown", async (req, res) => {
     const { deleteIndex } = req.body;
 
+    if (deleteIndex && readOnly) {
+      return mutating(req, res);
+    }
+
     if (deleteIndex && dbPath) {
       try {
         // Close database connection
@@ -191,12 +959,29 @@ export async function startWebInterface(
 
   return new Promise((resolve, reject) => {
     try {
-      const server = app.listen(port, async () => {
-        const url = `http://localhost:${port}`;
+      const server = app.listen(port, host, async () => {
+        const address = `${urlHost(host)}:${server.address().port}`;
+        allowedHosts =
+          host === "0.0.0.0" || host === "::"
+            ? null
+            : [
+                address,
+                ...(LOOPBACK_HOSTS.includes(urlHost(host))
+                  ? LOOPBACK_HOSTS.map(
+                      (name) => `${name}:${server.address().port}`
+                    )
+                  : []),
+              ];
+        const url = `http://${address}/?token=${token}`;
         console.log("\n🔍 super-dee-duper Web Interface");
         console.log("==========================================");
         console.log(`✨ Server started at: ${url}`);
-        if (db) {
+        if (readOnly) {
+          console.log("🔒 Read-only: files and the index cannot be changed");
+        }
+        if (db && !scanId) {
+          console.log("📁 No scans yet: pick a folder to scan in the browser");
+        } else if (db) {
           const info = db.getScanInfo(scanId);
           console.log(`📁 Base directory: ${info.base_directory}`);
           console.log(`📊 Files scanned: ${info.files_scanned}`);
@@ -210,14 +995,16 @@ export async function startWebInterface(
         }
         console.log("==========================================\n");
 
-        try {
-          await open(url, {
-            wait: false,
-            url: true,
-          });
-        } catch (err) {
-          console.error("Failed to open browser:", err.message);
-          console.log(`Please open ${url} manually in your browser.`);
+        if (options.openBrowser !== false) {
+          try {
+            await open(url, {
+              wait: false,
+              url: true,
+            });
+          } catch (err) {
+            console.error("Failed to open browser:", err.message);
+            console.log(`Please open ${url} manually in your browser.`);
+          }
         }
 
         resolve(server);